@@ -2,8 +2,11 @@ class AgriInfoApp {
     constructor() {
         this.currentSection = 'home';
         this.cropData = [];
+        this.toolCrop = null;
         this.marketplace = null;
+        this.syncCenter = null;
         this.userProfile = null;
+        this.defaultTitle = document.title;
         this.initializeKenyanContext();
         this.init();
     }
@@ -13,21 +16,7 @@ class AgriInfoApp {
         this.config = {
             currency: 'KES',
             language: 'en',
-            counties: [
-                'Nairobi', 'Mombasa', 'Kisumu', 'Nakuru', 'Eldoret',
-                'Thika', 'Kitale', 'Malindi', 'Kakamega', 'Kisii'
-            ],
-            crops: {
-                maize: { localName: 'Mahindi', seedRate: 25 },
-                beans: { localName: 'Maharagwe', seedRate: 40 },
-                wheat: { localName: 'Ngano', seedRate: 100 },
-                rice: { localName: 'Mchele', seedRate: 40 }
-            },
-            measurements: {
-                land: 'acres',
-                weight: 'kgs',
-                volume: 'liters'
-            }
+            counties: AgriCounties.names()
         };
     }
 
@@ -36,10 +25,33 @@ class AgriInfoApp {
             // Initialize database
             await agriDB.init();
             
+            // Land and weight units the farmer prefers
+            this.units = new AgriUnits(this);
+            await this.units.init();
+            
             // Initialize marketplace
             this.marketplace = new AgriMarketplace(this);
             await this.marketplace.initialize();
             
+            // Initialize sync center
+            this.syncCenter = new AgriSyncCenter(this);
+            
+            // Crop library content packs, the crop editor, detail pages and comparison
+            this.contentPacks = new AgriContentPacks(this);
+            this.cropEditor = new AgriCropEditor(this);
+            this.cropDetail = new AgriCropDetail(this);
+            this.cropCompare = new AgriCropCompare(this);
+            this.recommender = new AgriCropRecommender(this);
+            this.plantingCalendar = new AgriPlantingCalendar(this);
+            this.rotationPlanner = new AgriRotationPlanner(this);
+            this.fertilizerCalculator = new AgriFertilizerCalculator(this);
+            this.seedCalculator = new AgriSeedCalculator(this);
+            this.irrigationScheduler = new AgriIrrigationScheduler(this);
+            this.profitCalculator = new AgriProfitCalculator(this);
+            this.calculationHistory = new AgriCalculationHistory(this);
+            this.weather = new AgriWeather(this);
+            await this.weather.init();
+            
             // Setup event listeners
             this.setupEventListeners();
             
@@ -52,9 +64,20 @@ class AgriInfoApp {
             // Setup periodic sync
             this.setupAutoSync();
             
+            // Seed an empty crop library, or offer a newer content pack (doesn't block startup)
+            this.contentPacks.checkForUpdates().then(async installed => {
+                if (installed > 0) {
+                    await this.units.init();
+                    this.loadInitialData();
+                }
+            });
+            
             // Update UI
             this.updateKenyanContext();
             
+            // Open the section or crop in the URL (shared links, manifest shortcuts)
+            this.setupRouting();
+            
             console.log('AgriInfo Kenya App initialized');
         } catch (error) {
             console.error('App initialization failed:', error);
@@ -68,15 +91,6 @@ class AgriInfoApp {
         currencyElements.forEach(el => {
             el.textContent = this.config.currency;
         });
-        
-        // Update crop select options with Kenyan crops
-        const cropSelect = document.getElementById('crop-type');
-        if (cropSelect) {
-            cropSelect.innerHTML = Object.entries(this.config.crops)
-                .map(([value, data]) => 
-                    `<option value="${value}">${data.localName} (${value})</option>`
-                ).join('');
-        }
     }
 
     setupEventListeners() {
@@ -84,8 +98,7 @@ class AgriInfoApp {
         document.querySelectorAll('.nav-link').forEach(link => {
             link.addEventListener('click', (e) => {
                 e.preventDefault();
-                const sectionId = link.getAttribute('href').substring(1);
-                this.showSection(sectionId);
+                this.navigate(link.getAttribute('href'));
             });
         });
 
@@ -101,13 +114,34 @@ class AgriInfoApp {
             if (e.key === 'Enter') this.searchCrops();
         });
 
+        // Crop ids can come from imports and sync, so card buttons carry them in data attributes
+        document.getElementById('crops-container')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-crop-id]');
+            if (!button) return;
+            if (button.dataset.action === 'edit') this.cropEditor.open(button.dataset.cropId);
+            if (button.dataset.action === 'delete') this.cropEditor.remove(button.dataset.cropId);
+        });
+
         // Calculator buttons
-        document.getElementById('calculate-seed')?.addEventListener('click', () => this.calculateSeedKenyan());
-        document.getElementById('calculate-water')?.addEventListener('click', () => this.calculateWater());
+        document.getElementById('calculate-seed')?.addEventListener('click', () => this.seedCalculator.calculate());
+        document.getElementById('crop-type')?.addEventListener('change', (e) => this.seedCalculator.fillDefaults(e.target.value));
+        document.getElementById('seed-method')?.addEventListener('change', (e) => this.seedCalculator.updateLabels(e.target.value));
+        document.getElementById('calculate-water')?.addEventListener('click', () => this.irrigationScheduler.calculate());
+        document.getElementById('calculate-fertilizer')?.addEventListener('click', () => this.fertilizerCalculator.calculate());
+        document.getElementById('calculate-profit')?.addEventListener('click', () => this.profitCalculator.calculate());
+        ['profit-crop', 'profit-season', 'profit-year'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () =>
+                this.profitCalculator.loadBudget(document.getElementById('profit-crop').value));
+        });
+        document.getElementById('tools-crop')?.addEventListener('change', (e) => this.prefillTools(e.target.value));
+
+        // Unit preferences
+        document.getElementById('land-unit-select')?.addEventListener('change', (e) => this.changeUnits('land', e.target.value));
+        document.getElementById('weight-unit-select')?.addEventListener('change', (e) => this.changeUnits('weight', e.target.value));
 
         // Weather button
-        document.getElementById('get-weather')?.addEventListener('click', () => this.getKenyanWeather());
-        document.getElementById('get-weather-tool')?.addEventListener('click', () => this.getKenyanWeather());
+        document.getElementById('get-weather')?.addEventListener('click', () => this.weather?.show());
+        document.getElementById('get-weather-tool')?.addEventListener('click', () => this.weather?.show());
 
         // Connection status
         window.addEventListener('online', () => this.updateConnectionStatus(true));
@@ -117,6 +151,12 @@ class AgriInfoApp {
         navigator.serviceWorker?.addEventListener('message', (event) => {
             if (event.data?.type === 'syncComplete') {
                 this.showNotification(event.data.message);
+                agriSync.loadQueue();
+                
+                const conflicts = event.data.data?.results?.conflicts;
+                if (conflicts > 0) {
+                    agriSync.notifyConflicts(conflicts);
+                }
             }
         });
     }
@@ -139,6 +179,9 @@ class AgriInfoApp {
             // Load user profile if exists
             await this.loadUserProfile();
             
+            // Home screen crop suggestions for the profile's county
+            await this.recommender?.render();
+            
         } catch (error) {
             console.error('Error loading initial data:', error);
         }
@@ -173,6 +216,45 @@ class AgriInfoApp {
         `;
     }
 
+    // Hash routes: #<section> or #crops/<crop id>
+    setupRouting() {
+        window.addEventListener('hashchange', () => this.route(window.location.hash));
+        
+        if (window.location.hash) {
+            this.route(window.location.hash);
+        }
+    }
+
+    navigate(hash) {
+        if (window.location.hash !== hash) {
+            history.pushState(null, '', hash);
+        }
+        this.route(hash);
+    }
+
+    route(hash) {
+        const [sectionId, ...rest] = hash.replace(/^#/, '').split('/');
+        
+        if (sectionId === 'crops' && rest.length > 0) {
+            // A hand-typed link such as #crops/%E0 is not valid percent-encoding
+            let cropId;
+            try {
+                cropId = decodeURIComponent(rest.join('/'));
+            } catch (error) {
+                this.showSection('crops');
+                return;
+            }
+            
+            this.showSection('crop-detail');
+            this.cropDetail.show(cropId);
+            return;
+        }
+        
+        if (sectionId && document.getElementById(sectionId)?.classList.contains('section')) {
+            this.showSection(sectionId);
+        }
+    }
+
     showSection(sectionId) {
         // Hide all sections
         document.querySelectorAll('.section').forEach(section => {
@@ -189,11 +271,16 @@ class AgriInfoApp {
         if (section) {
             section.classList.add('active');
             
-            // Update active nav link
-            document.querySelector(`.nav-link[href="#${sectionId}"]`)?.classList.add('active');
+            // Update active nav link (crop pages belong to Crops)
+            const navSection = sectionId === 'crop-detail' ? 'crops' : sectionId;
+            document.querySelector(`.nav-link[href="#${navSection}"]`)?.classList.add('active');
+            
+            if (sectionId !== 'crop-detail') {
+                document.title = this.defaultTitle;
+            }
             
-            // Load section-specific data
-            this.loadSectionData(sectionId);
+            // Load section-specific data (kept so callers can wait for it)
+            this.sectionLoading = this.loadSectionData(sectionId);
             
             // Scroll to top of section
             section.scrollIntoView({ behavior: 'smooth' });
@@ -225,84 +312,35 @@ class AgriInfoApp {
                 break;
                 
             case 'tools':
-                // Tools are already loaded
+                await this.populateToolCrops();
+                await this.fertilizerCalculator?.init();
+                await this.seedCalculator?.init();
+                await this.irrigationScheduler?.init();
+                await this.profitCalculator?.init();
+                await this.calculationHistory?.load();
+                await this.calculationHistory?.render();
+                await this.weather?.showCached();
+                break;
+                
+            case 'calendar':
+                await this.plantingCalendar?.render();
+                break;
+                
+            case 'sync-center':
+                await this.syncCenter?.render();
                 break;
         }
     }
 
     async loadKenyanSampleData() {
         try {
-            const kenyanCrops = [
-                {
-                    id: 1,
-                    name: "Maize",
-                    localName: "Mahindi",
-                    category: "Cereal",
-                    description: "Staple food crop in Kenya, grown in most regions. Requires well-drained soil and moderate rainfall.",
-                    season: "Long rains (March-May), Short rains (Oct-Dec)",
-                    soilType: "Well-drained loam",
-                    waterRequirement: "Moderate (500-700mm per season)",
-                    harvestTime: "3-4 months",
-                    fertilizer: "CAN, DAP, NPK",
-                    image: "🌽",
-                    marketPrice: "KES 50-70 per kg",
-                    counties: ["Nakuru", "Uasin Gishu", "Trans Nzoia"]
-                },
-                {
-                    id: 2,
-                    name: "Beans",
-                    localName: "Maharagwe",
-                    category: "Legume",
-                    description: "Important protein source, intercropped with maize. Fixes nitrogen in soil.",
-                    season: "Both rainy seasons",
-                    soilType: "Medium loam",
-                    waterRequirement: "Low to moderate",
-                    harvestTime: "2-3 months",
-                    fertilizer: "DAP, farmyard manure",
-                    image: "🫘",
-                    marketPrice: "KES 120-150 per kg",
-                    counties: ["Kakamega", "Bungoma", "Kisii"]
-                },
-                {
-                    id: 3,
-                    name: "Tea",
-                    localName: "Chai",
-                    category: "Cash Crop",
-                    description: "Major export crop, grown in high altitude areas. Requires careful plucking.",
-                    season: "Year-round (peaks in rainy seasons)",
-                    soilType: "Acidic, well-drained",
-                    waterRequirement: "High (1500-2000mm annually)",
-                    harvestTime: "Continuous",
-                    fertilizer: "NPK 25:5:5",
-                    image: "🍃",
-                    marketPrice: "KES 200-300 per kg (green leaf)",
-                    counties: ["Kericho", "Nandi", "Nyamira"]
-                },
-                {
-                    id: 4,
-                    name: "Coffee",
-                    localName: "Kahawa",
-                    category: "Cash Crop",
-                    description: "Premium Arabica coffee grown in central highlands. Requires shade and careful processing.",
-                    season: "Main crop: Oct-Dec, Fly crop: Apr-Jun",
-                    soilType: "Volcanic, well-drained",
-                    waterRequirement: "Moderate to high",
-                    harvestTime: "9 months from flowering",
-                    fertilizer: "NPK, foliar feeds",
-                    image: "☕",
-                    marketPrice: "KES 300-500 per kg (parchment)",
-                    counties: ["Kiambu", "Murang'a", "Kirinyaga"]
-                }
-            ];
-
-            // Add Kenyan crop data to database
-            for (const crop of kenyanCrops) {
-                await agriDB.addCrop(crop);
-            }
-
+            // Crops, fertilizers and conversion rates come from the bundled content pack
+            await this.contentPacks.install(this.contentPacks.packUrls[0]);
+            
             // Update display
-            this.cropData = kenyanCrops;
-            this.displayCrops(kenyanCrops);
+            const crops = await agriDB.getAllCrops();
+            this.cropData = crops;
+            this.displayCrops(crops);
             
             // Update stats
             const stats = await agriDB.getStats();
@@ -370,22 +408,41 @@ class AgriInfoApp {
             return;
         }
         
+        const escape = value => this.escapeHtml(value);
+        // The library's yield and price text, with the figures in the farmer's units alongside
+        const metricsOf = crop => crop.metrics || AgriCropNormalizer.normalize(crop).metrics;
+        const yieldNote = crop => {
+            const range = metricsOf(crop).yield?.kgPerAcre;
+            return range ? ` <small>(${this.units.yield(range.min, range.max)})</small>` : '';
+        };
+        const priceNote = crop => {
+            const price = metricsOf(crop).price;
+            return price?.unit === 'kg' && this.units.preferences.weight !== 'kg' ? ` <small>(${this.units.price(price.min, price.max)})</small>` : '';
+        };
+        
         container.innerHTML = crops.map(crop => `
             <div class="crop-card">
                 <div class="crop-image">
-                    ${crop.image || '🌱'}
+                    ${escape(crop.image) || '🌱'}
                 </div>
                 <div class="crop-info">
-                    <h3>${crop.name} <span class="local-name">(${crop.localName || crop.name})</span></h3>
-                    <p><strong>Category:</strong> ${crop.category}</p>
-                    <p><strong>Season:</strong> ${crop.season}</p>
-                    <p><strong>Soil Type:</strong> ${crop.soilType}</p>
-                    <p><strong>Water Requirement:</strong> ${crop.waterRequirement}</p>
-                    <p><strong>Harvest Time:</strong> ${crop.harvestTime}</p>
-                    <p><strong>Fertilizer:</strong> ${crop.fertilizer}</p>
-                    ${crop.marketPrice ? `<p><strong>Market Price:</strong> ${crop.marketPrice}</p>` : ''}
-                    <p>${crop.description}</p>
-                    ${crop.counties ? `<p><small>Common in: ${crop.counties.join(', ')}</small></p>` : ''}
+                    <h3><a href="#crops/${encodeURIComponent(crop.id)}">${escape(crop.name)}</a> <span class="local-name">(${escape(crop.localName || crop.name)})</span></h3>
+                    <p><strong>Category:</strong> ${escape(crop.category)}</p>
+                    ${crop.season ? `<p><strong>Season:</strong> ${escape(crop.season)}</p>` : ''}
+                    ${crop.soilType ? `<p><strong>Soil Type:</strong> ${escape(crop.soilType)}</p>` : ''}
+                    ${crop.waterRequirement ? `<p><strong>Water Requirement:</strong> ${escape(crop.waterRequirement)}</p>` : ''}
+                    ${crop.harvestTime ? `<p><strong>Harvest Time:</strong> ${escape(crop.harvestTime)}</p>` : ''}
+                    ${crop.fertilizer ? `<p><strong>Fertilizer:</strong> ${escape(crop.fertilizer)}</p>` : ''}
+                    ${crop.yield ? `<p><strong>Yield:</strong> ${escape(crop.yield)}${yieldNote(crop)}</p>` : ''}
+                    ${crop.marketPrice ? `<p><strong>Market Price:</strong> ${escape(crop.marketPrice)}${priceNote(crop)}</p>` : ''}
+                    <p>${escape(crop.description)}</p>
+                    ${crop.counties ? `<p><small>Common in: ${escape(crop.counties.join(', '))}</small></p>` : ''}
+                    ${crop.editedLocally ? `<p><small>✏️ Edited locally${crop.updatedBy ? ` by ${escape(crop.updatedBy)}` : ''}</small></p>` : ''}
+                </div>
+                <div class="listing-actions no-print">
+                    <a class="btn-primary" href="#crops/${encodeURIComponent(crop.id)}">📖 Details</a>
+                    <button class="btn-secondary" data-action="edit" data-crop-id="${escape(crop.id)}">✏️ Edit</button>
+                    <button class="btn-secondary" data-action="delete" data-crop-id="${escape(crop.id)}">🗑️ Delete</button>
                 </div>
             </div>
         `).join('');
@@ -445,148 +502,68 @@ class AgriInfoApp {
         `).join('');
     }
 
-    calculateSeedKenyan() {
-        const area = parseFloat(document.getElementById('land-area').value);
-        const crop = document.getElementById('crop-type').value;
-        
-        if (!area || area <= 0) {
-            document.getElementById('seed-result').textContent = "Please enter valid area in acres";
-            return;
+    // Fill the crop picker above the calculators from the crop library
+    async populateToolCrops(selectedId = this.toolCrop?.id) {
+        const select = document.getElementById('tools-crop');
+        if (!select) return;
+
+        if (this.cropData.length === 0) {
+            this.cropData = await agriDB.getAllCrops();
         }
-        
-        // Kenyan seed rates (kg per acre)
-        const seedRates = {
-            maize: 25,    // 25kg per acre for maize
-            beans: 40,    // 40kg per acre for beans
-            wheat: 100,   // 100kg per acre for wheat
-            rice: 40      // 40kg per acre for rice
-        };
-        
-        const seedRequired = area * (seedRates[crop] || 50);
-        const cropName = this.config.crops[crop]?.localName || crop;
-        
-        document.getElementById('seed-result').innerHTML = `
-            <p><strong>For ${area} acres of ${cropName}:</strong></p>
-            <p>Required seeds: <strong>${seedRequired} kg</strong></p>
-            <p>Estimated cost: <strong>KES ${(seedRequired * 150).toLocaleString()}</strong></p>
-            <small>Based on average seed price of KES 150/kg</small>
-        `;
+
+        select.innerHTML = '<option value="">Choose a crop (optional)</option>' + this.cropData
+            .map(crop => `<option value="${this.escapeHtml(crop.id)}" ${String(crop.id) === String(selectedId) ? 'selected' : ''}>
+                ${this.escapeHtml(crop.image) || '🌱'} ${this.escapeHtml(crop.name)}
+            </option>`).join('');
     }
 
-    calculateWater() {
-        const area = parseFloat(document.getElementById('water-area').value);
-        const soil = document.getElementById('soil-type').value;
-        
-        if (!area || area <= 0) {
-            document.getElementById('water-result').textContent = "Please enter valid area in acres";
-            return;
-        }
-        
-        // Water requirements in liters per acre per day
-        const waterFactors = {
-            clay: 25000,   // 25,000 liters/acre/day for clay
-            loam: 30000,   // 30,000 liters/acre/day for loam
-            sandy: 35000   // 35,000 liters/acre/day for sandy
-        };
-        
-        const dailyWater = area * (waterFactors[soil] || 30000);
-        const weeklyWater = dailyWater * 7;
-        
-        document.getElementById('water-result').innerHTML = `
-            <p><strong>For ${area} acres of ${soil} soil:</strong></p>
-            <p>Daily water needed: <strong>${dailyWater.toLocaleString()} liters</strong></p>
-            <p>Weekly water needed: <strong>${weeklyWater.toLocaleString()} liters</strong></p>
-            <p>≈ <strong>${(weeklyWater / 1000).toFixed(1)} cubic meters</strong> per week</p>
-        `;
+    // Opens the calculators pre-filled with a crop's yield, price, soil and water figures
+    async useCropInTools(cropId) {
+        this.navigate('#tools');
+        await this.populateToolCrops(cropId);
+        this.prefillTools(cropId);
     }
 
-    async getKenyanWeather() {
-        const weatherDiv = document.getElementById('weather-data') || 
-                          document.querySelector('.weather-info');
-        if (!weatherDiv) return;
-        
-        weatherDiv.innerHTML = '<p>🌤️ Fetching weather data...</p>';
-        
-        if (!navigator.geolocation) {
-            weatherDiv.innerHTML = '<p>Geolocation not supported by your device</p>';
+    prefillTools(cropId) {
+        // Crops saved before crop.metrics existed are parsed on the fly
+        const found = this.cropData.find(item => String(item.id) === String(cropId));
+        const crop = found ? (found.metrics ? found : AgriCropNormalizer.normalize(found)) : null;
+        const summary = document.getElementById('tools-crop-summary');
+        this.toolCrop = crop;
+
+        if (!crop) {
+            if (summary) summary.textContent = '';
             return;
         }
-        
-        navigator.geolocation.getCurrentPosition(
-            async (position) => {
-                const { latitude, longitude } = position.coords;
-                
-                try {
-                    // Get county from coordinates (simplified)
-                    const county = await this.getCountyFromCoordinates(latitude, longitude);
-                    
-                    // Mock weather data for Kenyan regions
-                    const weatherData = this.getMockKenyanWeather(county, latitude);
-                    
-                    weatherDiv.innerHTML = `
-                        <div class="weather-card">
-                            <h4>${county} County Weather</h4>
-                            <p><strong>Temperature:</strong> ${weatherData.temperature}</p>
-                            <p><strong>Humidity:</strong> ${weatherData.humidity}</p>
-                            <p><strong>Conditions:</strong> ${weatherData.conditions}</p>
-                            <p><strong>Rainfall:</strong> ${weatherData.rainfall}</p>
-                            <p><strong>Recommendation:</strong> ${weatherData.recommendation}</p>
-                            <p><small>Coordinates: ${latitude.toFixed(4)}°, ${longitude.toFixed(4)}°</small></p>
-                        </div>
-                    `;
-                    
-                    // Store weather data for offline use
-                    await agriDB.addItem('weather', {
-                        ...weatherData,
-                        latitude,
-                        longitude,
-                        timestamp: new Date().toISOString()
-                    });
-                    
-                } catch (error) {
-                    console.error('Weather fetch error:', error);
-                    weatherDiv.innerHTML = '<p>Could not fetch weather data. Showing cached data...</p>';
-                    this.showCachedWeather(weatherDiv);
-                }
-            },
-            (error) => {
-                weatherDiv.innerHTML = `
-                    <p>Unable to get your location. Showing general Kenyan weather:</p>
-                    ${this.getGeneralKenyanWeather()}
-                `;
-            }
-        );
-    }
 
-    getMockKenyanWeather(county, latitude) {
-        // Simple mock weather based on location
-        const isHighAltitude = latitude < -0.5; // South of equator
-        const isCoastal = ['Mombasa', 'Kilifi', 'Kwale'].includes(county);
-        
-        if (isCoastal) {
-            return {
-                temperature: "28-32°C",
-                humidity: "75-85%",
-                conditions: "Humid, Partly Cloudy",
-                rainfall: "High humidity, occasional showers",
-                recommendation: "Good for coconut, cashew, and mango farming"
-            };
-        } else if (isHighAltitude) {
-            return {
-                temperature: "18-24°C",
-                humidity: "65-75%",
-                conditions: "Cool, Mild",
-                rainfall: "Adequate for tea and coffee",
-                recommendation: "Ideal for tea, coffee, and dairy farming"
-            };
-        } else {
-            return {
-                temperature: "22-28°C",
-                humidity: "60-70%",
-                conditions: "Sunny, Pleasant",
-                rainfall: "Moderate, good for maize",
-                recommendation: "Perfect day for planting and irrigation"
-            };
+        const metrics = crop.metrics;
+        const setValue = (id, value) => {
+            const element = document.getElementById(id);
+            if (element && value !== undefined && value !== null) element.value = value;
+        };
+
+        // Seed calculator: the crop's spacing, seed weight and price
+        setValue('crop-type', crop.id);
+        this.seedCalculator?.fillDefaults(crop.id);
+
+        // Fertilizer calculator: the crop's own schedule
+        setValue('fertilizer-crop', crop.id);
+
+        // Irrigation scheduler: the crop and its preferred soil texture
+        setValue('irrigation-crop', crop.id);
+        const texture = (metrics.soil?.texture || []).find(type => AgriIrrigationScheduler.soils[type]);
+        if (texture) setValue('soil-type', texture);
+
+        // Profit calculator: the saved budget for this season, or the crop's yield, price and input costs
+        setValue('profit-crop', crop.id);
+        this.profitCalculator?.loadBudget(crop.id);
+
+        if (summary) {
+            summary.innerHTML = `Using ${this.escapeHtml(crop.name)}: ` + [
+                crop.yield && `yield ${this.escapeHtml(crop.yield)}`,
+                crop.marketPrice && `price ${this.escapeHtml(crop.marketPrice)}`,
+                crop.waterRequirement && `water ${this.escapeHtml(crop.waterRequirement)}`
+            ].filter(Boolean).join(' · ');
         }
     }
 
@@ -600,6 +577,27 @@ class AgriInfoApp {
         return "Central Kenya Region";
     }
 
+    // Results already shown are in the old units, so clear them and redraw what is on screen
+    async changeUnits(kind, value) {
+        try {
+            await this.units.setPreference(kind, value);
+            document.querySelectorAll('#tools .result').forEach(result => { result.innerHTML = ''; });
+            if (this.cropData.length > 0) this.displayCrops(this.cropData);
+            if (this.profitCalculator?.budgets) {
+                this.profitCalculator.loadBudget(document.getElementById('profit-crop')?.value);
+                this.profitCalculator.renderBudgets();
+            }
+            if (this.marketplace) {
+                this.marketplace.displayListings(this.marketplace.listings);
+                await this.marketplace.loadMyListings();
+            }
+            this.showNotification(`Showing ${this.units.landUnit()} and ${this.units.weightUnit()}`, 'success');
+        } catch (error) {
+            console.error('Error saving unit preferences:', error);
+            this.showNotification('Could not save unit preferences', 'error');
+        }
+    }
+
     updateStats(stats) {
         const cropCount = document.getElementById('crop-count');
         const storageStatus = document.getElementById('storage-status');
@@ -657,9 +655,6 @@ class AgriInfoApp {
         if (syncStatus) syncStatus.textContent = 'Syncing...';
         
         try {
-            // Simulate sync process
-            await new Promise(resolve => setTimeout(resolve, 1500));
-            
             // Update last sync time
             await agriDB.setSetting('lastSync', new Date().toISOString());
             
@@ -755,6 +750,96 @@ class AgriInfoApp {
         }
     }
 
+    importDataPrompt() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.addEventListener('change', () => {
+            if (input.files && input.files[0]) {
+                this.importData(input.files[0]);
+            }
+        });
+        input.click();
+    }
+
+    async importData(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.showNotification('That file is not a valid AgriInfo backup', 'error');
+            return;
+        }
+        
+        try {
+            const { counts, errors } = agriDB.validateBackup(data);
+            const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+            
+            if (total === 0) {
+                this.showNotification(
+                    'The backup contains no usable records' + (errors.length > 0 ? `: ${this.describeImportErrors(errors)}` : ''),
+                    'error'
+                );
+                return;
+            }
+            
+            const summary = Object.entries(counts)
+                .filter(([, count]) => count > 0)
+                .map(([store, count]) => `  ${store}: ${count}`)
+                .join('\n');
+            const mode = prompt(
+                `Backup contains ${total} records:\n${summary}\n` +
+                (errors.length > 0 ? `${errors.length} invalid records will be skipped.\n` : '') +
+                '\nType "merge" to keep whichever copy is newest, or "replace" to overwrite this device\'s data:',
+                'merge'
+            );
+            if (!mode) return;
+            
+            const choice = mode.trim().toLowerCase();
+            if (!['merge', 'replace'].includes(choice)) {
+                this.showNotification('Import cancelled: please type "merge" or "replace"', 'warning');
+                return;
+            }
+            
+            const result = await agriDB.importData(data, { mode: choice });
+            const pendingUploads = result.skipped?.syncQueue || 0;
+            
+            await agriSync.loadQueue();
+            await this.loadInitialData();
+            this.showNotification(
+                `Imported ${result.importedItems} records` +
+                (result.kept > 0 ? `, kept ${result.kept} newer local records` : '') +
+                (result.errors.length > 0 ? `, skipped ${result.errors.length} invalid (${this.describeImportErrors(result.errors)})` : '') +
+                (pendingUploads > 0 ? `. ${pendingUploads} uploads still waiting on the backed-up device were not restored` : ''),
+                result.errors.length > 0 ? 'warning' : 'success'
+            );
+            
+        } catch (error) {
+            console.error('Error importing data:', error);
+            this.showNotification(`Import failed: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    // "marketListings record 3: Listing has no crop; ..." for the first few rejected backup records, escaped
+    describeImportErrors(errors, limit = 3) {
+        const shown = errors.slice(0, limit).map(error =>
+            `${error.store}${error.index !== undefined ? ` record ${error.index + 1}` : ''}: ${error.error}`
+        );
+        if (errors.length > limit) shown.push(`and ${errors.length - limit} more`);
+        return this.escapeHtml(shown.join('; '));
+    }
+
+    // For text that farmers typed: crop records, listings and synced data end up in innerHTML
+    escapeHtml(value) {
+        if (value === undefined || value === null) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     showNotification(message, type = 'info') {
         // Create notification element
         const notification = document.createElement('div');
@@ -813,6 +898,8 @@ class AgriInfoApp {
                 notification.remove();
             }
         }, 5000);
+        
+        return notification;
     }
 
     editProfile() {
@@ -833,6 +920,12 @@ class AgriInfoApp {
         localStorage.setItem('agriUserProfile', JSON.stringify(this.userProfile));
         this.updateProfileUI();
         this.showNotification('Profile updated successfully!', 'success');
+        
+        // Recommend for the new county rather than the one picked earlier
+        if (this.recommender) {
+            this.recommender.choices = null;
+            this.recommender.render();
+        }
     }
 }
 
@@ -937,12 +1030,12 @@ class AgriMarketplace {
                                 
                                 <div class="form-row">
                                     <div class="form-group">
-                                        <label for="quantity">Quantity (kg) *</label>
+                                        <label for="quantity">Quantity (<span data-unit="weight">kg</span>) *</label>
                                         <input type="number" id="quantity" 
                                                placeholder="e.g., 500" min="1" required>
                                     </div>
                                     <div class="form-group">
-                                        <label for="price-per-kg">Price per Kg (KES) *</label>
+                                        <label for="price-per-kg">Price per <span data-unit="weight-singular">kg</span> (KES) *</label>
                                         <input type="number" id="price-per-kg" 
                                                placeholder="e.g., 50" min="1" required>
                                     </div>
@@ -1004,6 +1097,7 @@ class AgriMarketplace {
             </div>
         `;
         
+        this.app.units?.applyLabels(marketSection);
         this.setupMarketplaceEvents();
     }
 
@@ -1024,6 +1118,22 @@ class AgriMarketplace {
         
         // Sell form submission
         document.getElementById('sell-form')?.addEventListener('submit', (e) => this.handleSellForm(e));
+        
+        // Listing ids come from synced records, so they stay in data attributes rather than inline handlers
+        document.getElementById('listings-container')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-listing-id]');
+            if (button) this.contactFarmer(button.dataset.listingId);
+        });
+        document.getElementById('my-listings-container')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const { action, listingId, queueId } = button.dataset;
+            if (action === 'edit') this.editListing(listingId);
+            if (action === 'delete') this.deleteListing(listingId);
+            if (action === 'keep-mine') this.resolveConflict(queueId, 'mine');
+            if (action === 'keep-theirs') this.resolveConflict(queueId, 'theirs');
+        });
     }
 
     async loadMarketListings() {
@@ -1032,99 +1142,16 @@ class AgriMarketplace {
         
         container.innerHTML = '<p>🌱 Loading market listings...</p>';
         
-        try {
-            // Try network first
-            const networkListings = await this.fetchMarketListings();
-            
-            if (networkListings?.length > 0) {
-                await this.cacheListings(networkListings);
-                this.listings = networkListings;
-                this.displayListings(networkListings);
-            } else {
-                // Fallback to cache
-                const cached = await this.getCachedListings();
-                this.listings = cached;
-                this.displayListings(cached);
-            }
-        } catch (error) {
-            console.log('Using offline market data:', error);
-            const cached = await this.getCachedListings();
-            this.listings = cached;
-            this.displayListings(cached);
-        }
-    }
-
-    async fetchMarketListings() {
-        if (!navigator.onLine) {
+        // Download only what changed since the last pull, then read from IndexedDB
+        if (navigator.onLine) {
+            await agriSync.pullChanges('marketListings');
+        } else {
             console.log('Offline - using cached data');
-            return [];
         }
         
-        // In production, this would fetch from your backend API
-        // For demo, return sample data and simulate network delay
-        return new Promise(resolve => {
-            setTimeout(() => {
-                resolve([
-                    {
-                        id: 'listing_1',
-                        farmer: "Jane Muthoni",
-                        crop: "Grade 1 Maize",
-                        quantity: 500,
-                        pricePerKg: 55,
-                        location: "Nakuru",
-                        rating: 4.7,
-                        dateListed: new Date().toISOString().split('T')[0],
-                        delivery: true,
-                        phone: "+254712345678",
-                        description: "Freshly harvested Grade 1 maize. Dried and well stored."
-                    },
-                    {
-                        id: 'listing_2',
-                        farmer: "Omondi Farm",
-                        crop: "Organic Beans",
-                        quantity: 200,
-                        pricePerKg: 120,
-                        location: "Kiambu",
-                        rating: 4.9,
-                        dateListed: new Date(Date.now() - 86400000).toISOString().split('T')[0],
-                        delivery: false,
-                        phone: "+254723456789",
-                        description: "Organically grown beans. No pesticides used."
-                    },
-                    {
-                        id: 'listing_3',
-                        farmer: "Kariuki Fresh Produce",
-                        crop: "Fresh Tomatoes",
-                        quantity: 1000,
-                        pricePerKg: 80,
-                        location: "Murang'a",
-                        rating: 4.5,
-                        dateListed: new Date(Date.now() - 172800000).toISOString().split('T')[0],
-                        delivery: true,
-                        phone: "+254734567890",
-                        description: "Fresh tomatoes from Murang'a. Perfect for market."
-                    }
-                ]);
-            }, 1000);
-        });
-    }
-
-    async cacheListings(listings) {
-        try {
-            const storeName = 'marketListings';
-            
-            // Clear old cache
-            await agriDB.clearStore(storeName);
-            
-            // Add new listings
-            for (const listing of listings) {
-                await agriDB.addItem(storeName, listing);
-            }
-            
-            console.log(`Cached ${listings.length} listings`);
-        } catch (error) {
-            console.error('Error caching listings:', error);
-        }
+        const cached = await this.getCachedListings();
+        this.listings = cached;
+        this.displayListings(cached);
     }
 
     async getCachedListings() {
@@ -1152,24 +1179,25 @@ class AgriMarketplace {
             return;
         }
         
+        const escape = value => this.app.escapeHtml(value);
         container.innerHTML = listings.map(listing => `
             <div class="listing-card">
                 <div class="listing-header">
-                    <span class="farmer-badge">${listing.farmer.split(' ')[0]}</span>
-                    <span class="rating">⭐ ${listing.rating}</span>
+                    <span class="farmer-badge">${escape((listing.farmer || '').split(' ')[0])}</span>
+                    <span class="rating">⭐ ${escape(listing.rating)}</span>
                 </div>
-                <h4>${listing.crop}</h4>
+                <h4>${escape(listing.crop)}</h4>
                 <div class="listing-details">
-                    <p><strong>Quantity:</strong> ${listing.quantity} kg</p>
-                    <p><strong>Price:</strong> KES ${listing.pricePerKg}/kg</p>
-                    <p><strong>Total Value:</strong> KES ${(listing.quantity * listing.pricePerKg).toLocaleString()}</p>
-                    <p><strong>Location:</strong> ${listing.location} County</p>
+                    <p><strong>Quantity:</strong> ${this.app.units.weight(listing.quantity)}</p>
+                    <p><strong>Price:</strong> ${this.app.units.price(listing.pricePerKg)}</p>
+                    <p><strong>Total Value:</strong> KES ${Math.round(listing.quantity * listing.pricePerKg).toLocaleString()}</p>
+                    <p><strong>Location:</strong> ${escape(listing.location)} County</p>
                     <p><strong>Listed:</strong> ${new Date(listing.dateListed).toLocaleDateString()}</p>
-                    ${listing.description ? `<p><strong>Details:</strong> ${listing.description}</p>` : ''}
+                    ${listing.description ? `<p><strong>Details:</strong> ${escape(listing.description)}</p>` : ''}
                 </div>
                 <div class="listing-actions">
                     ${listing.delivery ? '<span class="delivery-badge">🚚 Delivery Available</span>' : ''}
-                    <button class="buy-btn" onclick="agriApp.marketplace.contactFarmer('${listing.id}')">
+                    <button class="buy-btn" data-listing-id="${escape(listing.id)}">
                         📞 Contact Farmer
                     </button>
                 </div>
@@ -1211,8 +1239,8 @@ class AgriMarketplace {
         if (searchQuery) {
             const query = searchQuery.toLowerCase();
             filtered = filtered.filter(listing => 
-                listing.crop.toLowerCase().includes(query) ||
-                listing.farmer.toLowerCase().includes(query) ||
+                (listing.crop || '').toLowerCase().includes(query) ||
+                (listing.farmer || '').toLowerCase().includes(query) ||
                 listing.description?.toLowerCase().includes(query)
             );
         }
@@ -1239,12 +1267,14 @@ class AgriMarketplace {
     async handleSellForm(event) {
         event.preventDefault();
         
+        // Listings are stored in kg and KES per kg whatever units the farmer typed
         const form = event.target;
+        const units = this.app.units;
         const formData = {
             crop: form.querySelector('#crop-name').value,
-            quantity: parseFloat(form.querySelector('#quantity').value),
-            pricePerKg: parseFloat(form.querySelector('#price-per-kg').value),
-            county: form.querySelector('#county').value,
+            quantity: units.toKg(parseFloat(form.querySelector('#quantity').value)),
+            pricePerKg: units.priceToKg(parseFloat(form.querySelector('#price-per-kg').value)),
+            location: form.querySelector('#county').value,
             description: form.querySelector('#description').value,
             phone: form.querySelector('#phone-contact').value || this.currentUser?.phone,
             farmer: this.currentUser?.name || 'Anonymous Farmer',
@@ -1254,7 +1284,7 @@ class AgriMarketplace {
         };
         
         // Validate
-        if (!formData.crop || !formData.quantity || !formData.pricePerKg || !formData.county) {
+        if (!formData.crop || !formData.quantity || !formData.pricePerKg || !formData.location) {
             this.app.showNotification('Please fill all required fields', 'error');
             return;
         }
@@ -1313,9 +1343,10 @@ class AgriMarketplace {
         const myListings = this.listings.filter(listing => 
             listing.farmerId === this.currentUser?.id
         );
+        const conflictsHtml = await this.renderConflicts();
         
         if (myListings.length === 0) {
-            container.innerHTML = `
+            container.innerHTML = conflictsHtml + `
                 <div class="empty-state">
                     <p>You haven't listed any produce yet.</p>
                     <button class="btn-primary" onclick="agriApp.marketplace.switchToTab('sell')">
@@ -1326,25 +1357,26 @@ class AgriMarketplace {
             return;
         }
         
-        container.innerHTML = myListings.map(listing => `
+        const escape = value => this.app.escapeHtml(value);
+        container.innerHTML = conflictsHtml + myListings.map(listing => `
             <div class="my-listing-card">
                 <div class="listing-header">
-                    <h4>${listing.crop}</h4>
-                    <span class="listing-status ${listing.status}">${listing.status}</span>
+                    <h4>${escape(listing.crop)}</h4>
+                    <span class="listing-status ${escape(listing.status)}">${escape(listing.status)}</span>
                 </div>
                 <div class="listing-details">
-                    <p><strong>Quantity:</strong> ${listing.quantity} kg</p>
-                    <p><strong>Price:</strong> KES ${listing.pricePerKg}/kg</p>
-                    <p><strong>Total Value:</strong> KES ${(listing.quantity * listing.pricePerKg).toLocaleString()}</p>
-                    <p><strong>Location:</strong> ${listing.location} County</p>
+                    <p><strong>Quantity:</strong> ${this.app.units.weight(listing.quantity)}</p>
+                    <p><strong>Price:</strong> ${this.app.units.price(listing.pricePerKg)}</p>
+                    <p><strong>Total Value:</strong> KES ${Math.round(listing.quantity * listing.pricePerKg).toLocaleString()}</p>
+                    <p><strong>Location:</strong> ${escape(listing.location)} County</p>
                     <p><strong>Listed:</strong> ${new Date(listing.dateListed).toLocaleDateString()}</p>
-                    ${listing.description ? `<p><strong>Description:</strong> ${listing.description}</p>` : ''}
+                    ${listing.description ? `<p><strong>Description:</strong> ${escape(listing.description)}</p>` : ''}
                 </div>
                 <div class="listing-actions">
-                    <button class="btn-secondary" onclick="agriApp.marketplace.editListing('${listing.id}')">
+                    <button class="btn-secondary" data-action="edit" data-listing-id="${escape(listing.id)}">
                         ✏️ Edit
                     </button>
-                    <button class="btn-secondary" onclick="agriApp.marketplace.deleteListing('${listing.id}')">
+                    <button class="btn-secondary" data-action="delete" data-listing-id="${escape(listing.id)}">
                         🗑️ Delete
                     </button>
                 </div>
@@ -1352,6 +1384,66 @@ class AgriMarketplace {
         `).join('');
     }
 
+    async renderConflicts() {
+        const conflicts = await agriSync.getConflicts('marketListings');
+        if (conflicts.length === 0) return '';
+        
+        const escape = value => this.app.escapeHtml(value);
+        const labels = {
+            pricePerKg: 'Price (KES/kg)',
+            quantity: 'Quantity (kg)'
+        };
+        
+        return conflicts.map(item => `
+            <div class="conflict-card">
+                <h4>⚠️ ${escape(item.data.crop)} was changed on another device</h4>
+                <p>Both devices changed this listing while offline. Choose which version to keep.</p>
+                <table class="conflict-table">
+                    <thead>
+                        <tr><th></th><th>This device</th><th>Other device</th></tr>
+                    </thead>
+                    <tbody>
+                        ${item.conflict.clashes.map(clash => `
+                            <tr>
+                                <th>${escape(labels[clash.field] || clash.field)}</th>
+                                <td>${escape(clash.local)}</td>
+                                <td>${escape(clash.remote)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="listing-actions">
+                    <button class="btn-primary" data-action="keep-mine" data-queue-id="${escape(item.id)}">
+                        Keep mine
+                    </button>
+                    <button class="btn-secondary" data-action="keep-theirs" data-queue-id="${escape(item.id)}">
+                        Keep theirs
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async resolveConflict(queueItemId, choice) {
+        try {
+            const resolved = await agriSync.resolveConflict(queueItemId, choice);
+            if (!resolved) return;
+            
+            const index = this.listings.findIndex(l => l.id === resolved.id);
+            if (index >= 0) {
+                this.listings[index] = resolved;
+            }
+            
+            this.displayListings(this.listings);
+            await this.loadMyListings();
+            
+            this.app.showNotification('Listing conflict resolved', 'success');
+        } catch (error) {
+            console.error('Error resolving conflict:', error);
+            this.app.showNotification('Error resolving conflict', 'error');
+        }
+    }
+
     switchToTab(tabName) {
         const tabBtn = document.querySelector(`.tab-btn[data-tab="${tabName}"]`);
         if (tabBtn) {
@@ -1359,12 +1451,14 @@ class AgriMarketplace {
         }
     }
 
-    contactFarmer(listingId) {
-        const listing = this.listings.find(l => l.id === listingId);
+    async contactFarmer(listingId) {
+        // Crop pages show listings that may not be loaded into the marketplace yet
+        const listing = this.listings.find(l => l.id === listingId) ||
+            await agriDB.getItem('marketListings', listingId);
         if (!listing) return;
         
         const message = `Hello, I'm interested in your ${listing.crop} listed on AgriInfo Kenya. ` +
-                       `Quantity: ${listing.quantity}kg, Price: KES ${listing.pricePerKg}/kg. ` +
+                       `Quantity: ${this.app.units.weight(listing.quantity)}, Price: ${this.app.units.price(listing.pricePerKg)}. ` +
                        `Can we discuss further?`;
         
         // Create WhatsApp link
@@ -1384,14 +1478,33 @@ class AgriMarketplace {
         const listing = this.listings.find(l => l.id === listingId);
         if (!listing) return;
         
-        const newPrice = prompt('Enter new price per kg (KES):', listing.pricePerKg);
+        const units = this.app.units;
+        const shownPrice = +units.priceFromKg(listing.pricePerKg).toFixed(2);
+        const newPrice = prompt(`Enter new price per ${units.weightUnit(1)} (KES):`, shownPrice);
         if (newPrice === null) return;
         
-        const newQuantity = prompt('Enter new quantity (kg):', listing.quantity);
+        const shownQuantity = +units.fromKg(listing.quantity).toFixed(2);
+        const newQuantity = prompt(`Enter new quantity (${units.weightUnit()}):`, shownQuantity);
         if (newQuantity === null) return;
         
-        listing.pricePerKg = parseFloat(newPrice);
-        listing.quantity = parseFloat(newQuantity);
+        const price = parseFloat(newPrice);
+        const quantity = parseFloat(newQuantity);
+        if (!(price > 0) || !(quantity >= 0)) {
+            this.app.showNotification('Please enter a valid price and quantity', 'error');
+            return;
+        }
+        
+        // The prompts show rounded values in the farmer's units; converting an unchanged one back
+        // would shift the stored kg figure and sync it as an edit, so only changed fields are written
+        const changes = {};
+        if (price !== shownPrice) changes.pricePerKg = units.priceToKg(price);
+        if (quantity !== shownQuantity) changes.quantity = units.toKg(quantity);
+        if (Object.keys(changes).length === 0) return;
+        
+        // Snapshot before editing so sync can tell which fields this device changed
+        const previous = { ...listing };
+        
+        Object.assign(listing, changes);
         listing.lastUpdated = new Date().toISOString();
         
         // Update in database
@@ -1402,7 +1515,7 @@ class AgriMarketplace {
         await this.loadMyListings();
         
         // Queue for sync
-        agriSync.recordListingUpdate(listing);
+        agriSync.recordListingUpdate(listing, previous);
         
         this.app.showNotification('Listing updated successfully!', 'success');
     }
@@ -1457,20 +1570,9 @@ class AgriMarketplace {
         if (!navigator.onLine) return;
         
         try {
-            // Get unsynced listings
-            const unsynced = await agriDB.getUnsyncedItems();
-            
-            if (unsynced.length > 0) {
-                // In production, send to backend API
-                console.log(`Syncing ${unsynced.length} listings...`);
-                
-                // Mark as synced
-                for (const item of unsynced) {
-                    await agriDB.markAsSynced(item.id);
-                }
-                
-                this.app.showNotification(`${unsynced.length} listings synced`, 'success');
-            }
+            // Upload pending changes first, then download what other farmers changed
+            await agriSync.processQueue();
+            await this.loadMarketListings();
         } catch (error) {
             console.error('Sync error:', error);
         }
@@ -0,0 +1,375 @@
+// Saved results from the Tools section: each calculation is kept with its inputs so it can be
+// re-run, attached to a plot and season, shared as text or printed.
+class AgriCalculationHistory {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.entries = [];
+        this.rerunId = null; // entry being re-run, updated in place instead of saved again
+        this.limit = 20;
+    }
+
+    // Form fields for each tool; the kind tells AgriUnits how to store the value independent of unit preferences
+    static tools = {
+        seed: {
+            label: 'Seed requirement',
+            icon: '🌱',
+            calculator: 'seedCalculator',
+            result: 'seed-result',
+            inputs: {
+                'land-area': 'land', 'crop-type': null, 'seed-method': null, 'seed-row-spacing': null, 'seed-plant-spacing': null,
+                'seed-per-hole': null, 'seed-germination': null, 'seed-weight': null, 'seed-price': null
+            }
+        },
+        water: {
+            label: 'Irrigation plan',
+            icon: '💧',
+            calculator: 'irrigationScheduler',
+            result: 'water-result',
+            inputs: {
+                'water-area': 'land', 'irrigation-crop': null, 'irrigation-planting-date': null, 'soil-type': null,
+                'irrigation-method': null, 'irrigation-flow': null, 'irrigation-days': null
+            }
+        },
+        fertilizer: {
+            label: 'Fertilizer plan',
+            icon: '🧪',
+            calculator: 'fertilizerCalculator',
+            result: 'fertilizer-result',
+            inputs: {
+                'fertilizer-crop': null, 'fertilizer-area': 'land', 'soil-test-n': null, 'soil-test-p': null, 'soil-test-k': null, 'soil-test-ph': null
+            }
+        },
+        profit: {
+            label: 'Enterprise budget',
+            icon: '💰',
+            calculator: 'profitCalculator',
+            result: 'profit-result',
+            inputs: {
+                'profit-crop': null, 'profit-season': null, 'profit-year': null, 'farm-size': 'land',
+                'crop-yield-low': 'yield', 'crop-yield': 'yield', 'crop-yield-high': 'yield',
+                'market-price-low': 'price', 'market-price': 'price', 'market-price-high': 'price',
+                'profit-cost-seed': 'perLand', 'profit-cost-fertilizer': 'perLand', 'profit-cost-labour': 'perLand',
+                'profit-cost-chemicals': 'perLand', 'profit-cost-transport': 'perLand', 'profit-cost-other': 'perLand'
+            }
+        }
+    };
+
+    // Result markup -> lines of text for sharing: paragraphs and rows on their own lines, cells separated by |
+    static toPlainText(html) {
+        const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#039;': "'", '&nbsp;': ' ' };
+        return String(html || '')
+            .replace(/<\/t[hd]>/gi, ' | ')
+            .replace(/<br\s*\/?>/gi, ' ')
+            .replace(/<\/(p|h[1-6]|li|tr|ul|ol|div|table)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&(amp|lt|gt|quot|nbsp|#0?39);/g, entity => entities[entity])
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').replace(/\s*\|\s*$/, '').trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    static attachmentLabel(entry) {
+        const season = entry.season ? `${AgriCropRecommender.seasons[entry.season]?.label || entry.season} ${entry.year}` : '';
+        return [entry.plotName, season].filter(Boolean).join(', ');
+    }
+
+    // Called by each tool after it writes a result
+    async record(toolKey, crop) {
+        const tool = AgriCalculationHistory.tools[toolKey];
+        const result = document.getElementById(tool?.result);
+        if (!tool || !result) return;
+
+        const inputs = {};
+        Object.entries(tool.inputs).forEach(([id, kind]) => {
+            const element = document.getElementById(id);
+            if (!element || element.value === '') return;
+            const value = parseFloat(element.value);
+            inputs[id] = kind && !isNaN(value) ? this.app.units.toBase(kind, value) : element.value;
+        });
+
+        const now = new Date().toISOString();
+        const existing = this.entries.find(entry => entry.id === this.rerunId);
+        const entry = {
+            ...(existing || { createdAt: now, plotId: null, plotName: null, year: null, season: null }),
+            tool: toolKey,
+            cropId: crop?.id ?? null,
+            cropName: crop?.name || '',
+            inputs,
+            html: result.innerHTML,
+            text: AgriCalculationHistory.toPlainText(result.innerHTML),
+            updatedAt: now
+        };
+
+        try {
+            const saved = await agriDB.saveCalculation(entry);
+            this.entries = [saved, ...this.entries.filter(item => item.id !== saved.id)];
+            this.render();
+        } catch (error) {
+            console.error('Error saving calculation:', error);
+        }
+    }
+
+    async load() {
+        try {
+            this.entries = await agriDB.getCalculations();
+        } catch (error) {
+            console.error('Error loading calculation history:', error);
+            this.entries = [];
+        }
+    }
+
+    async rerun(id) {
+        const entry = this.entries.find(item => item.id === id);
+        const tool = AgriCalculationHistory.tools[entry?.tool];
+        if (!tool) return;
+
+        // Wait for the calculators to load their crop lists before filling them in
+        this.app.navigate('#tools');
+        await this.app.sectionLoading;
+
+        Object.entries(tool.inputs).forEach(([inputId, kind]) => {
+            const element = document.getElementById(inputId);
+            if (!element) return;
+            const value = entry.inputs[inputId];
+            element.value = value === undefined ? '' : kind ? +this.app.units.fromBase(kind, value).toFixed(2) : value;
+        });
+        if (entry.tool === 'seed') this.app.seedCalculator.updateLabels(entry.inputs['seed-method']);
+
+        this.rerunId = entry.id;
+        try {
+            await this.app[tool.calculator].calculate();
+        } finally {
+            this.rerunId = null;
+        }
+        document.getElementById(tool.result)?.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async attach(event, id) {
+        event.preventDefault();
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) return;
+
+        const form = event.target;
+        const plotId = form.querySelector('[name="plot"]').value || null;
+        const plot = plotId ? (await agriDB.getPlots()).find(item => item.id === plotId) : null;
+        const season = form.querySelector('[name="season"]').value || null;
+        const year = parseInt(form.querySelector('[name="year"]').value, 10) || null;
+
+        try {
+            const saved = await agriDB.saveCalculation({
+                ...entry,
+                plotId: plot?.id || null,
+                plotName: plot?.name || null,
+                season,
+                year: season ? year : null
+            });
+            this.entries = this.entries.map(item => item.id === id ? saved : item);
+            this.render();
+            this.app.showNotification(AgriCalculationHistory.attachmentLabel(saved) ? `Attached to ${AgriCalculationHistory.attachmentLabel(saved)}` : 'Attachment removed', 'success');
+        } catch (error) {
+            console.error('Error attaching calculation:', error);
+            this.app.showNotification('Could not attach the calculation', 'error');
+        }
+    }
+
+    async remove(id) {
+        if (!confirm('Delete this saved calculation?')) return;
+
+        try {
+            await agriDB.deleteCalculation(id);
+            this.entries = this.entries.filter(item => item.id !== id);
+            this.render();
+        } catch (error) {
+            console.error('Error deleting calculation:', error);
+            this.app.showNotification('Could not delete the calculation', 'error');
+        }
+    }
+
+    shareText(entry) {
+        const tool = AgriCalculationHistory.tools[entry.tool];
+        const attached = AgriCalculationHistory.attachmentLabel(entry);
+        return [
+            `${tool.label}${entry.cropName ? `: ${entry.cropName}` : ''}`,
+            `${new Date(entry.updatedAt).toLocaleDateString()}${attached ? ` · ${attached}` : ''}`,
+            '',
+            entry.text,
+            '',
+            'Calculated with AgriInfo Kenya'
+        ].join('\n');
+    }
+
+    async share(id) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) return;
+
+        const title = `${AgriCalculationHistory.tools[entry.tool].label} - AgriInfo Kenya`;
+        const text = this.shareText(entry);
+
+        try {
+            if (navigator.share) {
+                await navigator.share({ title, text });
+            } else if (navigator.clipboard) {
+                await navigator.clipboard.writeText(text);
+                this.app.showNotification('Result copied', 'success');
+            } else {
+                prompt('Copy this result:', text);
+            }
+        } catch (error) {
+            // Closing the share sheet rejects with AbortError; nothing to report
+            if (error.name !== 'AbortError') {
+                console.error('Error sharing calculation:', error);
+            }
+        }
+    }
+
+    // Opens the result on its own page so only the summary is printed
+    print(id) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) return;
+
+        const view = window.open('', '_blank');
+        if (!view) {
+            this.app.showNotification('Allow pop-ups to print this result', 'error');
+            return;
+        }
+
+        const escape = value => this.app.escapeHtml(value);
+        const tool = AgriCalculationHistory.tools[entry.tool];
+        const attached = AgriCalculationHistory.attachmentLabel(entry);
+        view.document.write(`<!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <title>${escape(tool.label)} - AgriInfo Kenya</title>
+                <style>
+                    body { font-family: system-ui, sans-serif; margin: 2cm; color: #000; }
+                    table { border-collapse: collapse; width: 100%; }
+                    th, td { border-bottom: 1px solid #ccc; padding: 4px; text-align: left; }
+                </style>
+            </head>
+            <body>
+                <h1>${tool.icon} ${escape(tool.label)}${entry.cropName ? `: ${escape(entry.cropName)}` : ''}</h1>
+                <p>${new Date(entry.updatedAt).toLocaleString()}${attached ? ` · ${escape(attached)}` : ''}</p>
+                ${entry.html}
+                <p><small>Calculated with AgriInfo Kenya. These calculations are estimates.</small></p>
+            </body>
+            </html>`);
+        view.document.close();
+        view.focus();
+        view.print();
+    }
+
+    async render() {
+        const container = document.getElementById('calculation-history');
+        if (!container) return;
+
+        if (this.entries.length === 0) {
+            container.innerHTML = '<p class="empty-state">Calculations you run above are saved here.</p>';
+            return;
+        }
+
+        const escape = value => this.app.escapeHtml(value);
+        const plots = await agriDB.getPlots();
+        const seasons = AgriCropRecommender.seasons;
+        const thisYear = new Date().getFullYear();
+
+        container.innerHTML = `
+            <ul class="calculation-list">
+                ${this.entries.slice(0, this.limit).map(entry => {
+                    const tool = AgriCalculationHistory.tools[entry.tool];
+                    const attached = AgriCalculationHistory.attachmentLabel(entry);
+                    return `
+                        <li class="calculation-entry" data-calculation-id="${escape(entry.id)}">
+                            <div class="calculation-header">
+                                <strong>${tool.icon} ${escape(tool.label)}${entry.cropName ? `: ${escape(entry.cropName)}` : ''}</strong>
+                                <small>${new Date(entry.updatedAt).toLocaleString()}${attached ? ` · 📌 ${escape(attached)}` : ''}</small>
+                            </div>
+                            <details>
+                                <summary>Result</summary>
+                                <pre class="calculation-text">${escape(entry.text)}</pre>
+                            </details>
+                            <div class="calculation-actions no-print">
+                                <button class="btn-secondary" data-action="rerun">🔁 Re-run</button>
+                                <button class="btn-secondary" data-action="share">📤 Share</button>
+                                <button class="btn-secondary" data-action="print">🖨️ Print</button>
+                                <button class="btn-secondary" data-action="remove" aria-label="Delete calculation">🗑️</button>
+                            </div>
+                            <details class="no-print">
+                                <summary>Attach to a plot or season</summary>
+                                <form class="form-row">
+                                    <div class="input-group">
+                                        <label>Plot
+                                            <select name="plot">
+                                                <option value="">No plot</option>
+                                                ${plots.map(plot => `<option value="${escape(plot.id)}" ${plot.id === entry.plotId ? 'selected' : ''}>${escape(plot.name)}</option>`).join('')}
+                                            </select>
+                                        </label>
+                                    </div>
+                                    <div class="input-group">
+                                        <label>Season
+                                            <select name="season">
+                                                <option value="">No season</option>
+                                                ${Object.entries(seasons).map(([key, season]) =>
+                                                    `<option value="${key}" ${key === entry.season ? 'selected' : ''}>${escape(season.label)}</option>`).join('')}
+                                            </select>
+                                        </label>
+                                    </div>
+                                    <div class="input-group">
+                                        <label>Year
+                                            <input type="number" name="year" value="${escape(entry.year || thisYear)}" min="1990" max="${thisYear + 1}">
+                                        </label>
+                                    </div>
+                                    <button type="submit" class="btn-secondary">Save</button>
+                                </form>
+                            </details>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+            ${this.entries.length > this.limit ? `<p><small>Showing the latest ${this.limit} of ${this.entries.length} calculations.</small></p>` : ''}
+        `;
+
+        // Ids can come from imported backups, so they stay out of inline handlers
+        container.querySelectorAll('li[data-calculation-id]').forEach(item => {
+            const id = item.dataset.calculationId;
+            item.querySelectorAll('button[data-action]').forEach(button => {
+                button.addEventListener('click', () => this[button.dataset.action](id));
+            });
+            item.querySelector('form')?.addEventListener('submit', event => this.attach(event, id));
+        });
+    }
+
+    // Calculations attached to a plot, shown under its planting calendar
+    async renderForPlot(plot) {
+        const container = document.getElementById('plot-calculations');
+        if (!container) return;
+
+        const attached = plot ? await agriDB.getCalculations(plot.id) : [];
+        if (attached.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const escape = value => this.app.escapeHtml(value);
+        container.innerHTML = `
+            <div class="sync-center-group">
+                <h3>🧮 Calculations for ${escape(plot.name)}</h3>
+                <ul class="calculation-list">
+                    ${attached.map(entry => {
+                        const tool = AgriCalculationHistory.tools[entry.tool];
+                        return `
+                            <li class="calculation-entry">
+                                <div class="calculation-header">
+                                    <strong>${tool.icon} ${escape(tool.label)}${entry.cropName ? `: ${escape(entry.cropName)}` : ''}</strong>
+                                    <small>${escape(AgriCalculationHistory.attachmentLabel({ ...entry, plotName: null }) || new Date(entry.updatedAt).toLocaleDateString())}</small>
+                                </div>
+                                <pre class="calculation-text">${escape(entry.text)}</pre>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </div>
+        `;
+    }
+}
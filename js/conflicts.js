@@ -0,0 +1,86 @@
+// Conflict resolution for records edited offline on several devices
+// Three-way merge of a queued update against the server's current copy.
+
+class AgriConflictResolver {
+    // Fields the farmer must choose between when both devices changed them
+    static blockingFields = {
+        marketListings: ['pricePerKg', 'quantity']
+    };
+
+    // Bookkeeping fields that never take part in a merge
+    static ignoredFields = ['id', 'revision', 'lastUpdated', 'updatedAt'];
+
+    // Work out which fields the farmer changed and what they were before the edit
+    static diff(previous, current) {
+        const base = {};
+        const keys = new Set([...Object.keys(previous || {}), ...Object.keys(current || {})]);
+
+        keys.forEach(key => {
+            if (this.ignoredFields.includes(key)) return;
+            if (!this.isEqual(previous?.[key], current?.[key])) {
+                base[key] = previous ? previous[key] : undefined;
+            }
+        });
+
+        return base;
+    }
+
+    // base: values before the local edit (changed fields only)
+    // local: the full record as edited on this device
+    // remote: the full record currently on the server
+    static merge(collection, { base = {}, local = {}, remote = {} }) {
+        const merged = { ...remote };
+        const clashes = [];
+
+        Object.keys(base).forEach(field => {
+            const remoteChanged = !this.isEqual(remote[field], base[field]);
+            const sameResult = this.isEqual(remote[field], local[field]);
+
+            if (!remoteChanged || sameResult) {
+                merged[field] = local[field];
+                return;
+            }
+
+            clashes.push({
+                field,
+                base: base[field],
+                local: local[field],
+                remote: remote[field]
+            });
+
+            // Non-critical fields: the edit on this device wins
+            merged[field] = local[field];
+        });
+
+        const blocking = this.blockingFields[collection] || [];
+
+        return {
+            merged,
+            clashes,
+            needsFarmer: clashes.some(clash => blocking.includes(clash.field))
+        };
+    }
+
+    // Apply the farmer's choice to a conflicted queue item
+    static resolve(conflict, choice) {
+        const resolved = { ...conflict.merged };
+        conflict.clashes.forEach(clash => {
+            resolved[clash.field] = choice === 'mine' ? clash.local : clash.remote;
+        });
+        return resolved;
+    }
+
+    static isEqual(a, b) {
+        if (a === b) return true;
+        if (a === undefined || b === undefined || a === null || b === null) return false;
+        if (typeof a === 'object' || typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return String(a) === String(b);
+    }
+}
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AgriConflictResolver };
+}
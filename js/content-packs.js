@@ -0,0 +1,180 @@
+// Content packs: versioned crop libraries shipped as JSON files (data/crops-data.json and future packs)
+// Crops, fertilizers and conversion rates are upserted by id; records the farmer edited or deleted are left alone.
+
+class AgriContentPacks {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.packUrls = ['/data/crops-data.json'];
+        this.available = new Map(); // pack id -> downloaded pack waiting for the farmer to install
+    }
+
+    // Pack files have no id of their own yet, so the file path identifies them
+    packId(url, pack) {
+        return (pack.metadata && pack.metadata.id) || url.replace(/^.*\//, '').replace(/\.json$/, '');
+    }
+
+    // Compare dotted version strings: '2.10' is newer than '2.9'
+    static compareVersions(a, b) {
+        const partsA = String(a).split('.').map(n => parseInt(n, 10) || 0);
+        const partsB = String(b).split('.').map(n => parseInt(n, 10) || 0);
+
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff > 0 ? 1 : -1;
+        }
+        return 0;
+    }
+
+    async fetchPack(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Could not download content pack ${url} (${response.status})`);
+        }
+
+        const pack = await response.json();
+        if (!pack.metadata || !pack.metadata.version || !Array.isArray(pack.crops)) {
+            throw new Error(`Content pack ${url} is missing metadata.version or crops`);
+        }
+        return pack;
+    }
+
+    async getInstalled(packId) {
+        return agriDB.getSetting(`contentPack:${packId}`);
+    }
+
+    // Run at startup: seed an empty library straight away, otherwise offer newer packs.
+    // Returns the number of packs installed without asking.
+    async checkForUpdates() {
+        const crops = await agriDB.getAllCrops();
+        let installedCount = 0;
+
+        for (const url of this.packUrls) {
+            try {
+                const pack = await this.fetchPack(url);
+                const packId = this.packId(url, pack);
+                const installed = await this.getInstalled(packId);
+
+                if (!installed && crops.length === 0) {
+                    await this.install(url, pack);
+                    installedCount++;
+                    continue;
+                }
+
+                if (!installed || AgriContentPacks.compareVersions(pack.metadata.version, installed.version) > 0) {
+                    this.available.set(packId, { url, pack });
+                    this.offerUpdate(packId, pack, installed);
+                }
+            } catch (error) {
+                // Offline on first start, or the pack isn't cached yet: try again next time
+                console.log('Content pack check skipped:', error.message);
+            }
+        }
+
+        return installedCount;
+    }
+
+    offerUpdate(packId, pack, installed) {
+        const escape = value => this.app.escapeHtml(value);
+        const name = pack.metadata.name ? `${escape(pack.metadata.name)} ` : '';
+        const from = installed ? ` (you have ${escape(installed.version)})` : '';
+        const notification = this.app.showNotification(
+            `New crop information available: ${name}version ${escape(pack.metadata.version)}${from}. ` +
+            '<button class="btn-secondary" data-action="install-pack">Update</button>',
+            'info'
+        );
+
+        // The pack id comes from the downloaded file, so it stays out of the markup
+        notification?.querySelector('[data-action="install-pack"]')?.addEventListener('click', () => this.installAvailable(packId));
+    }
+
+    async installAvailable(packId) {
+        const available = this.available.get(packId);
+        if (!available) return;
+
+        try {
+            const result = await this.install(available.url, available.pack);
+            this.available.delete(packId);
+
+            await this.app.loadInitialData();
+            this.app.showNotification(
+                `Crop library updated to version ${this.app.escapeHtml(result.version)}` +
+                (result.kept > 0 ? ` (kept ${result.kept} record${result.kept !== 1 ? 's' : ''} you edited)` : ''),
+                'success'
+            );
+        } catch (error) {
+            console.error('Error installing content pack:', error);
+            this.app.showNotification('Could not update the crop library', 'error');
+        }
+    }
+
+    // Download (if needed) and install a pack. Returns counts of what changed.
+    async install(url, pack = null) {
+        pack = pack || await this.fetchPack(url);
+        const packId = this.packId(url, pack);
+        const version = pack.metadata.version;
+        const result = { packId, version, crops: 0, fertilizers: 0, kept: 0, removed: 0, deleted: 0 };
+        const deletedCrops = await agriDB.getDeletedCrops();
+
+        for (const crop of pack.crops) {
+            // Deleted by the farmer: stays deleted
+            if (deletedCrops[crop.id]) {
+                result.deleted++;
+                continue;
+            }
+
+            const existing = await agriDB.getCrop(crop.id);
+            if (existing && existing.editedLocally) {
+                result.kept++;
+                continue;
+            }
+            await agriDB.updateCrop({ ...crop, contentPack: { id: packId, version } });
+            result.crops++;
+        }
+
+        result.removed = await this.removeLegacySamples(pack.crops);
+
+        for (const fertilizer of pack.fertilizers || []) {
+            const existing = await agriDB.getItem('fertilizers', fertilizer.name);
+            if (existing && existing.editedLocally) {
+                result.kept++;
+                continue;
+            }
+            await agriDB.updateItem('fertilizers', { ...fertilizer, contentPack: { id: packId, version } });
+            result.fertilizers++;
+        }
+
+        if (pack.conversionRates) {
+            await agriDB.setSetting('conversionRates', pack.conversionRates);
+            AgriUnits.useRates(pack.conversionRates);
+        }
+
+        await agriDB.setSetting(`contentPack:${packId}`, {
+            version,
+            installedAt: new Date().toISOString(),
+            lastUpdated: pack.metadata.lastUpdated || null,
+            source: pack.metadata.source || null
+        });
+
+        console.log(`Installed content pack ${packId} ${version}:`, result);
+        return result;
+    }
+
+    // Older builds seeded crops with numeric ids 1-4; drop them once the pack provides the same crop
+    async removeLegacySamples(packCrops) {
+        const names = new Set(packCrops.map(crop => crop.name.toLowerCase()));
+        const crops = await agriDB.getAllCrops();
+        let removed = 0;
+
+        for (const crop of crops) {
+            if (typeof crop.id === 'number' && !crop.editedLocally && names.has(String(crop.name).toLowerCase())) {
+                await agriDB.deleteCrop(crop.id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    async getFertilizers() {
+        return agriDB.getAllItems('fertilizers');
+    }
+}
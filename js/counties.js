@@ -0,0 +1,106 @@
+// Kenya's 47 counties, grouped by former province, with a position on a simple tile map
+// (x: west to east, y: north to south) so crop and listing views can draw an offline county map.
+// altitude (metres) and rainfall (mm per year) are the farmed range of each county's agro-ecological zones.
+
+class AgriCounties {
+    static list = [
+        { name: 'Turkana', region: 'Rift Valley', x: 1, y: 0, altitude: [370, 900], rainfall: [120, 500] },
+        { name: 'Marsabit', region: 'Eastern', x: 5, y: 0, altitude: [300, 1700], rainfall: [200, 1000] },
+        { name: 'Mandera', region: 'North Eastern', x: 7, y: 0, altitude: [200, 970], rainfall: [150, 300] },
+
+        { name: 'West Pokot', region: 'Rift Valley', x: 1, y: 1, altitude: [900, 3300], rainfall: [400, 1500] },
+        { name: 'Elgeyo Marakwet', region: 'Rift Valley', x: 2, y: 1, altitude: [900, 3350], rainfall: [700, 1700] },
+        { name: 'Samburu', region: 'Rift Valley', x: 3, y: 1, altitude: [800, 2750], rainfall: [250, 700] },
+        { name: 'Isiolo', region: 'Eastern', x: 5, y: 1, altitude: [200, 1400], rainfall: [150, 650] },
+        { name: 'Wajir', region: 'North Eastern', x: 7, y: 1, altitude: [150, 460], rainfall: [150, 300] },
+
+        { name: 'Trans Nzoia', region: 'Rift Valley', x: 1, y: 2, altitude: [1400, 2200], rainfall: [1000, 1500] },
+        { name: 'Uasin Gishu', region: 'Rift Valley', x: 2, y: 2, altitude: [1500, 2700], rainfall: [900, 1300] },
+        { name: 'Baringo', region: 'Rift Valley', x: 3, y: 2, altitude: [700, 3000], rainfall: [600, 1500] },
+        { name: 'Laikipia', region: 'Rift Valley', x: 4, y: 2, altitude: [1500, 2600], rainfall: [400, 750] },
+        { name: 'Meru', region: 'Eastern', x: 5, y: 2, altitude: [600, 2500], rainfall: [500, 2600] },
+        { name: 'Garissa', region: 'North Eastern', x: 7, y: 2, altitude: [70, 400], rainfall: [250, 500] },
+
+        { name: 'Bungoma', region: 'Western', x: 0, y: 3, altitude: [1200, 1800], rainfall: [1200, 1800] },
+        { name: 'Kakamega', region: 'Western', x: 1, y: 3, altitude: [1250, 2000], rainfall: [1280, 2200] },
+        { name: 'Nandi', region: 'Rift Valley', x: 2, y: 3, altitude: [1300, 2500], rainfall: [1200, 2000] },
+        { name: 'Nakuru', region: 'Rift Valley', x: 3, y: 3, altitude: [1500, 3000], rainfall: [700, 1200] },
+        { name: 'Nyandarua', region: 'Central', x: 4, y: 3, altitude: [2000, 3900], rainfall: [700, 1500] },
+        { name: 'Tharaka Nithi', region: 'Eastern', x: 5, y: 3, altitude: [500, 2500], rainfall: [500, 2200] },
+        { name: 'Tana River', region: 'Coast', x: 7, y: 3, altitude: [0, 500], rainfall: [300, 600] },
+
+        { name: 'Busia', region: 'Western', x: 0, y: 4, altitude: [1130, 1500], rainfall: [1000, 1800] },
+        { name: 'Vihiga', region: 'Western', x: 1, y: 4, altitude: [1300, 1800], rainfall: [1800, 2000] },
+        { name: 'Kericho', region: 'Rift Valley', x: 2, y: 4, altitude: [1600, 2500], rainfall: [1400, 2100] },
+        { name: 'Nyeri', region: 'Central', x: 4, y: 4, altitude: [1200, 2500], rainfall: [800, 1800] },
+        { name: 'Embu', region: 'Eastern', x: 5, y: 4, altitude: [500, 2000], rainfall: [600, 1500] },
+        { name: 'Kitui', region: 'Eastern', x: 6, y: 4, altitude: [400, 1800], rainfall: [500, 1050] },
+        { name: 'Lamu', region: 'Coast', x: 7, y: 4, altitude: [0, 100], rainfall: [550, 900] },
+
+        { name: 'Siaya', region: 'Nyanza', x: 0, y: 5, altitude: [1140, 1400], rainfall: [800, 2000] },
+        { name: 'Kisumu', region: 'Nyanza', x: 1, y: 5, altitude: [1130, 1800], rainfall: [1000, 1800] },
+        { name: 'Bomet', region: 'Rift Valley', x: 2, y: 5, altitude: [1700, 2300], rainfall: [1000, 1400] },
+        { name: 'Narok', region: 'Rift Valley', x: 3, y: 5, altitude: [1000, 3000], rainfall: [500, 1800] },
+        { name: "Murang'a", region: 'Central', x: 4, y: 5, altitude: [900, 3300], rainfall: [900, 2000] },
+        { name: 'Kirinyaga', region: 'Central', x: 5, y: 5, altitude: [1100, 2500], rainfall: [1000, 2000] },
+        { name: 'Kilifi', region: 'Coast', x: 7, y: 5, altitude: [0, 400], rainfall: [600, 1200] },
+
+        { name: 'Homa Bay', region: 'Nyanza', x: 0, y: 6, altitude: [1100, 1800], rainfall: [700, 1200] },
+        { name: 'Kisii', region: 'Nyanza', x: 1, y: 6, altitude: [1500, 2100], rainfall: [1200, 2100] },
+        { name: 'Nyamira', region: 'Nyanza', x: 2, y: 6, altitude: [1400, 2100], rainfall: [1200, 2100] },
+        { name: 'Kiambu', region: 'Central', x: 4, y: 6, altitude: [1200, 2500], rainfall: [600, 2000] },
+        { name: 'Machakos', region: 'Eastern', x: 5, y: 6, altitude: [800, 2100], rainfall: [500, 1300] },
+        { name: 'Makueni', region: 'Eastern', x: 6, y: 6, altitude: [600, 1900], rainfall: [500, 1100] },
+        { name: 'Mombasa', region: 'Coast', x: 7, y: 6, altitude: [0, 100], rainfall: [900, 1200] },
+
+        { name: 'Migori', region: 'Nyanza', x: 0, y: 7, altitude: [1100, 1600], rainfall: [700, 1800] },
+        { name: 'Kajiado', region: 'Rift Valley', x: 3, y: 7, altitude: [500, 2500], rainfall: [300, 1200] },
+        { name: 'Nairobi', region: 'Nairobi', x: 4, y: 7, altitude: [1500, 1900], rainfall: [800, 1100] },
+        { name: 'Taita Taveta', region: 'Coast', x: 6, y: 7, altitude: [500, 2200], rainfall: [400, 1300] },
+        { name: 'Kwale', region: 'Coast', x: 7, y: 7, altitude: [0, 460], rainfall: [400, 1300] }
+    ];
+
+    static names() {
+        return this.list.map(county => county.name).sort();
+    }
+
+    // Spelling varies between sources ("Murang'a", "Muranga", "Elgeyo-Marakwet", "Nakuru County")
+    static normalize(name) {
+        return String(name || '').toLowerCase().replace(/\bcounty\b/g, '').replace(/[^a-z]/g, '');
+    }
+
+    static find(name) {
+        const key = this.normalize(name);
+        return this.list.find(county => this.normalize(county.name) === key) || null;
+    }
+
+    // "Highland, sub-humid" from altitude and rainfall, using the mid-point of each range
+    static zoneOf(county) {
+        if (!county?.altitude || !county?.rainfall) return null;
+        const altitude = (county.altitude[0] + county.altitude[1]) / 2;
+        const rainfall = (county.rainfall[0] + county.rainfall[1]) / 2;
+
+        const band = altitude >= 1800 ? 'Highland' : altitude >= 1000 ? 'Midland' : 'Lowland';
+        const moisture = rainfall >= 1200 ? 'humid' : rainfall >= 800 ? 'sub-humid' : rainfall >= 500 ? 'semi-arid' : 'arid';
+        return `${band}, ${moisture}`;
+    }
+
+    // Tile map of all counties with the given ones highlighted
+    static renderMap(highlighted = [], escapeHtml = value => value) {
+        const selected = new Set(highlighted.map(name => this.find(name)?.name).filter(Boolean));
+        const columns = Math.max(...this.list.map(county => county.x)) + 1;
+
+        return `
+            <div class="county-map" style="grid-template-columns: repeat(${columns}, 1fr);" role="img"
+                 aria-label="Kenya county map${selected.size ? `: ${escapeHtml([...selected].join(', '))}` : ''}">
+                ${this.list.map(county => `
+                    <div class="county-tile ${selected.has(county.name) ? 'highlighted' : ''}"
+                         style="grid-column: ${county.x + 1}; grid-row: ${county.y + 1};"
+                         title="${escapeHtml(county.name)} (${county.region})">
+                        ${escapeHtml(county.name)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+}
@@ -0,0 +1,202 @@
+// Side-by-side comparison of 2-4 crops: season, water, harvest time, yield, fertilizer cost and prices
+class AgriCropCompare {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.selected = [];
+        this.maxCrops = 4;
+    }
+
+    // Fertilizer cost per acre from the crop's schedule and fertilizer prices.
+    // Products without a rate in the schedule use the product's typical rate range.
+    static fertilizerCost(crop, fertilizers) {
+        const cost = { min: 0, max: 0, priced: [], unpriced: [] };
+
+        AgriCropDetail.parseFertilizerSchedule(crop.fertilizer).forEach(step => {
+            // "DAP (50kg/acre) or farmyard manure": only the first option is costed
+            if (step.alternative) return;
+
+            const product = AgriFertilizerCalculator.matchProduct(step.product, fertilizers);
+            if (!product || !product.pricePerBag || !product.bagWeight) {
+                cost.unpriced.push(step.product);
+                return;
+            }
+
+            const rate = AgriCropNormalizer.parseRange(step.rate) || AgriCropNormalizer.parseRange(product.rate);
+            if (!rate) {
+                cost.unpriced.push(step.product);
+                return;
+            }
+
+            // Rates are given per acre in the content pack; convert any per-hectare rates
+            const perHectare = /\/\s*(ha|hectare)/i.test(step.rate || product.rate);
+            const factor = (perHectare ? AgriUnits.perHectareToPerAcre(1) : 1) * product.pricePerBag / product.bagWeight;
+
+            cost.min += rate.min * factor;
+            cost.max += rate.max * factor;
+            cost.priced.push(product.name);
+        });
+
+        return cost;
+    }
+
+    toggle() {
+        const container = document.getElementById('crop-compare-container');
+        if (!container) return;
+
+        if (container.style.display === 'block') {
+            container.style.display = 'none';
+            return;
+        }
+
+        container.style.display = 'block';
+        this.render();
+    }
+
+    select(cropId, checked) {
+        const crop = this.app.cropData.find(item => String(item.id) === String(cropId));
+        if (!crop) return;
+
+        if (checked) {
+            if (this.selected.length >= this.maxCrops) {
+                this.app.showNotification(`You can compare up to ${this.maxCrops} crops at a time`, 'warning');
+                this.render();
+                return;
+            }
+            if (!this.selected.includes(crop.id)) this.selected.push(crop.id);
+        } else {
+            this.selected = this.selected.filter(id => id !== crop.id);
+        }
+
+        this.render();
+    }
+
+    async render() {
+        const container = document.getElementById('crop-compare-container');
+        if (!container) return;
+
+        if (this.app.cropData.length === 0) {
+            this.app.cropData = await agriDB.getAllCrops();
+        }
+
+        const escape = value => this.app.escapeHtml(value);
+        const crops = this.app.cropData;
+
+        // Drop selections for crops that were deleted meanwhile
+        this.selected = this.selected.filter(id => crops.some(crop => crop.id === id));
+
+        container.innerHTML = `
+            <div class="crop-compare">
+                <div class="sync-center-group-header">
+                    <h3>⚖️ Compare Crops</h3>
+                    <button class="btn-secondary" data-action="close">Close</button>
+                </div>
+                <p class="readable-text">Choose 2 to ${this.maxCrops} crops.</p>
+                <div class="compare-picker">
+                    ${crops.map(crop => `
+                        <label class="compare-option">
+                            <input type="checkbox" data-crop-id="${escape(crop.id)}" ${this.selected.includes(crop.id) ? 'checked' : ''}>
+                            ${escape(crop.image) || '🌱'} ${escape(crop.name)}
+                        </label>
+                    `).join('')}
+                </div>
+                <div id="crop-compare-table">
+                    ${this.selected.length < 2 ? '<p class="empty-state">Select at least two crops to compare.</p>' : '<p>Loading...</p>'}
+                </div>
+            </div>
+        `;
+
+        // Crop ids can come from imports and sync, so the checkboxes carry them in data attributes
+        container.querySelector('[data-action="close"]')?.addEventListener('click', () => this.toggle());
+        container.querySelector('.compare-picker')?.addEventListener('change', event => {
+            const checkbox = event.target.closest('input[data-crop-id]');
+            if (checkbox) this.select(checkbox.dataset.cropId, checkbox.checked);
+        });
+
+        if (this.selected.length >= 2) {
+            const chosen = this.selected.map(id => crops.find(crop => crop.id === id));
+            document.getElementById('crop-compare-table').innerHTML = await this.renderTable(chosen);
+        }
+    }
+
+    async renderTable(crops) {
+        const escape = value => this.app.escapeHtml(value);
+        const [fertilizers, marketPrices, listings] = await Promise.all([
+            agriDB.getAllItems('fertilizers'),
+            agriDB.getAllItems('market'),
+            agriDB.getAllItems('marketListings')
+        ]);
+
+        const money = value => `KES ${Math.round(value).toLocaleString()}`;
+        const range = ({ min, max }) => min === max ? money(min) : `${money(min)} – ${money(max)}`;
+
+        const row = (label, cell) => `
+            <tr>
+                <th scope="row">${label}</th>
+                ${crops.map(crop => `<td>${cell(crop)}</td>`).join('')}
+            </tr>
+        `;
+
+        const fertilizerCell = crop => {
+            const cost = AgriCropCompare.fertilizerCost(crop, fertilizers);
+            if (cost.priced.length === 0) {
+                return cost.unpriced.length > 0 ? `<small>${escape(cost.unpriced.join(', '))} (no price)</small>` : '—';
+            }
+            return `${range(cost)} <small>per acre</small>` +
+                (cost.unpriced.length > 0 ? `<br><small>+ ${escape(cost.unpriced.join(', '))}</small>` : '');
+        };
+
+        const priceCell = crop => {
+            const prices = this.priceRange(crop, marketPrices, listings);
+            if (!prices) return '—';
+            return `${range(prices)} <small>per kg</small><br><small>${escape(prices.source)}</small>`;
+        };
+
+        return `
+            <div class="compare-table-wrapper">
+                <table class="conflict-table compare-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${crops.map(crop => `
+                                <th scope="col">
+                                    <a href="#crops/${encodeURIComponent(crop.id)}">${escape(crop.image) || '🌱'} ${escape(crop.name)}</a>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${row('Season', crop => escape(crop.season) || '—')}
+                        ${row('Water requirement', crop => escape(crop.waterRequirement) || '—')}
+                        ${row('Harvest time', crop => escape(crop.harvestTime) || '—')}
+                        ${row('Yield', crop => escape(crop.yield) || '—')}
+                        ${row('Fertilizer cost', fertilizerCell)}
+                        ${row('Market price', priceCell)}
+                    </tbody>
+                </table>
+            </div>
+            <p><small>Fertilizer costs use typical bag prices from the crop library. Market prices come from recorded
+            market prices, then current listings, then the crop library's guide price.</small></p>
+        `;
+    }
+
+    // Best available price range for a crop: recorded market prices, then active listings, then the guide price
+    priceRange(crop, marketPrices, listings) {
+        const names = [crop.name, crop.localName].filter(Boolean).map(name => name.toLowerCase());
+        const matches = item => names.some(name => String(item.crop || '').toLowerCase().includes(name));
+        const spread = (values, source) => values.length > 0 ? { min: Math.min(...values), max: Math.max(...values), source } : null;
+
+        const recorded = marketPrices
+            .filter(matches)
+            .flatMap(price => [price.minPrice, price.maxPrice, price.pricePerKg, price.price])
+            .filter(value => typeof value === 'number' && value > 0);
+        const listed = listings
+            .filter(listing => listing.status === 'active' && matches(listing))
+            .map(listing => listing.pricePerKg)
+            .filter(value => typeof value === 'number' && value > 0);
+        const guide = crop.metrics?.price || AgriCropNormalizer.parseRange(crop.marketPrice);
+
+        return spread(recorded, `${recorded.length} market price record${recorded.length !== 1 ? 's' : ''}`) ||
+            spread(listed, `${listed.length} listing${listed.length !== 1 ? 's' : ''}`) ||
+            (guide ? { min: guide.min, max: guide.max, source: 'Guide price' } : null);
+    }
+}
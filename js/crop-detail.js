@@ -0,0 +1,289 @@
+// Crop detail view, reachable at #crops/<crop id>
+class AgriCropDetail {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.crop = null;
+        this.container = null;
+    }
+
+    // "DAP at planting (100kg/acre), CAN top dressing (150kg/acre)" ->
+    // [{ product: 'DAP', timing: 'At planting', rate: '100kg/acre' }, { product: 'CAN', timing: 'Top dressing', ... }]
+    static parseFertilizerSchedule(text) {
+        if (!text) return [];
+
+        const parts = [];
+        let depth = 0;
+        let current = '';
+
+        // Split on commas and " or " outside brackets, remembering which entries are alternatives
+        const tokens = String(text).split(/(\(|\)|,|\s+or\s+)/i);
+        let alternative = false;
+        tokens.forEach(token => {
+            if (token === '(') depth++;
+            if (token === ')') depth = Math.max(0, depth - 1);
+
+            if (depth === 0 && (token === ',' || /^\s+or\s+$/i.test(token))) {
+                if (current.trim()) parts.push({ text: current.trim(), alternative });
+                alternative = /or/i.test(token);
+                current = '';
+            } else {
+                current += token;
+            }
+        });
+        if (current.trim()) parts.push({ text: current.trim(), alternative });
+
+        const timings = [
+            [/\bat planting\b/i, 'At planting'],
+            [/\btop[\s-]?dress(ing)?\b/i, 'Top dressing'],
+            [/\bfoliar\b/i, 'Foliar spray'],
+            [/\bafter (harvest|pruning|plucking)\b/i, match => `After ${match[1]}`]
+        ];
+
+        return parts.map(({ text: part, alternative: isAlternative }) => {
+            let rest = part;
+            let rate = '';
+            let timing = '';
+
+            const bracket = rest.match(/\(([^)]*\d[^)]*)\)/);
+            const bare = rest.match(/\d[\d,.\s\-–]*\s*(kg|g|l)\s*\/\s*(acre|ha|hectare|tree|plant)/i);
+            if (bracket) {
+                rate = bracket[1].trim();
+                rest = rest.replace(bracket[0], '');
+            } else if (bare) {
+                rate = bare[0].trim();
+                rest = rest.replace(bare[0], '');
+            }
+
+            for (const [pattern, label] of timings) {
+                const match = rest.match(pattern);
+                if (match) {
+                    timing = typeof label === 'function' ? label(match) : label;
+                    if (label !== 'Foliar spray') rest = rest.replace(match[0], '');
+                    break;
+                }
+            }
+
+            return {
+                product: rest.replace(/\s+/g, ' ').trim(),
+                timing,
+                rate,
+                alternative: isAlternative
+            };
+        });
+    }
+
+    async show(cropId) {
+        const container = document.getElementById('crop-detail-container');
+        if (!container) return;
+
+        // Crop and listing ids come from imports and sync, so buttons carry them in data attributes for one listener
+        if (this.container !== container) {
+            this.container = container;
+            container.addEventListener('click', event => this.handleClick(event));
+        }
+
+        const crops = await agriDB.getAllCrops();
+        const crop = crops.find(item => String(item.id) === String(cropId));
+
+        if (!crop) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>We couldn't find that crop. It may have been removed, or this device hasn't loaded the crop library yet.</p>
+                    <a href="#crops" class="btn-primary">Browse Crops</a>
+                </div>
+            `;
+            return;
+        }
+
+        this.crop = crop;
+
+        const [fertilizers, listings] = await Promise.all([
+            agriDB.getAllItems('fertilizers'),
+            this.getListingsFor(crop)
+        ]);
+
+        container.innerHTML = this.render(crop, crops, fertilizers, listings);
+        document.title = `${crop.name} - AgriInfo Kenya`;
+    }
+
+    async getListingsFor(crop) {
+        const names = [crop.name, crop.localName].filter(Boolean).map(name => name.toLowerCase());
+        const listings = await agriDB.getAllItems('marketListings');
+
+        return listings
+            .filter(listing => listing.status !== 'sold' && listing.status !== 'inactive')
+            .filter(listing => names.some(name => String(listing.crop || '').toLowerCase().includes(name)))
+            .sort((a, b) => (a.pricePerKg || 0) - (b.pricePerKg || 0));
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { action, cropId, listingId } = button.dataset;
+        if (action === 'share') this.share();
+        if (action === 'use-in-tools') this.app.useCropInTools(cropId);
+        if (action === 'edit') {
+            this.app.navigate('#crops');
+            this.app.cropEditor.open(cropId);
+        }
+        if (action === 'contact') this.app.marketplace.contactFarmer(listingId);
+    }
+
+    render(crop, crops, fertilizers, listings) {
+        const escape = value => this.app.escapeHtml(value);
+        const schedule = AgriCropDetail.parseFertilizerSchedule(crop.fertilizer);
+
+        const fact = (label, value) => value ? `
+            <div class="crop-fact">
+                <span class="crop-fact-label">${label}</span>
+                <span class="crop-fact-value">${escape(value)}</span>
+            </div>
+        ` : '';
+
+        // Other crops that share a pest or disease, e.g. armyworm on maize and sorghum
+        const alsoAffects = name => crops
+            .filter(other => other.id !== crop.id)
+            .filter(other => [...(other.pests || []), ...(other.diseases || [])]
+                .some(item => item.toLowerCase() === name.toLowerCase()))
+            .map(other => `<a href="#crops/${encodeURIComponent(other.id)}">${escape(other.name)}</a>`);
+
+        const threatList = (items, icon) => (items || []).map(name => {
+            const others = alsoAffects(name);
+            return `
+                <li>
+                    ${icon} <strong>${escape(name)}</strong>
+                    ${others.length > 0 ? `<br><small>Also affects: ${others.join(', ')}</small>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="crop-detail">
+                <div class="crop-detail-header">
+                    <a href="#crops" class="btn-secondary no-print">← All Crops</a>
+                    <div class="crop-detail-title">
+                        <span class="crop-detail-icon">${escape(crop.image) || '🌱'}</span>
+                        <div>
+                            <h2>${escape(crop.name)} <span class="local-name">(${escape(crop.localName || crop.name)})</span></h2>
+                            ${crop.scientificName ? `<p><em>${escape(crop.scientificName)}</em> · ${escape(crop.category)}</p>` : `<p>${escape(crop.category)}</p>`}
+                        </div>
+                    </div>
+                    <div class="listing-actions no-print">
+                        <button class="btn-secondary" data-action="share">🔗 Share</button>
+                        <button class="btn-secondary" data-action="use-in-tools" data-crop-id="${escape(crop.id)}">🧮 Use in calculators</button>
+                        <button class="btn-secondary" data-action="edit" data-crop-id="${escape(crop.id)}">✏️ Edit</button>
+                    </div>
+                </div>
+
+                <p class="readable-text">${escape(crop.description)}</p>
+
+                <div class="crop-detail-section">
+                    <h3>🌱 Growing Guide</h3>
+                    <div class="crop-facts">
+                        ${fact('Planting density', crop.plantingDensity)}
+                        ${fact('Expected yield', crop.yield)}
+                        ${fact('Season', crop.season)}
+                        ${fact('Harvest time', crop.harvestTime)}
+                        ${fact('Water requirement', crop.waterRequirement)}
+                        ${fact('Soil', crop.soilType)}
+                        ${fact('Market price', crop.marketPrice)}
+                    </div>
+                </div>
+
+                ${schedule.length > 0 ? `
+                    <div class="crop-detail-section">
+                        <h3>🧪 Fertilizer Schedule</h3>
+                        <table class="conflict-table fertilizer-schedule">
+                            <thead>
+                                <tr><th>Product</th><th>When</th><th>Rate</th></tr>
+                            </thead>
+                            <tbody>
+                                ${schedule.map(step => {
+                                    const product = fertilizers.find(item =>
+                                        step.product.toUpperCase().startsWith(String(item.name).toUpperCase()));
+                                    return `
+                                        <tr>
+                                            <td>
+                                                ${step.alternative ? '<small>or</small> ' : ''}<strong>${escape(step.product)}</strong>
+                                                ${product ? `<br><small>${escape(product.composition)}</small>` : ''}
+                                            </td>
+                                            <td>${escape(step.timing) || '—'}</td>
+                                            <td>${escape(step.rate) || (product ? `<small>Typical: ${escape(product.rate)}</small>` : '—')}</td>
+                                        </tr>
+                                    `;
+                                }).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : ''}
+
+                ${(crop.pests || []).length + (crop.diseases || []).length > 0 ? `
+                    <div class="crop-detail-section">
+                        <h3>🐛 Pests & Diseases</h3>
+                        <div class="crop-threats">
+                            ${(crop.pests || []).length > 0 ? `<ul><li><h4>Pests</h4></li>${threatList(crop.pests, '🐛')}</ul>` : ''}
+                            ${(crop.diseases || []).length > 0 ? `<ul><li><h4>Diseases</h4></li>${threatList(crop.diseases, '🦠')}</ul>` : ''}
+                        </div>
+                        <a href="#pest" class="btn-secondary no-print">Pest control guide</a>
+                    </div>
+                ` : ''}
+
+                <div class="crop-detail-section">
+                    <h3>🗺️ Where It Grows</h3>
+                    ${(crop.counties || []).length > 0 ? `
+                        <p>Common in: ${escape(crop.counties.join(', '))}</p>
+                        ${AgriCounties.renderMap(crop.counties, escape)}
+                    ` : '<p class="empty-state">No counties recorded for this crop yet.</p>'}
+                </div>
+
+                <div class="crop-detail-section">
+                    <h3>🛒 For Sale Now</h3>
+                    ${listings.length > 0 ? `
+                        <div class="listings-grid">
+                            ${listings.map(listing => `
+                                <div class="listing-card">
+                                    <div class="listing-header">
+                                        <h3>${escape(listing.crop)}</h3>
+                                        <span class="price">${escape(this.app.units.price(listing.pricePerKg))}</span>
+                                    </div>
+                                    <div class="listing-details">
+                                        <p><strong>Quantity:</strong> ${escape(this.app.units.weight(listing.quantity))}</p>
+                                        <p><strong>Location:</strong> ${escape(listing.location)} County</p>
+                                        <p><strong>Farmer:</strong> ${escape(listing.farmer)}</p>
+                                    </div>
+                                    <button class="btn-primary no-print" data-action="contact" data-listing-id="${escape(listing.id)}">
+                                        📞 Contact Farmer
+                                    </button>
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : `<p class="empty-state">No ${escape(crop.name)} listed right now. <a href="#market">Visit the marketplace</a></p>`}
+                </div>
+            </div>
+        `;
+    }
+
+    async share() {
+        if (!this.crop) return;
+
+        const url = `${location.origin}${location.pathname}#crops/${encodeURIComponent(this.crop.id)}`;
+        const title = `${this.crop.name} growing guide - AgriInfo Kenya`;
+
+        try {
+            if (navigator.share) {
+                await navigator.share({ title, url });
+            } else if (navigator.clipboard) {
+                await navigator.clipboard.writeText(url);
+                this.app.showNotification('Link copied', 'success');
+            } else {
+                prompt('Copy this link:', url);
+            }
+        } catch (error) {
+            // Closing the share sheet rejects with AbortError; nothing to report
+            if (error.name !== 'AbortError') {
+                console.error('Error sharing crop:', error);
+            }
+        }
+    }
+}
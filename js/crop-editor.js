@@ -0,0 +1,220 @@
+// Crop editor: lets farmers and extension officers add local varieties and correct crop details
+class AgriCropEditor {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.editingId = null;
+    }
+
+    // Ids read back from data attributes are strings; older sample crops have numeric ids
+    resolveId(cropId) {
+        const match = this.app.cropData.find(crop => String(crop.id) === String(cropId));
+        return match ? match.id : cropId;
+    }
+
+    async open(cropId = null) {
+        const container = document.getElementById('crop-editor-container');
+        if (!container) return;
+
+        if (cropId !== null) cropId = this.resolveId(cropId);
+
+        const crop = cropId !== null ? await agriDB.getCrop(cropId) : null;
+        if (cropId !== null && !crop) {
+            this.app.showNotification('That crop no longer exists', 'error');
+            return;
+        }
+
+        this.editingId = crop ? crop.id : null;
+        container.innerHTML = this.renderForm(crop || {});
+        container.style.display = 'block';
+        container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        container.querySelector('#crop-editor-form')?.addEventListener('submit', (e) => this.save(e));
+    }
+
+    close() {
+        const container = document.getElementById('crop-editor-container');
+        if (container) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+        }
+        this.editingId = null;
+    }
+
+    renderForm(crop) {
+        const escape = value => this.app.escapeHtml(value);
+        const fields = AgriCropSchema.fields;
+
+        const input = (field, placeholder = '') => {
+            const rules = fields[field];
+            const value = Array.isArray(crop[field]) ? crop[field].join(', ') : crop[field];
+            return `
+                <div class="form-group">
+                    <label for="crop-field-${field}">${rules.label}${rules.required ? ' *' : ''}</label>
+                    <input type="text" id="crop-field-${field}" name="${field}"
+                           value="${escape(value)}" placeholder="${escape(placeholder)}"
+                           ${rules.maxLength ? `maxlength="${rules.maxLength}"` : ''} ${rules.required ? 'required' : ''}>
+                    <small class="field-error" data-error-for="${field}"></small>
+                </div>
+            `;
+        };
+
+        return `
+            <form id="crop-editor-form" class="sell-form crop-editor-form" novalidate>
+                <h3>${crop.id ? `Edit ${escape(crop.name)}` : 'Add a Crop'}</h3>
+                ${crop.contentPack && !crop.editedLocally ? `
+                    <p class="readable-text"><small>This crop comes from the crop library. Once you save changes,
+                    library updates will no longer overwrite it.</small></p>
+                ` : ''}
+
+                <div class="form-row">
+                    ${input('name', 'e.g., Sorghum')}
+                    ${input('localName', 'e.g., Mtama')}
+                </div>
+
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="crop-field-category">${fields.category.label} *</label>
+                        <select id="crop-field-category" name="category" required>
+                            <option value="">Select Category</option>
+                            ${fields.category.options.map(option =>
+                                `<option value="${option}" ${crop.category === option ? 'selected' : ''}>${option}</option>`
+                            ).join('')}
+                        </select>
+                        <small class="field-error" data-error-for="category"></small>
+                    </div>
+                    ${input('scientificName', 'e.g., Sorghum bicolor')}
+                </div>
+
+                <div class="form-group">
+                    <label for="crop-field-description">${fields.description.label} *</label>
+                    <textarea id="crop-field-description" name="description" rows="3"
+                              maxlength="${fields.description.maxLength}" required>${escape(crop.description)}</textarea>
+                    <small class="field-error" data-error-for="description"></small>
+                </div>
+
+                <div class="form-row">
+                    ${input('season', 'e.g., Long rains (March-May)')}
+                    ${input('harvestTime', 'e.g., 3-4 months after planting')}
+                </div>
+
+                <div class="form-row">
+                    ${input('soilType', 'e.g., Well-drained loam')}
+                    ${input('waterRequirement', 'e.g., Low (300-500mm)')}
+                </div>
+
+                ${input('fertilizer', 'e.g., DAP at planting (50kg/acre)')}
+                ${input('counties', 'Comma separated, e.g., Machakos, Kitui')}
+                ${input('pests', 'Comma separated, e.g., Stalk borer, Birds')}
+                ${input('diseases', 'Comma separated, e.g., Smut, Leaf blight')}
+
+                <div class="form-row">
+                    ${input('plantingDensity', 'e.g., 50,000 plants per acre')}
+                    ${input('yield', 'e.g., 8-12 bags per acre (90kg bags)')}
+                </div>
+
+                <div class="form-row">
+                    ${input('marketPrice', 'e.g., KES 40-60 per kg')}
+                    ${input('image', 'An emoji, e.g., 🌾')}
+                </div>
+
+                <div class="listing-actions">
+                    <button type="submit" class="btn-primary">${crop.id ? 'Save Changes' : 'Add Crop'}</button>
+                    <button type="button" class="btn-secondary" onclick="agriApp.cropEditor.close()">Cancel</button>
+                </div>
+            </form>
+        `;
+    }
+
+    readForm(form) {
+        const values = {};
+        Object.keys(AgriCropSchema.fields).forEach(field => {
+            const element = form.querySelector(`[name="${field}"]`);
+            if (element) values[field] = element.value;
+        });
+        return values;
+    }
+
+    showErrors(form, errors) {
+        form.querySelectorAll('.field-error').forEach(element => {
+            element.textContent = errors[element.dataset.errorFor] || '';
+        });
+    }
+
+    async save(event) {
+        event.preventDefault();
+
+        const form = event.target;
+        const { valid, errors, crop } = AgriCropSchema.validate(this.readForm(form));
+        this.showErrors(form, errors);
+
+        if (!valid) {
+            this.app.showNotification('Please correct the highlighted fields', 'error');
+            return;
+        }
+
+        const stamp = {
+            editedLocally: true,
+            updatedAt: new Date().toISOString(),
+            updatedBy: this.app.userProfile?.name || 'Anonymous Farmer'
+        };
+
+        try {
+            if (this.editingId === null) {
+                const newCrop = { ...crop, id: AgriCropSchema.generateId(crop.name), ...stamp };
+                await agriDB.addCrop(newCrop);
+                await agriSync.recordNewCrop(newCrop);
+                this.app.showNotification(`${this.app.escapeHtml(newCrop.name)} added to the crop library`, 'success');
+            } else {
+                const previous = await agriDB.getCrop(this.editingId);
+
+                // Keep bookkeeping fields (revision, content pack) that the form doesn't show
+                const extra = {};
+                Object.keys(previous || {}).forEach(key => {
+                    if (!(key in AgriCropSchema.fields)) extra[key] = previous[key];
+                });
+
+                const updated = { ...extra, ...crop, id: this.editingId, ...stamp };
+                await agriDB.updateCrop(updated);
+                await agriSync.recordCropUpdate(updated, previous);
+                this.app.showNotification(`${this.app.escapeHtml(updated.name)} updated`, 'success');
+            }
+
+            this.close();
+            await this.refresh();
+
+        } catch (error) {
+            console.error('Error saving crop:', error);
+            this.app.showNotification('Error saving crop', 'error');
+        }
+    }
+
+    async remove(cropId) {
+        cropId = this.resolveId(cropId);
+        const crop = await agriDB.getCrop(cropId);
+        if (!crop) return;
+
+        if (!confirm(`Delete ${crop.name} from the crop library?`)) return;
+
+        try {
+            await agriDB.deleteCrop(cropId);
+            if (crop.contentPack) await agriDB.recordDeletedCrop(cropId);
+            await agriSync.recordCropDeletion(cropId);
+
+            if (this.editingId === cropId) this.close();
+            await this.refresh();
+            this.app.showNotification(`${this.app.escapeHtml(crop.name)} deleted`, 'success');
+
+        } catch (error) {
+            console.error('Error deleting crop:', error);
+            this.app.showNotification('Error deleting crop', 'error');
+        }
+    }
+
+    async refresh() {
+        this.app.cropData = await agriDB.getAllCrops();
+        this.app.displayCrops(this.app.cropData);
+
+        const stats = await agriDB.getStats();
+        this.app.updateStats(stats);
+    }
+}
@@ -0,0 +1,133 @@
+// Turns the free-text crop fields into numbers the calculators can use.
+// The original text stays on the record for display; parsed values go into crop.metrics.
+
+class AgriCropNormalizer {
+    static version = 2; // Bump when parsing changes, with a migration that re-normalizes stored crops
+
+    // First "a-b" or "a" number range in the text, ignoring thousands separators: "2,000-3,000" -> { min: 2000, max: 3000 }
+    static parseRange(text) {
+        if (text === undefined || text === null) return null;
+        const match = String(text)
+            .replace(/(\d),(?=\d{3}\b)/g, '$1')
+            .match(/(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?/i);
+        if (!match) return null;
+        const min = parseFloat(match[1]);
+        const max = match[2] ? parseFloat(match[2]) : min;
+        return { min: Math.min(min, max), max: Math.max(min, max) };
+    }
+
+    // "Moderate (500-700mm per growing season)", "High (1500-2000mm annually)"
+    static parseWater(text) {
+        const range = this.parseRange(String(text || '').match(/[\d,.\s\-–]+mm/i)?.[0]);
+        if (!range) return null;
+        return {
+            ...range,
+            unit: 'mm',
+            period: /annual|per year|yearly/i.test(text) ? 'year' : 'season',
+            level: (String(text).match(/^([a-z\s]+?)\s*(\(|$)/i)?.[1] || '').trim() || null
+        };
+    }
+
+    // "20-40 bags per acre (90kg bags)", "7-15 tons per acre", "2-4 kg parchment per tree annually", "3-5 t/ha"
+    static parseYield(text) {
+        const range = this.parseRange(text);
+        if (!range) return null;
+
+        const value = String(text).toLowerCase();
+        const result = { ...range, unit: 'kg', per: 'acre', product: null };
+
+        if (/\bbags?\b/.test(value)) {
+            result.unit = 'bag';
+            result.bagWeight = parseFloat(value.match(/(\d+)\s*kg\s*bags?/)?.[1]) || AgriUnits.rates.bagWeight;
+        } else if (/\b(tons?|tonnes?|t)\b/.test(value)) {
+            result.unit = 'tonne';
+        }
+
+        if (/per (tree|bush|plant)/.test(value)) result.per = value.match(/per (tree|bush|plant)/)[1];
+        if (/(per|\/)\s*(ha|hectare)\b/.test(value)) result.per = 'hectare';
+
+        const product = value.match(/kg\s+([a-z\s]+?)\s+per/);
+        if (product) result.product = product[1].trim();
+
+        // Yield in kg per acre, when the units allow it
+        const toKg = { kg: 1, bag: result.bagWeight, tonne: 1000 }[result.unit];
+        if (result.per === 'acre') {
+            result.kgPerAcre = { min: range.min * toKg, max: range.max * toKg };
+        } else if (result.per === 'hectare') {
+            result.kgPerAcre = {
+                min: AgriUnits.perHectareToPerAcre(range.min * toKg),
+                max: AgriUnits.perHectareToPerAcre(range.max * toKg)
+            };
+        }
+        return result;
+    }
+
+    // "KES 50-70 per kg (farm gate)"
+    static parsePrice(text) {
+        const range = this.parseRange(text);
+        if (!range) return null;
+        return {
+            ...range,
+            currency: (String(text).match(/\b([A-Z]{3})\b/) || [])[1] || 'KES',
+            unit: (String(text).match(/per\s+(kg|bag|tonne|ton|tree|bunch|piece)/i) || [])[1]?.toLowerCase() || 'kg',
+            note: (String(text).match(/\(([^)]+)\)/) || [])[1] || null
+        };
+    }
+
+    // "25,000 plants per acre", "1,300-1,500 trees per acre"
+    static parseDensity(text) {
+        const range = this.parseRange(text);
+        if (!range) return null;
+        const value = String(text).toLowerCase();
+        return {
+            ...range,
+            unit: (value.match(/\b(plants|trees|bushes|hills|stems)\b/) || [])[1] || 'plants',
+            per: /(per|\/)\s*(ha|hectare)\b/.test(value) ? 'hectare' : 'acre'
+        };
+    }
+
+    // "3-4 months after planting", "9 months from flowering", "plucking every 7-14 days" (a repeat interval)
+    static parseDuration(text) {
+        const value = String(text || '').toLowerCase();
+        const unit = (value.match(/\b(days?|weeks?|months?|years?)\b/) || [])[1];
+        const range = unit ? this.parseRange(value) : null;
+        if (!range) return null;
+
+        const days = { day: 1, week: 7, month: 30, year: 365 }[unit.replace(/s$/, '')];
+        return {
+            ...range,
+            unit: unit.replace(/s$/, ''),
+            days: { min: range.min * days, max: range.max * days },
+            from: /\bevery\b/.test(value) ? 'interval' : /flowering/.test(value) ? 'flowering' : 'planting'
+        };
+    }
+
+    // "Well-drained loam soils with pH 5.5-7.0"
+    static parseSoil(text) {
+        const value = String(text || '').toLowerCase();
+        const ph = this.parseRange(value.match(/ph\s*[\d.\s\-–]+/)?.[0]);
+        const texture = ['clay', 'loam', 'sandy', 'volcanic'].filter(type => value.includes(type));
+        if (!ph && texture.length === 0) return null;
+        return { ph, texture };
+    }
+
+    // Returns a copy of the crop with crop.metrics filled in from its text fields
+    static normalize(crop) {
+        if (!crop || typeof crop !== 'object') return crop;
+
+        const metrics = {
+            water: this.parseWater(crop.waterRequirement),
+            yield: this.parseYield(crop.yield),
+            price: this.parsePrice(crop.marketPrice),
+            density: this.parseDensity(crop.plantingDensity),
+            harvest: this.parseDuration(crop.harvestTime),
+            soil: this.parseSoil(crop.soilType)
+        };
+
+        Object.keys(metrics).forEach(key => {
+            if (!metrics[key]) delete metrics[key];
+        });
+
+        return { ...crop, metrics, metricsVersion: this.version };
+    }
+}
@@ -0,0 +1,79 @@
+// Crop record schema, matching the records in data/crops-data.json
+// Used to validate crops written by farmers and extension officers before they are stored or synced.
+
+class AgriCropSchema {
+    // type: 'text' for strings, 'list' for arrays of strings
+    static fields = {
+        name: { label: 'Name', type: 'text', required: true, maxLength: 60 },
+        localName: { label: 'Local name', type: 'text', maxLength: 60 },
+        scientificName: { label: 'Scientific name', type: 'text', maxLength: 80 },
+        category: { label: 'Category', type: 'text', required: true, options: ['Cereal', 'Legume', 'Cash Crop', 'Tuber', 'Vegetable', 'Fruit', 'Fodder', 'Other'] },
+        description: { label: 'Description', type: 'text', required: true, maxLength: 1000 },
+        season: { label: 'Season', type: 'text', maxLength: 200 },
+        soilType: { label: 'Soil type', type: 'text', maxLength: 200 },
+        waterRequirement: { label: 'Water requirement', type: 'text', maxLength: 200 },
+        harvestTime: { label: 'Harvest time', type: 'text', maxLength: 200 },
+        fertilizer: { label: 'Fertilizer', type: 'text', maxLength: 300 },
+        pests: { label: 'Pests', type: 'list', maxItems: 30 },
+        diseases: { label: 'Diseases', type: 'list', maxItems: 30 },
+        marketPrice: { label: 'Market price', type: 'text', maxLength: 100 },
+        counties: { label: 'Counties', type: 'list', maxItems: 47 },
+        image: { label: 'Icon', type: 'text', maxLength: 8 },
+        plantingDensity: { label: 'Planting density', type: 'text', maxLength: 100 },
+        yield: { label: 'Yield', type: 'text', maxLength: 100 }
+    };
+
+    // Returns { valid, errors: { field: message }, crop } where crop holds only schema fields, trimmed
+    static validate(input) {
+        const errors = {};
+        const crop = {};
+
+        if (input.id !== undefined && input.id !== null && input.id !== '') {
+            crop.id = input.id;
+        }
+
+        Object.entries(this.fields).forEach(([field, rules]) => {
+            let value = input[field];
+
+            if (rules.type === 'list') {
+                if (typeof value === 'string') value = value.split(',');
+                if (value === undefined || value === null) value = [];
+                if (!Array.isArray(value)) {
+                    errors[field] = `${rules.label} must be a list`;
+                    return;
+                }
+                value = value.map(item => String(item).trim()).filter(Boolean);
+                if (rules.maxItems && value.length > rules.maxItems) {
+                    errors[field] = `${rules.label} can have at most ${rules.maxItems} entries`;
+                    return;
+                }
+                if (value.length > 0) crop[field] = value;
+                return;
+            }
+
+            value = value === undefined || value === null ? '' : String(value).trim();
+
+            if (!value) {
+                if (rules.required) errors[field] = `${rules.label} is required`;
+                return;
+            }
+            if (rules.maxLength && value.length > rules.maxLength) {
+                errors[field] = `${rules.label} must be ${rules.maxLength} characters or fewer`;
+                return;
+            }
+            if (rules.options && !rules.options.includes(value)) {
+                errors[field] = `${rules.label} must be one of: ${rules.options.join(', ')}`;
+                return;
+            }
+            crop[field] = value;
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors, crop };
+    }
+
+    // Ids follow the content pack pattern (crop_maize_001) so local crops look like pack crops
+    static generateId(name) {
+        const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'crop';
+        return `crop_${slug}_${Date.now().toString(36)}`;
+    }
+}
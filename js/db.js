@@ -1,8 +1,15 @@
 class AgriInfoDB {
     constructor() {
         this.dbName = 'AgriInfoDB_Kenya';
-        this.dbVersion = 4; // Increased version for marketplace
+        this.migrations = this.getMigrations();
+        // The schema version is always the newest migration
+        this.dbVersion = this.migrations[this.migrations.length - 1].version;
         this.db = null;
+        this.searchIndex = new CropSearchIndex(this);
+        this.derivedStores = ['searchIndex', 'searchDocs']; // Rebuilt from other stores, never backed up
+        this.backupSchemaVersion = 1; // Bump when the backup file layout changes
+        this.backupExcludedSettings = ['agriinfo-sync-queue']; // Sync lock lease, only meaningful on this device
+        this.deviceStores = ['syncQueue']; // Uploads still owed by the device that made the backup; restoring them elsewhere would send them twice
         this.init();
     }
 
@@ -15,10 +22,21 @@ class AgriInfoDB {
                 reject(event.target.error);
             };
             
+            request.onblocked = () => {
+                console.log('Database upgrade waiting for other open tabs to close');
+            };
+            
             request.onsuccess = (event) => {
                 this.db = event.target.result;
                 console.log('IndexedDB initialized');
                 
+                // Another tab is upgrading the schema: step aside instead of blocking it
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    console.log('Database closed for an upgrade in another tab');
+                };
+                
                 // Check database size
                 this.checkStorageUsage();
                 
@@ -27,14 +45,165 @@ class AgriInfoDB {
             
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
-                console.log('Upgrading database to version', this.dbVersion);
+                console.log(`Upgrading database from version ${event.oldVersion} to ${this.dbVersion}`);
                 
-                // Create or update object stores
-                this.createObjectStores(db);
+                this.runMigrations(db, event.target.transaction, event.oldVersion);
             };
         });
     }
 
+    // Schema history, oldest first. Each migration runs once, inside the upgrade transaction,
+    // for databases older than its version. Upgrade functions may wait on requests made through
+    // the upgrade transaction but nothing else, or the transaction commits underneath them.
+    getMigrations() {
+        return [
+            {
+                version: 4,
+                description: 'Baseline schema (crops, market, marketListings, settings, syncQueue, weather, analytics)',
+                upgrade: (db) => this.createObjectStores(db)
+            },
+            {
+                version: 5,
+                description: 'Store listing county as location, which the marketplace filters and displays',
+                upgrade: async (db, transaction) => {
+                    const moveCounty = record => {
+                        if (!record || record.county === undefined) return null;
+                        const { county, ...rest } = record;
+                        return { ...rest, location: rest.location || county };
+                    };
+                    
+                    await this.rewriteRecords(transaction, 'marketListings', moveCounty);
+                    
+                    // Queued uploads carry a copy of the listing too
+                    await this.rewriteRecords(transaction, 'syncQueue', item => {
+                        if (item.collection !== 'marketListings') return null;
+                        const data = moveCounty(item.data);
+                        return data ? { ...item, data } : null;
+                    });
+                }
+            },
+            {
+                version: 6,
+                description: 'Crop search index (term -> crops) and the terms indexed for each crop',
+                upgrade: (db) => {
+                    if (!db.objectStoreNames.contains('searchIndex')) {
+                        db.createObjectStore('searchIndex', { keyPath: 'term' });
+                    }
+                    if (!db.objectStoreNames.contains('searchDocs')) {
+                        db.createObjectStore('searchDocs', { keyPath: 'cropId' });
+                    }
+                    // Filled on the first search (CropSearchIndex.ensureCurrent)
+                }
+            },
+            {
+                version: 7,
+                description: 'Fertilizer products from content packs',
+                upgrade: (db) => {
+                    if (!db.objectStoreNames.contains('fertilizers')) {
+                        db.createObjectStore('fertilizers', { keyPath: 'name' });
+                    }
+                }
+            },
+            {
+                version: 8,
+                description: 'Parse crop text fields (water, yield, price, density) into crop.metrics',
+                upgrade: async (db, transaction) => {
+                    await this.rewriteRecords(transaction, 'crops', crop => AgriCropNormalizer.normalize(crop));
+                }
+            },
+            {
+                version: 9,
+                description: 'Farm plots and the planting calendars generated for them',
+                upgrade: (db) => {
+                    if (!db.objectStoreNames.contains('plots')) {
+                        const plotsStore = db.createObjectStore('plots', { keyPath: 'id' });
+                        plotsStore.createIndex('county', 'county', { unique: false });
+                    }
+                    if (!db.objectStoreNames.contains('calendars')) {
+                        const calendarsStore = db.createObjectStore('calendars', { keyPath: 'id' });
+                        calendarsStore.createIndex('plotId', 'plotId', { unique: false });
+                        calendarsStore.createIndex('cropId', 'cropId', { unique: false });
+                    }
+                }
+            },
+            {
+                version: 10,
+                description: 'Enterprise budgets per crop and season',
+                upgrade: (db) => {
+                    if (!db.objectStoreNames.contains('budgets')) {
+                        const budgetsStore = db.createObjectStore('budgets', { keyPath: 'id' });
+                        budgetsStore.createIndex('cropId', 'cropId', { unique: false });
+                    }
+                }
+            },
+            {
+                version: 11,
+                description: 'Saved calculations from the Tools section',
+                upgrade: (db) => {
+                    if (!db.objectStoreNames.contains('calculations')) {
+                        const calculationsStore = db.createObjectStore('calculations', { keyPath: 'id' });
+                        calculationsStore.createIndex('tool', 'tool', { unique: false });
+                        calculationsStore.createIndex('plotId', 'plotId', { unique: false });
+                    }
+                }
+            },
+            {
+                version: 12,
+                description: 'Re-parse crop metrics so yields and densities written as "t/ha" count as per hectare',
+                upgrade: async (db, transaction) => {
+                    await this.rewriteRecords(transaction, 'crops', crop =>
+                        (crop.metricsVersion || 0) < AgriCropNormalizer.version ? AgriCropNormalizer.normalize(crop) : null);
+                }
+            }
+        ];
+    }
+
+    async runMigrations(db, transaction, oldVersion) {
+        const pending = this.migrations.filter(migration => migration.version > oldVersion);
+        
+        for (const migration of pending) {
+            try {
+                console.log(`Running migration ${migration.version}: ${migration.description}`);
+                await migration.upgrade(db, transaction, oldVersion);
+            } catch (error) {
+                // Aborting leaves the database at its old version, so the upgrade is retried next time
+                console.error(`Migration ${migration.version} failed:`, error);
+                transaction.abort();
+                return;
+            }
+        }
+    }
+
+    // Rewrite every record in a store during an upgrade.
+    // transform returns the new record, or null to leave it unchanged.
+    rewriteRecords(transaction, storeName, transform) {
+        return new Promise((resolve, reject) => {
+            if (!transaction.objectStoreNames.contains(storeName)) {
+                resolve(0);
+                return;
+            }
+            
+            let rewritten = 0;
+            const request = transaction.objectStore(storeName).openCursor();
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(rewritten);
+                    return;
+                }
+                
+                const updated = transform(cursor.value);
+                if (updated) {
+                    cursor.update(updated);
+                    rewritten++;
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     createObjectStores(db) {
         // Crops store
         if (!db.objectStoreNames.contains('crops')) {
@@ -174,7 +343,32 @@ class AgriInfoDB {
         if (!crop.id) {
             crop.id = `crop_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         }
-        return this.addItem('crops', crop);
+        const normalized = AgriCropNormalizer.normalize(crop);
+        const result = await this.addItem('crops', normalized);
+        await this.searchIndex.indexCrop(crop.id, normalized);
+        return result;
+    }
+
+    async updateCrop(crop) {
+        const normalized = AgriCropNormalizer.normalize(crop);
+        const result = await this.updateItem('crops', normalized);
+        await this.searchIndex.indexCrop(crop.id, normalized);
+        return result;
+    }
+
+    async deleteCrop(id) {
+        await this.deleteItem('crops', id);
+        await this.searchIndex.removeCrop(id);
+    }
+
+    // Crops the farmer deleted, by id, so content pack updates don't bring them back
+    async recordDeletedCrop(id) {
+        const deleted = await this.getSetting('deletedCrops') || {};
+        await this.setSetting('deletedCrops', { ...deleted, [id]: new Date().toISOString() });
+    }
+
+    async getDeletedCrops() {
+        return await this.getSetting('deletedCrops') || {};
     }
 
     async getCrop(id) {
@@ -186,12 +380,93 @@ class AgriInfoDB {
     }
 
     async searchCrops(query) {
-        const crops = await this.getAllCrops();
-        return crops.filter(crop => 
-            crop.name.toLowerCase().includes(query.toLowerCase()) ||
-            (crop.localName && crop.localName.toLowerCase().includes(query.toLowerCase())) ||
-            crop.description.toLowerCase().includes(query.toLowerCase())
-        );
+        return this.searchIndex.search(query);
+    }
+
+    // Plot and planting calendar methods
+    async savePlot(plot) {
+        if (!plot.id) {
+            plot.id = `plot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        }
+        await this.updateItem('plots', plot);
+        return plot;
+    }
+
+    async getPlots() {
+        const plots = await this.getAllItems('plots');
+        return plots.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    }
+
+    async deletePlot(plotId) {
+        const calendars = await this.getCalendars(plotId);
+        await Promise.all(calendars.map(calendar => this.deleteItem('calendars', calendar.id)));
+        // Calculations outlive the plot, just no longer attached to it
+        const calculations = await this.getCalculations(plotId);
+        await Promise.all(calculations.map(calculation => this.updateItem('calculations', { ...calculation, plotId: null, plotName: null })));
+        return this.deleteItem('plots', plotId);
+    }
+
+    async saveCalendar(calendar) {
+        if (!calendar.id) {
+            calendar.id = `cal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        }
+        await this.updateItem('calendars', calendar);
+        return calendar;
+    }
+
+    async getCalendars(plotId) {
+        const calendars = await this.getAllItems('calendars', 'plotId', plotId);
+        return calendars.sort((a, b) => String(a.plantingDate).localeCompare(String(b.plantingDate)));
+    }
+
+    // Enterprise budget methods
+    async saveBudget(budget) {
+        await this.updateItem('budgets', budget);
+        return budget;
+    }
+
+    async getBudgets(cropId) {
+        return cropId ? this.getAllItems('budgets', 'cropId', cropId) : this.getAllItems('budgets');
+    }
+
+    async deleteBudget(id) {
+        return this.deleteItem('budgets', id);
+    }
+
+    // Calculation history methods
+    async saveCalculation(calculation) {
+        if (!calculation.id) {
+            calculation.id = `calc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        }
+        await this.updateItem('calculations', calculation);
+        return calculation;
+    }
+
+    // Newest first; with a plot id, only the calculations attached to that plot
+    async getCalculations(plotId) {
+        const calculations = plotId ? await this.getAllItems('calculations', 'plotId', plotId) : await this.getAllItems('calculations');
+        return calculations.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    }
+
+    async deleteCalculation(id) {
+        return this.deleteItem('calculations', id);
+    }
+
+    // Weather methods
+    async getWeather(county) {
+        const records = county ? await this.getAllItems('weather', 'county', county) : await this.getAllItems('weather');
+        return records.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+    }
+
+    // Saves a forecast and drops records fetched before `before` (ISO time)
+    async saveWeather(record, before) {
+        await this.updateItem('weather', record);
+        if (!before) return;
+
+        const old = (await this.getAllItems('weather')).filter(item => String(item.timestamp) < before);
+        for (const item of old) {
+            await this.deleteItem('weather', item.timestamp);
+        }
     }
 
     // Marketplace methods
@@ -305,82 +580,234 @@ class AgriInfoDB {
     }
 
     // Export data
+    // Backups hold every object store except derived ones and this device's pending uploads.
     async exportData() {
-        const [crops, pests, market, listings, settings, weather, analytics] = await Promise.all([
-            this.getAllCrops(),
-            this.getAllItems('pests'),
-            this.getAllItems('market'),
-            this.getAllItems('marketListings'),
-            this.getAllItems('settings'),
-            this.getAllItems('weather'),
-            this.getAllItems('analytics')
-        ]);
+        const storeNames = Array.from(this.db.objectStoreNames)
+            .filter(name => !this.derivedStores.includes(name) && !this.deviceStores.includes(name));
+        const records = await Promise.all(storeNames.map(name => this.getAllItems(name)));
+        
+        const stores = {};
+        storeNames.forEach((name, i) => {
+            stores[name] = name === 'settings'
+                ? records[i].filter(setting => !this.backupExcludedSettings.includes(setting.key))
+                : records[i];
+        });
         
         return {
-            metadata: {
-                exportDate: new Date().toISOString(),
-                appVersion: '2.0',
-                country: 'Kenya'
-            },
-            crops,
-            pests,
-            market,
-            listings,
-            settings,
-            weather,
-            analytics,
+            format: 'agriinfo-backup',
+            schemaVersion: this.backupSchemaVersion,
+            dbVersion: this.dbVersion,
+            exportDate: new Date().toISOString(),
+            appVersion: '2.0',
+            country: 'Kenya',
+            stores,
             summary: {
-                totalCrops: crops.length,
-                totalListings: listings.length,
-                totalWeatherEntries: weather.length
+                totalCrops: (stores.crops || []).length,
+                totalListings: (stores.marketListings || []).length,
+                totalWeatherEntries: (stores.weather || []).length
             }
         };
     }
 
-    // Import data
-    async importData(data) {
-        const transaction = this.db.transaction(
-            ['crops', 'pests', 'market', 'marketListings', 'settings', 'weather'],
-            'readwrite'
-        );
-        
-        const promises = [];
-        
-        // Import each data type
-        if (data.crops && Array.isArray(data.crops)) {
-            const store = transaction.objectStore('crops');
-            data.crops.forEach(crop => {
-                promises.push(new Promise(resolve => {
-                    const request = store.put(crop);
-                    request.onsuccess = () => resolve();
-                }));
-            });
+    // Check a backup file without touching the database.
+    // Returns the valid records per store, a report of everything that was rejected,
+    // and how many records of device-only stores (older backups carried the sync queue) were left out.
+    validateBackup(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Backup file is not a JSON object');
         }
+        if (data.format === 'agriinfo-backup' && data.schemaVersion > this.backupSchemaVersion) {
+            throw new Error('This backup was made by a newer version of AgriInfo. Please update the app first.');
+        }
+        
+        const source = data.format === 'agriinfo-backup' ? data.stores || {} : this.legacyBackupStores(data);
+        const stores = {};
+        const errors = [];
+        const skipped = {};
         
-        if (data.listings && Array.isArray(data.listings)) {
-            const store = transaction.objectStore('marketListings');
-            data.listings.forEach(listing => {
-                promises.push(new Promise(resolve => {
-                    const request = store.put(listing);
-                    request.onsuccess = () => resolve();
-                }));
+        Object.keys(source).forEach(storeName => {
+            if (this.deviceStores.includes(storeName)) {
+                skipped[storeName] = Array.isArray(source[storeName]) ? source[storeName].length : 0;
+                return;
+            }
+            if (!this.db.objectStoreNames.contains(storeName) || this.derivedStores.includes(storeName)) {
+                errors.push({ store: storeName, error: 'Unknown data type, skipped' });
+                return;
+            }
+            if (!Array.isArray(source[storeName])) {
+                errors.push({ store: storeName, error: 'Expected a list of records' });
+                return;
+            }
+            
+            stores[storeName] = [];
+            source[storeName].forEach((record, index) => {
+                const error = this.validateBackupRecord(storeName, record);
+                if (error) {
+                    errors.push({ store: storeName, index, id: this.recordKey(storeName, record), error });
+                } else if (!(storeName === 'settings' && this.backupExcludedSettings.includes(record.key))) {
+                    stores[storeName].push(record);
+                }
             });
+        });
+        
+        const counts = {};
+        Object.keys(stores).forEach(name => counts[name] = stores[name].length);
+        
+        return { stores, counts, errors, skipped };
+    }
+
+    // Backups made before the versioned format kept listings under "listings"
+    legacyBackupStores(data) {
+        const stores = {};
+        ['crops', 'pests', 'market', 'settings', 'weather', 'analytics'].forEach(name => {
+            if (data[name] !== undefined) stores[name] = data[name];
+        });
+        if (data.listings !== undefined) stores.marketListings = data.listings;
+        return stores;
+    }
+
+    validateBackupRecord(storeName, record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return 'Record is not an object';
         }
         
-        if (data.settings && Array.isArray(data.settings)) {
-            const store = transaction.objectStore('settings');
-            data.settings.forEach(setting => {
-                promises.push(new Promise(resolve => {
-                    const request = store.put(setting);
-                    request.onsuccess = () => resolve();
-                }));
-            });
+        const keyPath = this.keyPathOf(storeName);
+        const key = this.recordKey(storeName, record);
+        if (keyPath && (key === undefined || key === null || key === '')) {
+            return `Missing ${keyPath}`;
         }
         
-        await Promise.all(promises);
-        await this.setSetting('lastSync', new Date().toISOString());
+        const isNumber = value => typeof value === 'number' && isFinite(value) && value >= 0;
+        
+        switch (storeName) {
+            case 'crops':
+                if (typeof record.name !== 'string' || !record.name.trim()) return 'Crop has no name';
+                break;
+            case 'marketListings':
+                if (typeof record.crop !== 'string' || !record.crop.trim()) return 'Listing has no crop';
+                if (record.quantity !== undefined && !isNumber(record.quantity)) return 'Quantity must be a positive number';
+                if (record.pricePerKg !== undefined && !isNumber(record.pricePerKg)) return 'Price must be a positive number';
+                break;
+            case 'syncQueue':
+                if (!record.status || !record.type) return 'Sync item has no status or type';
+                break;
+            case 'plots':
+                if (typeof record.name !== 'string' || !record.name.trim()) return 'Plot has no name';
+                break;
+            case 'calendars':
+                if (!record.plotId) return 'Calendar has no plot';
+                if (isNaN(new Date(record.plantingDate).getTime())) return 'Invalid planting date';
+                if (!Array.isArray(record.events)) return 'Calendar has no events';
+                break;
+            case 'budgets':
+                if (!record.cropId) return 'Budget has no crop';
+                if (!isNumber(record.area)) return 'Area must be a positive number';
+                if (!record.costs || typeof record.costs !== 'object') return 'Budget has no costs';
+                if (!record.yield || !record.price) return 'Budget has no yield or price';
+                break;
+            case 'calculations':
+                if (!record.tool) return 'Calculation has no tool';
+                if (!record.inputs || typeof record.inputs !== 'object') return 'Calculation has no inputs';
+                if (isNaN(new Date(record.updatedAt).getTime())) return 'Invalid date';
+                break;
+            case 'weather':
+            case 'analytics':
+                if (isNaN(new Date(record.timestamp).getTime())) return 'Invalid timestamp';
+                break;
+        }
         
-        return { success: true, importedItems: promises.length };
+        return null;
+    }
+
+    recordKey(storeName, record) {
+        const keyPath = this.keyPathOf(storeName);
+        return record && keyPath ? record[keyPath] : undefined;
+    }
+
+    keyPathOf(storeName) {
+        if (!this.keyPaths) this.keyPaths = {};
+        if (!(storeName in this.keyPaths)) {
+            this.keyPaths[storeName] = this.db.transaction([storeName], 'readonly').objectStore(storeName).keyPath;
+        }
+        return this.keyPaths[storeName];
+    }
+
+    // Best guess at when a record was last changed, for merge-by-newest
+    recordTime(record) {
+        const value = record && (record.updatedAt || record.lastUpdated || record.timestamp ||
+            record.syncedAt || record.dateListed || record.createdAt);
+        const time = value ? new Date(value).getTime() : NaN;
+        return isNaN(time) ? 0 : time;
+    }
+
+    // Import data
+    // mode 'replace': stores in the backup are emptied first, so they end up exactly as backed up.
+    // mode 'merge': records are added, and existing ones are only overwritten by newer copies.
+    // Everything happens in one transaction, so a failed import leaves the database untouched.
+    async importData(data, { mode = 'merge' } = {}) {
+        if (!['replace', 'merge'].includes(mode)) {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+        
+        const { stores, errors, skipped } = this.validateBackup(data);
+        const storeNames = Object.keys(stores);
+        
+        // Backups from older versions may predate crop.metrics
+        if (stores.crops) {
+            stores.crops = stores.crops.map(crop => AgriCropNormalizer.normalize(crop));
+        }
+        const report = { mode, imported: {}, kept: 0, errors, skipped };
+        
+        if (storeNames.length === 0) {
+            return { success: false, ...report };
+        }
+        
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Import aborted'));
+            
+            // put() throws on a key IndexedDB cannot store; without the abort, the clears and puts before it would still commit
+            try {
+                storeNames.forEach(storeName => {
+                    const store = transaction.objectStore(storeName);
+                    report.imported[storeName] = 0;
+                    
+                    if (mode === 'replace') {
+                        store.clear();
+                        stores[storeName].forEach(record => {
+                            store.put(record);
+                            report.imported[storeName]++;
+                        });
+                        return;
+                    }
+                    
+                    stores[storeName].forEach(record => {
+                        const request = store.get(this.recordKey(storeName, record));
+                        request.onsuccess = () => {
+                            const existing = request.result;
+                            if (existing && this.recordTime(existing) > this.recordTime(record)) {
+                                report.kept++;
+                                return;
+                            }
+                            store.put(record);
+                            report.imported[storeName]++;
+                        };
+                    });
+                });
+            } catch (error) {
+                transaction.onabort = () => reject(error);
+                transaction.abort();
+            }
+        });
+        
+        if (storeNames.includes('crops')) {
+            await this.searchIndex.rebuild();
+        }
+        
+        const importedItems = Object.values(report.imported).reduce((sum, n) => sum + n, 0);
+        return { success: true, importedItems, ...report };
     }
 
     // Analytics tracking
@@ -399,6 +826,8 @@ class AgriInfoDB {
         if (navigator.onLine) {
             await this.addToSyncQueue({
                 type: 'analytics',
+                action: 'create',
+                collection: 'analytics',
                 data: event
             });
         }
@@ -414,37 +843,8 @@ class AgriInfoDB {
             throw new Error('Invalid backup data');
         }
         
-        // Create a backup of current data first
-        const currentBackup = await this.createBackup();
-        const backupTimestamp = new Date().toISOString();
-        
-        try {
-            // Clear existing data
-            await Promise.all([
-                this.clearStore('crops'),
-                this.clearStore('marketListings'),
-                this.clearStore('settings')
-            ]);
-            
-            // Import new data
-            await this.importData(backupData);
-            
-            // Save backup of old data
-            localStorage.setItem(`backup_${backupTimestamp}`, JSON.stringify(currentBackup));
-            
-            return { success: true, backupCreated: backupTimestamp };
-        } catch (error) {
-            console.error('Restore failed:', error);
-            
-            // Try to restore from backup
-            try {
-                await this.importData(currentBackup);
-            } catch (restoreError) {
-                console.error('Failed to restore original data:', restoreError);
-            }
-            
-            throw error;
-        }
+        // importData runs in a single transaction, so a failure rolls back on its own
+        return this.importData(backupData, { mode: 'replace' });
     }
 }
 
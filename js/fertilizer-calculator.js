@@ -0,0 +1,259 @@
+// Fertilizer calculator: turns a crop's fertilizer schedule and the fertilizers catalogue into kg,
+// 50kg bags and cost for basal and top-dress applications, adjusted by optional soil-test values.
+class AgriFertilizerCalculator {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.fertilizers = [];
+        this.prices = {}; // product name -> price per bag entered by the farmer
+    }
+
+    // Soil-test bands: how much of the usual rate to apply for each nutrient.
+    // Nitrogen as total N (%), phosphorus as available P (ppm, Mehlich 3), potassium as exchangeable K (ppm).
+    static soilBands = {
+        n: [{ below: 0.1, factor: 1.25, level: 'low' }, { below: 0.2, factor: 1, level: 'medium' }, { below: Infinity, factor: 0.75, level: 'high' }],
+        p: [{ below: 15, factor: 1.25, level: 'low' }, { below: 30, factor: 1, level: 'medium' }, { below: Infinity, factor: 0.5, level: 'high' }],
+        k: [{ below: 100, factor: 1.25, level: 'low' }, { below: 200, factor: 1, level: 'medium' }, { below: Infinity, factor: 0.75, level: 'high' }]
+    };
+
+    // "Diammonium Phosphate (18:46:0)" -> { n: 18, p: 46, k: 0 }; "Calcium Ammonium Nitrate (26% N)" -> { n: 26, ... }
+    // P and K are given as P2O5 and K2O, as on Kenyan fertilizer bags
+    static parseGrade(text) {
+        const value = String(text || '');
+        const grade = value.match(/(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)/);
+        if (grade) return { n: parseFloat(grade[1]), p: parseFloat(grade[2]), k: parseFloat(grade[3]) };
+
+        const nitrogen = value.match(/(\d+(?:\.\d+)?)\s*%\s*N\b/i);
+        if (nitrogen) return { n: parseFloat(nitrogen[1]), p: 0, k: 0 };
+        return null;
+    }
+
+    // Catalogue product for a schedule entry. "NPK 25:5:5" is a different grade from the catalogue's NPK 17:17:17.
+    static matchProduct(stepProduct, fertilizers) {
+        const product = fertilizers.find(item => String(stepProduct).toUpperCase().startsWith(String(item.name).toUpperCase()));
+        if (!product) return null;
+
+        const stepGrade = this.parseGrade(stepProduct);
+        const productGrade = this.parseGrade(product.composition);
+        if (stepGrade && productGrade && ['n', 'p', 'k'].some(nutrient => stepGrade[nutrient] !== productGrade[nutrient])) {
+            return null;
+        }
+        return product;
+    }
+
+    static soilFactors(soilTest = {}) {
+        const factors = { n: 1, p: 1, k: 1 };
+        const levels = {};
+        Object.keys(this.soilBands).forEach(nutrient => {
+            const value = soilTest[nutrient];
+            if (typeof value !== 'number' || isNaN(value)) return;
+            const band = this.soilBands[nutrient].find(item => value < item.below);
+            factors[nutrient] = band.factor;
+            levels[nutrient] = band.level;
+        });
+        return { factors, levels };
+    }
+
+    // A product's adjustment is the soil factors weighted by how much of each nutrient it carries
+    static productFactor(grade, factors) {
+        if (!grade) return 1;
+        const total = grade.n + grade.p + grade.k;
+        if (total === 0) return 1;
+        return (grade.n * factors.n + grade.p * factors.p + grade.k * factors.k) / total;
+    }
+
+    static phaseOf(step, index) {
+        if (step.timing === 'At planting' || (!step.timing && index === 0)) return 'basal';
+        if (step.timing === 'Top dressing') return 'topdress';
+        return 'other';
+    }
+
+    // Plan for one crop: [{ product, phase, timing, kgPerAcre, kg, bags, bagsToBuy, pricePerBag, cost, nutrients }]
+    static calculate(crop, { area, soilTest = {}, fertilizers = [], prices = {} }) {
+        const { factors, levels } = this.soilFactors(soilTest);
+        const lines = [];
+        const skipped = [];
+        const notes = [];
+
+        AgriCropDetail.parseFertilizerSchedule(crop.fertilizer)
+            .filter(step => !step.alternative)
+            .forEach((step, index) => {
+                const product = this.matchProduct(step.product, fertilizers);
+                const rateText = step.rate || product?.rate;
+                const rate = AgriCropNormalizer.parseRange(rateText);
+                const grade = this.parseGrade(step.product) || this.parseGrade(product?.composition);
+
+                if (!rate || !/kg/i.test(rateText)) {
+                    skipped.push(step.product);
+                    return;
+                }
+
+                // Rates are per acre unless the schedule says per hectare
+                const perHectare = /\/\s*(ha|hectare)/i.test(rateText);
+                const middle = (rate.min + rate.max) / 2;
+                const usual = perHectare ? AgriUnits.perHectareToPerAcre(middle) : middle;
+                const factor = this.productFactor(grade, factors);
+                const kgPerAcre = usual * factor;
+                const kg = kgPerAcre * area;
+                const bagWeight = product?.bagWeight || 50;
+                const bagsToBuy = Math.ceil(kg / bagWeight - 1e-9);
+                const pricePerBag = prices[product?.name] ?? product?.pricePerBag ?? null;
+
+                lines.push({
+                    product: product ? product.name : step.product,
+                    composition: product?.composition || null,
+                    phase: this.phaseOf(step, index),
+                    timing: step.timing || (index === 0 ? 'At planting' : ''),
+                    typicalRate: !step.rate,
+                    kgPerAcre,
+                    kg,
+                    bagWeight,
+                    bags: kg / bagWeight,
+                    bagsToBuy,
+                    pricePerBag,
+                    priceSource: product && prices[product.name] !== undefined ? 'yours' : pricePerBag !== null ? 'library' : null,
+                    cost: pricePerBag !== null ? bagsToBuy * pricePerBag : null,
+                    factor,
+                    nutrients: grade ? { n: kg * grade.n / 100, p: kg * grade.p / 100, k: kg * grade.k / 100 } : null
+                });
+            });
+
+        if (typeof soilTest.ph === 'number' && !isNaN(soilTest.ph)) {
+            if (soilTest.ph < 5.5) {
+                notes.push(`Soil is acidic (pH ${soilTest.ph}). Apply agricultural lime as your soil-test report advises, and prefer CAN to acidifying fertilizers for top dressing.`);
+            } else if (soilTest.ph > 7.5) {
+                notes.push(`Soil is alkaline (pH ${soilTest.ph}). Phosphorus is less available; place DAP close to the seed.`);
+            }
+        }
+        Object.entries(levels).forEach(([nutrient, level]) => {
+            const name = { n: 'Nitrogen', p: 'Phosphorus', k: 'Potassium' }[nutrient];
+            if (level !== 'medium') notes.push(`${name} is ${level}; rates for products carrying it are ${level === 'low' ? 'raised' : 'reduced'}.`);
+        });
+
+        const total = lines.reduce((sum, line) => sum + (line.cost || 0), 0);
+        return { lines, skipped, notes, total, unpriced: lines.filter(line => line.cost === null).map(line => line.product) };
+    }
+
+    async init() {
+        this.fertilizers = await agriDB.getAllItems('fertilizers');
+        this.prices = (await agriDB.getSetting('fertilizerPrices')) || {};
+        this.renderPrices();
+        await this.populateCrops();
+    }
+
+    async populateCrops(selectedId) {
+        const select = document.getElementById('fertilizer-crop');
+        if (!select) return;
+
+        if (this.app.cropData.length === 0) {
+            this.app.cropData = await agriDB.getAllCrops();
+        }
+
+        const current = selectedId ?? (select.value || this.app.toolCrop?.id);
+        select.innerHTML = this.app.cropData.map(crop =>
+            `<option value="${this.app.escapeHtml(crop.id)}" ${String(crop.id) === String(current) ? 'selected' : ''}>${this.app.escapeHtml(crop.name)}</option>`
+        ).join('');
+    }
+
+    // Editable price per bag for each catalogue product; blank means "use the library price"
+    renderPrices() {
+        const container = document.getElementById('fertilizer-prices');
+        if (!container) return;
+
+        if (this.fertilizers.length === 0) {
+            container.innerHTML = '<p class="empty-state">Load the crop library to get the fertilizer catalogue.</p>';
+            return;
+        }
+
+        container.innerHTML = this.fertilizers.map(product => `
+            <div class="input-group">
+                <label for="fertilizer-price-${this.app.escapeHtml(product.name)}">${this.app.escapeHtml(product.name)} (KES per ${product.bagWeight || 50}kg bag)</label>
+                <input type="number" id="fertilizer-price-${this.app.escapeHtml(product.name)}" data-product="${this.app.escapeHtml(product.name)}"
+                       min="0" step="50" value="${this.prices[product.name] ?? ''}" placeholder="${product.pricePerBag ? `Library price ${product.pricePerBag}` : 'Enter price'}">
+            </div>
+        `).join('');
+    }
+
+    async readPrices() {
+        const prices = {};
+        document.querySelectorAll('#fertilizer-prices input[data-product]').forEach(input => {
+            const value = parseFloat(input.value);
+            if (value > 0) prices[input.dataset.product] = value;
+        });
+
+        if (JSON.stringify(prices) !== JSON.stringify(this.prices)) {
+            this.prices = prices;
+            await agriDB.setSetting('fertilizerPrices', prices);
+        }
+        return prices;
+    }
+
+    async calculate() {
+        const result = document.getElementById('fertilizer-result');
+        if (!result) return;
+
+        const area = parseFloat(document.getElementById('fertilizer-area').value);
+        const cropId = document.getElementById('fertilizer-crop').value;
+        const crop = this.app.cropData.find(item => String(item.id) === String(cropId));
+
+        if (!area || area <= 0 || !crop) {
+            result.textContent = `Please choose a crop and enter a valid area in ${this.app.units.landUnit()}`;
+            return;
+        }
+
+        const reading = id => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return isNaN(value) ? undefined : value;
+        };
+        const soilTest = {
+            n: reading('soil-test-n'),
+            p: reading('soil-test-p'),
+            k: reading('soil-test-k'),
+            ph: reading('soil-test-ph')
+        };
+
+        try {
+            if (this.fertilizers.length === 0) await this.init();
+            const prices = await this.readPrices();
+            const acres = this.app.units.toAcres(area);
+            const plan = AgriFertilizerCalculator.calculate(crop, { area: acres, soilTest, fertilizers: this.fertilizers, prices });
+            result.innerHTML = this.renderPlan(crop, acres, plan);
+            if (plan.lines.length > 0) await this.app.calculationHistory?.record('fertilizer', crop);
+        } catch (error) {
+            console.error('Error calculating fertilizer:', error);
+            result.textContent = 'Error calculating fertilizer';
+        }
+    }
+
+    renderPlan(crop, acres, plan) {
+        const escape = value => this.app.escapeHtml(value);
+        const units = this.app.units;
+        const kg = value => `${Math.round(value).toLocaleString()} kg`;
+        const phases = { basal: 'Basal (at planting)', topdress: 'Top dressing', other: 'Other applications' };
+
+        if (plan.lines.length === 0) {
+            return `<p>No fertilizer rates found for ${escape(crop.name)}. Its schedule: ${escape(crop.fertilizer) || 'none recorded'}.</p>`;
+        }
+
+        return `
+            <p><strong>For ${units.area(acres)} of ${escape(crop.name)}:</strong></p>
+            ${Object.entries(phases).map(([phase, label]) => {
+                const lines = plan.lines.filter(line => line.phase === phase);
+                if (lines.length === 0) return '';
+                return `
+                    <h4>${label}</h4>
+                    ${lines.map(line => `
+                        <p>
+                            <strong>${escape(line.product)}</strong>${line.timing && phase === 'other' ? ` (${escape(line.timing)})` : ''}:
+                            ${kg(line.kg)} = ${line.bags.toFixed(1)} × ${line.bagWeight}kg bags, buy <strong>${line.bagsToBuy}</strong>
+                            ${line.cost !== null ? `· <strong>KES ${line.cost.toLocaleString()}</strong>` : '· <small>no price</small>'}
+                            <br><small>${kg(units.perLand(line.kgPerAcre))} per ${units.landUnit(1)}${line.typicalRate ? ' (typical catalogue rate)' : ''}${line.factor !== 1 ? `, ${Math.round(line.factor * 100)}% of the usual rate after the soil test` : ''}${line.priceSource === 'yours' ? ' · your price' : line.priceSource === 'library' ? ' · library price' : ''}</small>
+                        </p>
+                    `).join('')}
+                `;
+            }).join('')}
+            <p>Total cost: <strong>KES ${plan.total.toLocaleString()}</strong>${plan.unpriced.length > 0 ? ` <small>plus ${escape(plan.unpriced.join(', '))} (enter a price)</small>` : ''}</p>
+            ${plan.skipped.length > 0 ? `<p><small>Not calculated (no rate in kg): ${escape(plan.skipped.join(', '))}</small></p>` : ''}
+            ${plan.notes.map(note => `<p><small>ℹ️ ${escape(note)}</small></p>`).join('')}
+        `;
+    }
+}
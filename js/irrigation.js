@@ -0,0 +1,325 @@
+// Irrigation scheduler: a daily root-zone water balance (FAO-56) for a crop on a given soil.
+// Reference ET comes from Hargreaves on cached temperatures, rain from the weather store, and the plan is in litres
+// and hours of pumping for the farmer's pump.
+class AgriIrrigationScheduler {
+    constructor(appInstance) {
+        this.app = appInstance;
+    }
+
+    // Water the soil holds between field capacity and wilting point, in mm per metre of roots
+    static soils = {
+        clay: { label: 'Clay', holding: 180 },
+        loam: { label: 'Loam', holding: 150 },
+        sandy: { label: 'Sandy', holding: 80 },
+        volcanic: { label: 'Volcanic', holding: 170 }
+    };
+
+    // Share of the water pumped that reaches the roots
+    static methods = {
+        drip: { label: 'Drip', efficiency: 0.9 },
+        sprinkler: { label: 'Sprinkler', efficiency: 0.75 },
+        hose: { label: 'Hose or watering can', efficiency: 0.7 },
+        furrow: { label: 'Furrow or basin', efficiency: 0.6 }
+    };
+
+    // FAO-56 crop coefficients and stage lengths (shares of the season) for crops without their own waterUse block
+    static categoryWaterUse = {
+        cereal: { kcInitial: 0.3, kcMid: 1.2, kcEnd: 0.35, stages: [0.17, 0.28, 0.33, 0.22], rootDepthM: 1.2, depletion: 0.55 },
+        legume: { kcInitial: 0.4, kcMid: 1.15, kcEnd: 0.35, stages: [0.18, 0.27, 0.37, 0.18], rootDepthM: 0.7, depletion: 0.45 },
+        tuber: { kcInitial: 0.5, kcMid: 1.15, kcEnd: 0.75, stages: [0.19, 0.23, 0.35, 0.23], rootDepthM: 0.5, depletion: 0.35 },
+        vegetable: { kcInitial: 0.7, kcMid: 1.05, kcEnd: 0.95, stages: [0.2, 0.3, 0.3, 0.2], rootDepthM: 0.5, depletion: 0.4 },
+        perennial: { kcInitial: 0.9, kcMid: 0.95, kcEnd: 0.95, rootDepthM: 1.2, depletion: 0.4 }
+    };
+
+    static stageNames = ['Initial', 'Development', 'Mid-season', 'Late season'];
+
+    static waterUseFor(crop) {
+        const metrics = crop.metrics || AgriCropNormalizer.normalize(crop).metrics;
+        const perennial = metrics.harvest ? metrics.harvest.from !== 'planting' : false;
+        const category = String(crop.category || '').toLowerCase();
+        const fallback = perennial ? this.categoryWaterUse.perennial : this.categoryWaterUse[category] || this.categoryWaterUse.vegetable;
+        return { ...fallback, ...(crop.waterUse || {}), perennial };
+    }
+
+    // Extraterrestrial radiation (FAO-56 eq. 21) as mm of evaporation per day
+    static extraterrestrialRadiation(latitude, dayOfYear) {
+        const phi = latitude * Math.PI / 180;
+        const distance = 1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear / 365);
+        const declination = 0.409 * Math.sin(2 * Math.PI * dayOfYear / 365 - 1.39);
+        const sunset = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(declination))));
+        const megajoules = 24 * 60 / Math.PI * 0.082 * distance *
+            (sunset * Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.sin(sunset));
+        return megajoules * 0.408;
+    }
+
+    // Hargreaves reference evapotranspiration in mm per day
+    static hargreaves(tmax, tmin, radiation) {
+        const mean = (tmax + tmin) / 2;
+        return 0.0023 * (mean + 17.8) * Math.sqrt(Math.max(0, tmax - tmin)) * radiation;
+    }
+
+    // Kc for a day of the season: flat through the initial stage, rising to mid-season, falling to harvest
+    static cropCoefficient(waterUse, day, seasonDays) {
+        if (waterUse.perennial || !waterUse.stages || !seasonDays) {
+            return { kc: waterUse.kcMid, stage: waterUse.perennial ? 'Established' : this.stageNames[2] };
+        }
+
+        const [initial, development, middle] = waterUse.stages.map(share => share * seasonDays);
+        if (day < initial) return { kc: waterUse.kcInitial, stage: this.stageNames[0] };
+        if (day < initial + development) {
+            const progress = (day - initial) / development;
+            return { kc: waterUse.kcInitial + (waterUse.kcMid - waterUse.kcInitial) * progress, stage: this.stageNames[1] };
+        }
+        if (day < initial + development + middle) return { kc: waterUse.kcMid, stage: this.stageNames[2] };
+
+        const late = seasonDays - (initial + development + middle);
+        const progress = Math.min(1, (day - initial - development - middle) / late);
+        return { kc: waterUse.kcMid + (waterUse.kcEnd - waterUse.kcMid) * progress, stage: this.stageNames[3] };
+    }
+
+    // Roots grow from about 25 cm at planting to full depth by mid-season
+    static rootDepth(waterUse, day, seasonDays) {
+        if (waterUse.perennial || !waterUse.stages || !seasonDays) return waterUse.rootDepthM;
+        const full = (waterUse.stages[0] + waterUse.stages[1]) * seasonDays;
+        const start = Math.min(0.25, waterUse.rootDepthM);
+        return start + (waterUse.rootDepthM - start) * Math.min(1, day / full);
+    }
+
+    // Light showers mostly evaporate before reaching the roots; of heavier rain about 80% is used
+    static effectiveRainfall(millimetres) {
+        return millimetres > 5 ? millimetres * 0.8 : 0;
+    }
+
+    // Typical temperatures for a county from its altitude, for days without a forecast
+    static typicalTemperatures(county) {
+        const place = AgriCounties.find(county);
+        if (!place?.altitude) return null;
+        const mean = 28 - 0.0055 * (place.altitude[0] + place.altitude[1]) / 2;
+        return { tmax: mean + 6, tmin: mean - 6 };
+    }
+
+    // Daily temperatures and rain from cached weather records, newest record first.
+    // Forecast records carry daily: [{ date, tmax, tmin, precipitation }]; older records only "18-24°C".
+    static weatherDays(records) {
+        const days = {};
+        let typical = null;
+        let latitude = null;
+
+        records.forEach(record => {
+            if (latitude === null && typeof record.latitude === 'number') latitude = record.latitude;
+            (record.daily || []).forEach(day => {
+                if (!days[day.date] && typeof day.tmax === 'number' && typeof day.tmin === 'number') {
+                    days[day.date] = { tmax: day.tmax, tmin: day.tmin, precipitation: day.precipitation ?? null };
+                }
+            });
+
+            const range = String(record.temperature || '').match(/(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)/);
+            if (!typical && range) typical = { tmin: parseFloat(range[1]), tmax: parseFloat(range[2]) };
+        });
+
+        return { days, typical, latitude };
+    }
+
+    // Day-by-day plan: the root zone starts full, dries by crop water use less effective rain,
+    // and is refilled whenever it passes the crop's readily available water
+    static schedule(crop, options) {
+        const { area, soil, method, flowRate, plantingDate, startDate, days = 14, county, weather = {} } = options;
+        const waterUse = this.waterUseFor(crop);
+        const metrics = crop.metrics || AgriCropNormalizer.normalize(crop).metrics;
+        const seasonDays = waterUse.perennial ? null : AgriPlantingCalendar.growingDays(metrics.harvest, county);
+        const holding = (this.soils[soil] || this.soils.loam).holding;
+        const efficiency = (this.methods[method] || this.methods.sprinkler).efficiency;
+        const latitude = weather.latitude ?? 0; // Kenya straddles the equator
+        const typical = weather.typical || this.typicalTemperatures(county) || { tmax: 27, tmin: 15 };
+        const warnings = [];
+
+        const dayOfSeason = date => Math.round((Date.parse(date) - Date.parse(plantingDate)) / 86400000);
+        const first = waterUse.perennial || !plantingDate || dayOfSeason(startDate) >= 0 ? startDate : plantingDate;
+        if (first !== startDate) warnings.push(`The plan starts on the planting date, ${first}.`);
+
+        const rows = [];
+        let depletion = 0;
+        for (let offset = 0; offset < days; offset++) {
+            const date = AgriPlantingCalendar.addDays(first, offset);
+            const day = plantingDate ? dayOfSeason(date) : 0;
+            if (seasonDays && day >= seasonDays) {
+                const harvest = AgriPlantingCalendar.addDays(plantingDate, seasonDays);
+                warnings.push(`${crop.name} planted on ${plantingDate} should be ready for harvest around ${harvest}; irrigation usually stops a few weeks before.`);
+                break;
+            }
+
+            const forecast = weather.days?.[date];
+            const tmax = forecast ? forecast.tmax : typical.tmax;
+            const tmin = forecast ? forecast.tmin : typical.tmin;
+            const rain = forecast?.precipitation ?? 0;
+            const start = Date.UTC(Number(date.slice(0, 4)), 0, 0);
+            const dayOfYear = Math.round((Date.parse(date) - start) / 86400000);
+
+            const et0 = this.hargreaves(tmax, tmin, this.extraterrestrialRadiation(latitude, dayOfYear));
+            const { kc, stage } = this.cropCoefficient(waterUse, day, seasonDays);
+            const cropUse = kc * et0;
+            const effectiveRain = this.effectiveRainfall(rain);
+
+            // Rain beyond field capacity drains away
+            const available = holding * this.rootDepth(waterUse, day, seasonDays);
+            const readily = available * waterUse.depletion;
+            depletion = Math.max(0, depletion + cropUse - effectiveRain);
+
+            let irrigationMm = 0;
+            if (depletion > readily) {
+                irrigationMm = depletion / efficiency;
+                depletion = 0;
+            }
+
+            const litres = irrigationMm * AgriUnits.squareMetresPerAcre * area;
+            rows.push({
+                date,
+                day,
+                stage,
+                et0,
+                kc,
+                cropUse,
+                rain,
+                effectiveRain,
+                depletion,
+                readily,
+                irrigationMm,
+                litres,
+                hours: flowRate > 0 ? litres / flowRate : null,
+                source: forecast ? (forecast.precipitation === null ? 'temperature' : 'forecast') : 'typical'
+            });
+        }
+
+        if (rows.some(row => row.source === 'typical')) {
+            warnings.push(weather.typical
+                ? 'Days without a daily forecast use the last cached temperatures and assume no rain.'
+                : 'Days without a daily forecast use typical temperatures for the altitude and assume no rain.');
+        }
+        if (rows.some(row => row.source === 'temperature')) {
+            warnings.push('Some forecast days have no rainfall figure and assume no rain.');
+        }
+
+        const total = (field) => rows.reduce((sum, row) => sum + (row[field] || 0), 0);
+        return {
+            rows,
+            warnings,
+            seasonDays,
+            waterUse,
+            totals: {
+                cropUse: total('cropUse'),
+                effectiveRain: total('effectiveRain'),
+                litres: total('litres'),
+                hours: flowRate > 0 ? total('hours') : null,
+                irrigations: rows.filter(row => row.litres > 0).length
+            }
+        };
+    }
+
+    async init() {
+        if (this.app.cropData.length === 0) {
+            this.app.cropData = await agriDB.getAllCrops();
+        }
+        this.populateCrops();
+
+        const planted = document.getElementById('irrigation-planting-date');
+        if (planted && !planted.value) planted.value = new Date().toISOString().split('T')[0];
+    }
+
+    populateCrops(selectedId) {
+        const select = document.getElementById('irrigation-crop');
+        if (!select) return;
+
+        const current = selectedId ?? (select.value || this.app.toolCrop?.id);
+        select.innerHTML = this.app.cropData.map(crop =>
+            `<option value="${this.app.escapeHtml(crop.id)}" ${String(crop.id) === String(current) ? 'selected' : ''}>${this.app.escapeHtml(crop.name)}</option>`
+        ).join('');
+    }
+
+    async calculate() {
+        const result = document.getElementById('water-result');
+        if (!result) return;
+
+        const number = id => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return isNaN(value) ? null : value;
+        };
+        const area = number('water-area');
+        const crop = this.app.cropData.find(item => String(item.id) === String(document.getElementById('irrigation-crop')?.value));
+
+        if (!area || area <= 0) {
+            result.textContent = `Please enter valid area in ${this.app.units.landUnit()}`;
+            return;
+        }
+        if (!crop) {
+            result.textContent = 'Please choose a crop';
+            return;
+        }
+
+        try {
+            const county = AgriCounties.find(this.app.userProfile?.location)?.name || '';
+            let records = county ? await agriDB.getWeather(county) : [];
+            if (records.length === 0) records = await agriDB.getWeather();
+
+            const acres = this.app.units.toAcres(area);
+            const plan = AgriIrrigationScheduler.schedule(crop, {
+                area: acres,
+                soil: document.getElementById('soil-type')?.value,
+                method: document.getElementById('irrigation-method')?.value,
+                flowRate: number('irrigation-flow'),
+                plantingDate: document.getElementById('irrigation-planting-date')?.value || null,
+                startDate: new Date().toISOString().split('T')[0],
+                days: Math.min(60, Math.max(1, number('irrigation-days') || 14)),
+                county,
+                weather: AgriIrrigationScheduler.weatherDays(records)
+            });
+
+            result.innerHTML = this.renderPlan(crop, acres, plan);
+            if (plan.rows.length > 0) await this.app.calculationHistory?.record('water', crop);
+        } catch (error) {
+            console.error('Error scheduling irrigation:', error);
+            result.textContent = 'Error calculating the irrigation plan';
+        }
+    }
+
+    renderPlan(crop, acres, plan) {
+        const escape = value => this.app.escapeHtml(value);
+        const litres = value => Math.round(value).toLocaleString();
+        const mm = value => value.toFixed(1);
+        const { totals } = plan;
+
+        if (plan.rows.length === 0) {
+            return plan.warnings.map(warning => `<p>${escape(warning)}</p>`).join('');
+        }
+
+        return `
+            <p><strong>${escape(crop.name)} on ${this.app.units.area(acres)}, ${plan.rows[0].date} to ${plan.rows[plan.rows.length - 1].date}:</strong></p>
+            <p>Crop water use <strong>${mm(totals.cropUse)} mm</strong>, effective rain <strong>${mm(totals.effectiveRain)} mm</strong>.</p>
+            <p>${totals.irrigations > 0
+                ? `Irrigate <strong>${totals.irrigations}</strong> time${totals.irrigations === 1 ? '' : 's'}: <strong>${litres(totals.litres)} litres</strong> (${(totals.litres / 1000).toFixed(1)} cubic meters)${totals.hours !== null ? `, <strong>${totals.hours.toFixed(1)} hours</strong> of pumping` : ''}`
+                : 'No irrigation needed: the soil holds enough water for this period'}</p>
+            ${totals.hours === null ? '<small>Enter your pump\'s flow rate to get pumping hours</small>' : ''}
+            <div class="compare-table-wrapper">
+                <table class="conflict-table irrigation-plan">
+                    <thead>
+                        <tr><th>Date</th><th>Stage</th><th>Crop use (mm)</th><th>Rain (mm)</th><th>Irrigate (litres)</th><th>Pump (hours)</th></tr>
+                    </thead>
+                    <tbody>
+                        ${plan.rows.map(row => `
+                            <tr class="${row.litres > 0 ? 'irrigate' : ''}">
+                                <td>${row.date}${row.source === 'typical' ? ' <small>(est.)</small>' : ''}</td>
+                                <td>${row.stage} <small>Kc ${row.kc.toFixed(2)}</small></td>
+                                <td>${mm(row.cropUse)}</td>
+                                <td>${row.source === 'forecast' ? mm(row.rain) : '–'}</td>
+                                <td>${row.litres > 0 ? litres(row.litres) : ''}</td>
+                                <td>${row.litres > 0 && row.hours !== null ? row.hours.toFixed(1) : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p><small>Assumes the soil is at field capacity on the first day. Irrigation refills the root zone once
+            ${Math.round(plan.waterUse.depletion * 100)}% of the available water is used.</small></p>
+            ${plan.warnings.map(warning => `<p><small>ℹ️ ${escape(warning)}</small></p>`).join('')}
+        `;
+    }
+}
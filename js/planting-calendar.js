@@ -0,0 +1,503 @@
+// Planting calendars: turns a crop's season, harvest time and fertilizer schedule into dated
+// farm tasks for a plot, shown as a month view and exportable as an iCalendar (.ics) file.
+class AgriPlantingCalendar {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.plotId = null;
+        this.calendars = [];
+
+        const today = new Date();
+        this.month = { year: today.getFullYear(), month: today.getMonth() };
+    }
+
+    static monthNames = ['january', 'february', 'march', 'april', 'may', 'june',
+        'july', 'august', 'september', 'october', 'november', 'december'];
+
+    static eventTypes = {
+        preparation: { icon: '🚜', label: 'Land preparation' },
+        planting: { icon: '🌱', label: 'Planting' },
+        fertilizer: { icon: '🧪', label: 'Fertilizer' },
+        weeding: { icon: '🌿', label: 'Weeding' },
+        spraying: { icon: '🐛', label: 'Scouting and spraying' },
+        harvest: { icon: '🧺', label: 'Harvest' }
+    };
+
+    // Calendar dates are kept as YYYY-MM-DD strings and computed in UTC so time zones can't shift them
+    static addDays(date, days) {
+        const [year, month, day] = String(date).split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+    }
+
+    // Months (0-11) the season text covers: "Long rains (March-May)", "Oct-Dec", "Both rainy seasons"
+    static seasonMonths(text) {
+        const value = String(text || '').toLowerCase();
+        if (/year-round|perennial/.test(value)) return [...Array(12).keys()];
+
+        const months = new Set();
+        const monthIndex = name => this.monthNames.findIndex(month => month.startsWith(name.slice(0, 3)));
+        const pattern = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*(?:\s*(?:-|–|to)\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*)?/g;
+        for (const match of value.matchAll(pattern)) {
+            const start = monthIndex(match[1]);
+            const end = match[2] ? monthIndex(match[2]) : start;
+            for (let month = start; ; month = (month + 1) % 12) {
+                months.add(month);
+                if (month === end) break;
+            }
+        }
+
+        if (/long rains|both/.test(value)) [2, 3, 4].forEach(month => months.add(month));
+        if (/short rains|both/.test(value)) [9, 10, 11].forEach(month => months.add(month));
+
+        return months.size > 0 ? [...months].sort((a, b) => a - b) : null;
+    }
+
+    // Crops mature more slowly in cool highland counties, so use the long end of the harvest range there
+    static growingDays(harvest, county) {
+        if (!harvest) return null;
+        const place = AgriCounties.find(county);
+        if (!place?.altitude) return Math.round((harvest.days.min + harvest.days.max) / 2);
+
+        const altitude = (place.altitude[0] + place.altitude[1]) / 2;
+        if (altitude >= 1800) return harvest.days.max;
+        if (altitude < 1000) return harvest.days.min;
+        return Math.round((harvest.days.min + harvest.days.max) / 2);
+    }
+
+    static buildTimeline(crop, { county, plantingDate }) {
+        const metrics = crop.metrics || AgriCropNormalizer.normalize(crop).metrics;
+        const harvest = metrics.harvest;
+        const annual = harvest?.from === 'planting';
+        const days = annual ? this.growingDays(harvest, county) : null;
+        const events = [];
+        const warnings = [];
+
+        const add = (type, offset, title, notes = '', length = 1) => events.push({
+            id: `${type}_${offset}_${events.length}`,
+            type,
+            title,
+            notes,
+            date: this.addDays(plantingDate, offset),
+            endDate: length > 1 ? this.addDays(plantingDate, offset + length - 1) : null
+        });
+
+        add('preparation', -21, 'Plough the land', 'Clear the field and plough about three weeks before planting');
+        add('preparation', -7, annual ? 'Harrow and prepare seedbed' : 'Prepare planting holes',
+            annual ? 'Break clods and level the seedbed' : 'Dig and fill planting holes with topsoil and manure');
+
+        const schedule = AgriCropDetail.parseFertilizerSchedule(crop.fertilizer).filter(step => !step.alternative);
+        const atPlanting = schedule.filter((step, index) => step.timing === 'At planting' || (!step.timing && index === 0));
+        const later = schedule.filter(step => !atPlanting.includes(step));
+        const describe = step => step.rate ? `${step.product} (${step.rate})` : step.product;
+
+        add('planting', 0, `Plant ${crop.name}`,
+            atPlanting.length > 0 ? `Apply ${atPlanting.map(describe).join(', ')} at planting` : '');
+
+        // Top dressing around knee height, roughly a third of the way to harvest for annual crops
+        const topDressDay = annual ? Math.min(60, Math.max(21, Math.round(days * 0.35))) : 60;
+        later.forEach(step => {
+            const title = step.timing === 'Top dressing' ? `Top dress with ${step.product}` : `Apply ${step.product}`;
+            add('fertilizer', step.timing === 'Foliar spray' ? topDressDay + 14 : topDressDay, title, describe(step));
+        });
+
+        add('weeding', 21, 'First weeding', 'Weed before the crop is shaded out; weeds take water and fertilizer');
+        if (!annual || days > 60) {
+            add('weeding', 42, 'Second weeding', 'Earth up the crop while weeding where needed');
+        }
+
+        const pests = (crop.pests || []).join(', ');
+        add('spraying', 14, 'Scout for pests and diseases', pests ? `Watch for ${pests}; spray only when you find them` : '');
+        add('spraying', 35, 'Scout and spray if needed', pests ? `Check again for ${pests}` : '');
+
+        if (annual) {
+            // A two-week window from the expected maturity date for this county
+            add('harvest', days, `Harvest ${crop.name}`, [crop.harvestTime, crop.yield].filter(Boolean).join('; '), 14);
+        } else if (harvest?.from === 'interval') {
+            // Picking rounds (e.g. tea plucking) for the first year
+            warnings.push(`Harvest rounds assume an established ${crop.name} crop; young plants take longer before the first harvest.`);
+            for (let day = harvest.days.max; day <= 365; day += harvest.days.max) {
+                add('harvest', day, `Harvest round: ${crop.name}`, crop.harvestTime);
+            }
+        } else if (harvest?.from === 'flowering') {
+            warnings.push(`${crop.name} is harvested ${crop.harvestTime}; the harvest date assumes the planting date is when the crop flowered.`);
+            add('harvest', harvest.days.min, `Harvest ${crop.name}`, crop.harvestTime);
+        } else {
+            warnings.push(`No harvest time is recorded for ${crop.name}, so the calendar has no harvest date.`);
+        }
+
+        const months = this.seasonMonths(crop.season);
+        const plantingMonth = Number(String(plantingDate).split('-')[1]) - 1;
+        if (months && !months.includes(plantingMonth)) {
+            const name = this.monthNames[plantingMonth];
+            warnings.push(`${name[0].toUpperCase()}${name.slice(1)} is outside the usual season for ${crop.name} (${crop.season}). Plan for irrigation.`);
+        }
+
+        events.sort((a, b) => a.date.localeCompare(b.date));
+        return { events, warnings, growingDays: days };
+    }
+
+    // iCalendar text (RFC 5545) with one all-day event per task
+    static toICS(calendar, plotName = '') {
+        const escape = value => String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+        const compact = date => date.replace(/-/g, '');
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+        // Lines longer than 75 octets are folded onto continuation lines starting with a space
+        const encoder = new TextEncoder();
+        const fold = line => {
+            const parts = [];
+            let current = '';
+            for (const char of line) {
+                if (encoder.encode(current + char).length > (parts.length === 0 ? 75 : 74)) {
+                    parts.push(current);
+                    current = '';
+                }
+                current += char;
+            }
+            parts.push(current);
+            return parts.join('\r\n ');
+        };
+
+        const name = `${calendar.cropName}${plotName ? ` - ${plotName}` : ''}`;
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//AgriInfo Kenya//Planting Calendar//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escape(name)}`
+        ];
+
+        calendar.events.forEach(event => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${calendar.id}-${event.id}@agriinfo-kenya`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${compact(event.date)}`,
+                // DTEND is exclusive for all-day events
+                `DTEND;VALUE=DATE:${compact(this.addDays(event.endDate || event.date, 1))}`,
+                `SUMMARY:${escape(event.title)}`,
+                ...(event.notes ? [`DESCRIPTION:${escape(event.notes)}`] : []),
+                ...(plotName ? [`LOCATION:${escape(`${plotName}, ${calendar.county || 'Kenya'}`)}`] : []),
+                `CATEGORIES:${escape(this.eventTypes[event.type]?.label || event.type)}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(fold).join('\r\n') + '\r\n';
+    }
+
+    async render() {
+        const container = document.getElementById('calendar-container');
+        if (!container) return;
+
+        if (this.app.cropData.length === 0) {
+            this.app.cropData = await agriDB.getAllCrops();
+        }
+
+        const escape = value => this.app.escapeHtml(value);
+        const plots = await agriDB.getPlots();
+        if (!plots.some(plot => plot.id === this.plotId)) {
+            this.plotId = plots[0]?.id || null;
+        }
+        const plot = plots.find(item => item.id === this.plotId);
+        this.calendars = plot ? await agriDB.getCalendars(plot.id) : [];
+
+        const profileCounty = AgriCounties.find(this.app.userProfile?.location)?.name || '';
+        const countyOptions = selected => AgriCounties.names().map(name =>
+            `<option value="${escape(name)}" ${name === selected ? 'selected' : ''}>${escape(name)}</option>`).join('');
+
+        container.innerHTML = `
+            <div class="calendar-plots no-print">
+                <div class="input-group">
+                    <label for="calendar-plot">Plot</label>
+                    <select id="calendar-plot">
+                        ${plots.length === 0 ? '<option value="">No plots yet</option>' : ''}
+                        ${plots.map(item => `
+                            <option value="${escape(item.id)}" ${item.id === this.plotId ? 'selected' : ''}>
+                                ${escape(item.name)}${item.county ? ` (${escape(item.county)})` : ''}
+                            </option>
+                        `).join('')}
+                    </select>
+                </div>
+                <details ${plots.length === 0 ? 'open' : ''}>
+                    <summary>➕ Add a plot</summary>
+                    <form id="plot-form" class="sell-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="plot-name">Plot name *</label>
+                                <input type="text" id="plot-name" placeholder="e.g., Lower shamba" maxlength="60" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="plot-county">County</label>
+                                <select id="plot-county">
+                                    <option value="">Select County</option>
+                                    ${countyOptions(profileCounty)}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="plot-area">Area (acres)</label>
+                                <input type="number" id="plot-area" min="0.1" step="0.1" placeholder="e.g., 2">
+                            </div>
+                        </div>
+                        <button type="submit" class="btn-secondary">Save Plot</button>
+                    </form>
+                </details>
+            </div>
+
+            ${plot ? `
+                <form id="calendar-form" class="sell-form no-print">
+                    <h3>New planting calendar for ${escape(plot.name)}</h3>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="calendar-crop">Crop *</label>
+                            <select id="calendar-crop" required>
+                                ${this.app.cropData.map(crop =>
+                                    `<option value="${escape(crop.id)}">${escape(crop.image) || '🌱'} ${escape(crop.name)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="calendar-county">County</label>
+                            <select id="calendar-county">
+                                <option value="">Select County</option>
+                                ${countyOptions(plot.county || profileCounty)}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="calendar-date">Planting date *</label>
+                            <input type="date" id="calendar-date" value="${new Date().toISOString().split('T')[0]}" required>
+                        </div>
+                    </div>
+                    <button type="submit" class="btn-primary">Generate Calendar</button>
+                </form>
+
+                <div class="calendar-month">${this.renderMonth()}</div>
+
+                <div class="calendar-list">
+                    ${this.calendars.length > 0 ? this.calendars.map(calendar => this.renderCalendar(calendar, plot)).join('') :
+                        '<p class="empty-state">No calendars for this plot yet. Pick a crop and planting date above.</p>'}
+                </div>
+
+                <div id="rotation-container"></div>
+                <div id="plot-calculations"></div>
+            ` : '<p class="empty-state">Add a plot to start planning what to plant and when.</p>'}
+        `;
+
+        container.querySelector('#calendar-plot')?.addEventListener('change', (e) => this.selectPlot(e.target.value));
+        container.querySelector('#plot-form')?.addEventListener('submit', (e) => this.createPlot(e));
+        container.querySelector('#calendar-form')?.addEventListener('submit', (e) => this.generate(e));
+        container.querySelector('.calendar-month')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-shift]');
+            if (button) this.shiftMonth(Number(button.dataset.shift));
+        });
+
+        // Calendars can come from a backup file, so their ids and dates stay in data attributes
+        container.querySelector('.calendar-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const { action, calendarId, date } = button.dataset;
+            if (action === 'show') this.showMonthOf(date);
+            if (action === 'export') this.exportICS(calendarId);
+            if (action === 'delete') this.deleteCalendar(calendarId);
+        });
+
+        await this.app.rotationPlanner?.render(plot);
+        await this.app.calculationHistory?.renderForPlot(plot);
+    }
+
+    renderMonth() {
+        const { year, month } = this.month;
+        const pad = value => String(value).padStart(2, '0');
+        const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        const firstWeekday = (new Date(Date.UTC(year, month, 1)).getUTCDay() + 6) % 7; // Monday first
+        const today = new Date().toISOString().split('T')[0];
+
+        const byDay = new Map();
+        this.calendars.forEach(calendar => calendar.events.forEach(event => {
+            for (let date = event.date; date <= (event.endDate || event.date); date = AgriPlantingCalendar.addDays(date, 1)) {
+                if (!byDay.has(date)) byDay.set(date, []);
+                byDay.get(date).push({ ...event, cropName: calendar.cropName });
+            }
+        }));
+
+        const cells = [];
+        for (let i = 0; i < firstWeekday; i++) cells.push('<div class="calendar-day empty"></div>');
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = `${year}-${pad(month + 1)}-${pad(day)}`;
+            const events = byDay.get(date) || [];
+            cells.push(`
+                <div class="calendar-day ${date === today ? 'today' : ''} ${events.length > 0 ? 'has-events' : ''}">
+                    <span class="calendar-date">${day}</span>
+                    ${events.map(event => `
+                        <span class="calendar-event ${event.type}" title="${this.app.escapeHtml(`${event.cropName}: ${event.title}`)}">
+                            ${AgriPlantingCalendar.eventTypes[event.type]?.icon || '•'} ${this.app.escapeHtml(event.title)}
+                        </span>
+                    `).join('')}
+                </div>
+            `);
+        }
+
+        const title = new Date(Date.UTC(year, month, 1)).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+        return `
+            <div class="calendar-month-header">
+                <button class="btn-secondary no-print" data-shift="-1" aria-label="Previous month">‹</button>
+                <h3>${title}</h3>
+                <button class="btn-secondary no-print" data-shift="1" aria-label="Next month">›</button>
+            </div>
+            <div class="calendar-grid">
+                ${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => `<div class="calendar-weekday">${day}</div>`).join('')}
+                ${cells.join('')}
+            </div>
+        `;
+    }
+
+    renderCalendar(calendar, plot) {
+        const escape = value => this.app.escapeHtml(value);
+        const format = date => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+
+        return `
+            <div class="sync-center-group calendar-timeline">
+                <div class="sync-center-group-header">
+                    <h3>${escape(calendar.cropName)} · planted ${format(calendar.plantingDate)}</h3>
+                    <div class="listing-actions no-print">
+                        <button class="btn-secondary" data-action="show" data-date="${escape(calendar.plantingDate)}">📅 Show</button>
+                        <button class="btn-secondary" data-action="export" data-calendar-id="${escape(calendar.id)}">📤 Export .ics</button>
+                        <button class="btn-secondary" data-action="delete" data-calendar-id="${escape(calendar.id)}">🗑️ Delete</button>
+                    </div>
+                </div>
+                ${(calendar.warnings || []).map(warning => `<p class="field-error">⚠️ ${escape(warning)}</p>`).join('')}
+                <ol class="timeline">
+                    ${calendar.events.map(event => `
+                        <li class="timeline-event ${event.type}">
+                            <span class="timeline-date">${format(event.date)}${event.endDate ? ` – ${format(event.endDate)}` : ''}</span>
+                            <strong>${AgriPlantingCalendar.eventTypes[event.type]?.icon || '•'} ${escape(event.title)}</strong>
+                            ${event.notes ? `<br><small>${escape(event.notes)}</small>` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+                ${plot.county && calendar.county && plot.county !== calendar.county ? `<p><small>Timed for ${escape(calendar.county)} County</small></p>` : ''}
+            </div>
+        `;
+    }
+
+    selectPlot(plotId) {
+        this.plotId = plotId || null;
+        this.render();
+    }
+
+    shiftMonth(delta) {
+        const date = new Date(this.month.year, this.month.month + delta, 1);
+        this.month = { year: date.getFullYear(), month: date.getMonth() };
+        this.render();
+    }
+
+    showMonthOf(date) {
+        const [year, month] = String(date).split('-').map(Number);
+        this.month = { year, month: month - 1 };
+        this.render();
+    }
+
+    async createPlot(event) {
+        event.preventDefault();
+        const form = event.target;
+        const name = form.querySelector('#plot-name').value.trim();
+        const area = parseFloat(form.querySelector('#plot-area').value);
+
+        if (!name) {
+            this.app.showNotification('Please give the plot a name', 'error');
+            return;
+        }
+
+        try {
+            const plot = await agriDB.savePlot({
+                name,
+                county: form.querySelector('#plot-county').value || null,
+                area: area > 0 ? area : null,
+                createdAt: new Date().toISOString()
+            });
+            this.plotId = plot.id;
+            this.app.showNotification(`${this.app.escapeHtml(name)} saved`, 'success');
+            await this.render();
+        } catch (error) {
+            console.error('Error saving plot:', error);
+            this.app.showNotification('Error saving plot', 'error');
+        }
+    }
+
+    async generate(event) {
+        event.preventDefault();
+        const form = event.target;
+        const cropId = form.querySelector('#calendar-crop').value;
+        const county = form.querySelector('#calendar-county').value;
+        const plantingDate = form.querySelector('#calendar-date').value;
+
+        const crop = this.app.cropData.find(item => String(item.id) === String(cropId));
+        if (!crop || !/^\d{4}-\d{2}-\d{2}$/.test(plantingDate)) {
+            this.app.showNotification('Please choose a crop and a planting date', 'error');
+            return;
+        }
+
+        try {
+            const { events, warnings, growingDays } = AgriPlantingCalendar.buildTimeline(crop, { county, plantingDate });
+            const calendar = await agriDB.saveCalendar({
+                plotId: this.plotId,
+                cropId: crop.id,
+                cropName: crop.name,
+                county: county || null,
+                plantingDate,
+                growingDays,
+                events,
+                warnings,
+                createdAt: new Date().toISOString()
+            });
+
+            this.showMonthOf(calendar.plantingDate);
+            this.app.showNotification(`${this.app.escapeHtml(crop.name)} calendar saved`, 'success');
+        } catch (error) {
+            console.error('Error generating calendar:', error);
+            this.app.showNotification('Error generating calendar', 'error');
+        }
+    }
+
+    async deleteCalendar(calendarId) {
+        const calendar = this.calendars.find(item => item.id === calendarId);
+        if (!calendar || !confirm(`Delete the ${calendar.cropName} calendar?`)) return;
+
+        try {
+            await agriDB.deleteItem('calendars', calendarId);
+            await this.render();
+        } catch (error) {
+            console.error('Error deleting calendar:', error);
+            this.app.showNotification('Error deleting calendar', 'error');
+        }
+    }
+
+    async exportICS(calendarId) {
+        const calendar = this.calendars.find(item => item.id === calendarId);
+        if (!calendar) return;
+
+        try {
+            const plot = await agriDB.getItem('plots', calendar.plotId);
+            const blob = new Blob([AgriPlantingCalendar.toICS(calendar, plot?.name)], { type: 'text/calendar' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${calendar.cropName}-${calendar.plantingDate}.ics`.replace(/[^\w.-]+/g, '-').toLowerCase();
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+        } catch (error) {
+            console.error('Error exporting calendar:', error);
+            this.app.showNotification('Error exporting calendar', 'error');
+        }
+    }
+}
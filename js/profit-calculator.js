@@ -0,0 +1,343 @@
+// Enterprise budget for one crop and season: itemised costs per acre, yield and price ranges,
+// break-even price and yield, and a best/worst-case table. Budgets are kept in the budgets store.
+class AgriProfitCalculator {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.budgets = [];
+    }
+
+    static costItems = {
+        seed: 'Seed and planting material',
+        fertilizer: 'Fertilizer and manure',
+        labour: 'Labour',
+        chemicals: 'Pesticides and herbicides',
+        transport: 'Transport and marketing',
+        other: 'Other costs'
+    };
+
+    static cases = ['low', 'expected', 'high'];
+
+    static budgetId(cropId, year, season) {
+        return `budget_${cropId}_${year}_${season}`;
+    }
+
+    static seasonLabel(budget) {
+        return `${AgriCropRecommender.seasons[budget.season]?.label || budget.season} ${budget.year}`;
+    }
+
+    // The crop's yield and price ranges from the library, with the middle as the expected case
+    static rangesFor(crop) {
+        const metrics = crop.metrics || AgriCropNormalizer.normalize(crop).metrics;
+        const range = value => value ? {
+            low: value.min,
+            expected: Math.round((value.min + value.max) / 2),
+            high: value.max
+        } : { low: null, expected: null, high: null };
+        return {
+            yield: range(metrics.yield?.kgPerAcre),
+            price: range(metrics.price?.unit === 'kg' ? metrics.price : null)
+        };
+    }
+
+    static calculate(budget) {
+        const { area } = budget;
+        const costPerAcre = Object.keys(this.costItems).reduce((sum, item) => sum + (budget.costs[item] || 0), 0);
+        const profitFor = (yieldCase, priceCase) => {
+            const perAcre = budget.yield[yieldCase] * budget.price[priceCase] - costPerAcre;
+            return { perAcre, total: perAcre * area };
+        };
+
+        const sensitivity = this.cases.map(yieldCase => ({
+            yieldCase,
+            kgPerAcre: budget.yield[yieldCase],
+            profits: this.cases.map(priceCase => ({ priceCase, price: budget.price[priceCase], ...profitFor(yieldCase, priceCase) }))
+        }));
+
+        const revenue = budget.yield.expected * budget.price.expected * area;
+        const totalCost = costPerAcre * area;
+        return {
+            costPerAcre,
+            totalCost,
+            revenue,
+            profit: revenue - totalCost,
+            margin: revenue > 0 ? (revenue - totalCost) / revenue : null,
+            breakEvenPrice: budget.yield.expected > 0 ? costPerAcre / budget.yield.expected : null,
+            breakEvenYield: budget.price.expected > 0 ? costPerAcre / budget.price.expected : null,
+            sensitivity,
+            best: profitFor('high', 'high'),
+            worst: profitFor('low', 'low')
+        };
+    }
+
+    async init() {
+        if (this.app.cropData.length === 0) {
+            this.app.cropData = await agriDB.getAllCrops();
+        }
+        this.budgets = await agriDB.getBudgets();
+        this.populateCrops();
+        this.renderBudgets();
+    }
+
+    populateCrops(selectedId) {
+        const select = document.getElementById('profit-crop');
+        if (!select) return;
+
+        const current = selectedId ?? (select.value || this.app.toolCrop?.id);
+        select.innerHTML = this.app.cropData.map(crop =>
+            `<option value="${this.app.escapeHtml(crop.id)}" ${String(crop.id) === String(current) ? 'selected' : ''}>${this.app.escapeHtml(crop.name)}</option>`
+        ).join('');
+
+        const season = document.getElementById('profit-season');
+        if (season && !season.value) season.value = AgriCropRecommender.currentSeason();
+        const year = document.getElementById('profit-year');
+        if (year && !year.value) year.value = new Date().getFullYear();
+
+        this.loadBudget(select.value);
+    }
+
+    // Shows the saved budget for the crop and season, or starts one from the library figures
+    loadBudget(cropId) {
+        const year = parseInt(document.getElementById('profit-year')?.value, 10);
+        const season = document.getElementById('profit-season')?.value;
+        const saved = this.budgets.find(budget => budget.id === AgriProfitCalculator.budgetId(cropId, year, season));
+        if (saved) {
+            this.fillForm(saved);
+        } else {
+            this.fillDefaults(cropId);
+        }
+    }
+
+    fillDefaults(cropId) {
+        const crop = this.app.cropData.find(item => String(item.id) === String(cropId));
+        if (!crop) return;
+
+        // Seed and fertilizer costs for one acre, from the other calculators
+        const costs = {};
+        const seed = AgriSeedCalculator.defaultsFor(crop);
+        const seedPlan = AgriSeedCalculator.calculate(crop, {
+            ...seed,
+            area: 1,
+            price: this.app.seedCalculator?.prices[crop.id] ?? seed.price
+        });
+        if (seedPlan.cost) costs.seed = Math.round(seedPlan.cost);
+
+        const fertilizers = this.app.fertilizerCalculator?.fertilizers || [];
+        if (fertilizers.length > 0) {
+            const plan = AgriFertilizerCalculator.calculate(crop, {
+                area: 1,
+                soilTest: {},
+                fertilizers,
+                prices: this.app.fertilizerCalculator.prices
+            });
+            if (plan.total > 0) costs.fertilizer = plan.total;
+        }
+
+        const ranges = AgriProfitCalculator.rangesFor(crop);
+        this.fillForm({ cropId: crop.id, area: null, yield: ranges.yield, price: ranges.price, costs });
+    }
+
+    // Budgets are kept in acres, kg and KES per kg; the form is in the farmer's units
+    fillForm(budget) {
+        const units = this.app.units;
+        const set = (id, value, convert) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            element.value = value === null || value === undefined ? '' : convert ? +convert(value).toFixed(2) : value;
+        };
+        const yieldOf = kgPerAcre => units.fromKg(units.perLand(kgPerAcre));
+
+        set('profit-crop', budget.cropId);
+        if (budget.year) set('profit-year', budget.year);
+        if (budget.season) set('profit-season', budget.season);
+        if (budget.area) set('farm-size', budget.area, acres => units.fromAcres(acres));
+        AgriProfitCalculator.cases.forEach(level => {
+            const suffix = level === 'expected' ? '' : `-${level}`;
+            set(`crop-yield${suffix}`, budget.yield[level], yieldOf);
+            set(`market-price${suffix}`, budget.price[level], price => units.priceFromKg(price));
+        });
+        Object.keys(AgriProfitCalculator.costItems).forEach(item =>
+            set(`profit-cost-${item}`, budget.costs[item], cost => Math.round(units.perLand(cost))));
+
+        const result = document.getElementById('profit-result');
+        if (result) result.innerHTML = '';
+    }
+
+    readForm() {
+        const units = this.app.units;
+        const number = (id, convert) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return isNaN(value) ? null : convert(value);
+        };
+        const range = (id, convert) => {
+            const expected = number(id, convert);
+            return {
+                low: number(`${id}-low`, convert) ?? expected,
+                expected,
+                high: number(`${id}-high`, convert) ?? expected
+            };
+        };
+        const costs = {};
+        Object.keys(AgriProfitCalculator.costItems).forEach(item => {
+            costs[item] = number(`profit-cost-${item}`, cost => units.perAcre(cost)) || 0;
+        });
+
+        const crop = this.app.cropData.find(item => String(item.id) === String(document.getElementById('profit-crop')?.value));
+        const year = parseInt(document.getElementById('profit-year')?.value, 10) || new Date().getFullYear();
+        const season = document.getElementById('profit-season')?.value || AgriCropRecommender.currentSeason();
+        return {
+            id: crop ? AgriProfitCalculator.budgetId(crop.id, year, season) : null,
+            cropId: crop?.id,
+            cropName: crop?.name,
+            year,
+            season,
+            area: number('farm-size', value => units.toAcres(value)),
+            yield: range('crop-yield', value => units.perAcre(units.toKg(value))),
+            price: range('market-price', value => units.priceToKg(value)),
+            costs
+        };
+    }
+
+    async calculate() {
+        const result = document.getElementById('profit-result');
+        if (!result) return;
+
+        const budget = this.readForm();
+        if (!budget.cropId) {
+            result.textContent = 'Please choose a crop';
+            return;
+        }
+        if (!budget.area || budget.area <= 0) {
+            result.textContent = `Please enter valid farm size in ${this.app.units.landUnit()}`;
+            return;
+        }
+        if (!(budget.yield.expected > 0) || !(budget.price.expected > 0)) {
+            result.textContent = 'Please enter the expected yield and market price';
+            return;
+        }
+        const ordered = range => range.low <= range.expected && range.expected <= range.high;
+        if (!ordered(budget.yield) || !ordered(budget.price)) {
+            result.textContent = 'Low, expected and high yields and prices should go from smallest to largest';
+            return;
+        }
+
+        try {
+            const saved = await agriDB.saveBudget({ ...budget, updatedAt: new Date().toISOString() });
+            this.budgets = [...this.budgets.filter(item => item.id !== saved.id), saved];
+            result.innerHTML = this.renderResult(saved, AgriProfitCalculator.calculate(saved));
+            this.renderBudgets();
+            await this.app.calculationHistory?.record('profit', { id: saved.cropId, name: saved.cropName });
+        } catch (error) {
+            console.error('Error saving budget:', error);
+            result.textContent = 'Error calculating profit';
+        }
+    }
+
+    openBudget(id) {
+        const budget = this.budgets.find(item => item.id === id);
+        if (!budget) return;
+        this.fillForm(budget);
+        document.getElementById('profit-result').innerHTML = this.renderResult(budget, AgriProfitCalculator.calculate(budget));
+    }
+
+    async deleteBudget(id) {
+        const budget = this.budgets.find(item => item.id === id);
+        if (!budget || !confirm(`Delete the ${budget.cropName} budget for ${AgriProfitCalculator.seasonLabel(budget)}?`)) return;
+
+        try {
+            await agriDB.deleteBudget(id);
+            this.budgets = this.budgets.filter(item => item.id !== id);
+            this.renderBudgets();
+            this.app.showNotification('Budget deleted', 'info');
+        } catch (error) {
+            console.error('Error deleting budget:', error);
+            this.app.showNotification('Could not delete the budget', 'error');
+        }
+    }
+
+    renderResult(budget, summary) {
+        const escape = value => this.app.escapeHtml(value);
+        const kes = value => `KES ${Math.round(value).toLocaleString()}`;
+        const signed = value => `<span class="${value < 0 ? 'loss' : 'gain'}">${kes(value)}</span>`;
+        const caseLabel = { low: 'Low', expected: 'Expected', high: 'High' };
+        const units = this.app.units;
+        const perLand = units.landUnit(1);
+
+        return `
+            <p><strong>${escape(budget.cropName)}, ${escape(AgriProfitCalculator.seasonLabel(budget))}, ${units.area(budget.area)}:</strong></p>
+            <p>Expected revenue: <strong>${kes(summary.revenue)}</strong></p>
+            <p>Total costs: <strong>${kes(summary.totalCost)}</strong> <small>(${kes(units.perLand(summary.costPerAcre))} per ${perLand})</small></p>
+            <p>Expected profit: <strong>${signed(summary.profit)}</strong>${summary.margin !== null ? ` <small>(${Math.round(summary.margin * 100)}% of revenue)</small>` : ''}</p>
+            <p>Break-even price: <strong>${units.price(summary.breakEvenPrice)}</strong> at ${units.yield(budget.yield.expected)}</p>
+            <p>Break-even yield: <strong>${units.yield(summary.breakEvenYield)}</strong> at ${units.price(budget.price.expected)}</p>
+            <h4>Profit for ${units.area(budget.area)} by yield and price</h4>
+            <div class="compare-table-wrapper">
+                <table class="conflict-table profit-sensitivity">
+                    <thead>
+                        <tr>
+                            <th scope="col">Yield \\ Price</th>
+                            ${AgriProfitCalculator.cases.map(priceCase => `<th scope="col">${caseLabel[priceCase]}<br><small>${units.price(budget.price[priceCase])}</small></th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${summary.sensitivity.map(row => `
+                            <tr>
+                                <th scope="row">${caseLabel[row.yieldCase]}<br><small>${units.yield(row.kgPerAcre)}</small></th>
+                                ${row.profits.map(cell => `<td>${signed(cell.total)}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p><small>Best case ${kes(summary.best.total)}, worst case ${kes(summary.worst.total)}.</small></p>
+            <h4>Costs per ${perLand}</h4>
+            <ul class="profit-costs">
+                ${Object.entries(AgriProfitCalculator.costItems)
+                    .filter(([item]) => budget.costs[item] > 0)
+                    .map(([item, label]) => `<li>${label}: ${kes(units.perLand(budget.costs[item]))}</li>`).join('') || '<li>No costs entered</li>'}
+            </ul>
+            <p><small>Saved as the ${escape(budget.cropName)} budget for ${escape(AgriProfitCalculator.seasonLabel(budget))}.</small></p>
+        `;
+    }
+
+    renderBudgets() {
+        const container = document.getElementById('profit-budgets');
+        if (!container) return;
+
+        if (this.budgets.length === 0) {
+            container.innerHTML = '<p class="empty-state">No saved budgets yet.</p>';
+            return;
+        }
+
+        const escape = value => this.app.escapeHtml(value);
+        const sorted = [...this.budgets].sort((a, b) => b.year - a.year || String(a.cropName).localeCompare(String(b.cropName)));
+        container.innerHTML = `
+            <ul class="budget-list">
+                ${sorted.map(budget => {
+                    const { profit } = AgriProfitCalculator.calculate(budget);
+                    return `
+                        <li>
+                            <span>${escape(budget.cropName)} · ${escape(AgriProfitCalculator.seasonLabel(budget))} · ${this.app.units.area(budget.area)} ·
+                                <span class="${profit < 0 ? 'loss' : 'gain'}">KES ${Math.round(profit).toLocaleString()}</span></span>
+                            <span class="budget-actions">
+                                <button class="btn-secondary" data-budget-id="${escape(budget.id)}" data-action="open">Open</button>
+                                <button class="btn-secondary" data-budget-id="${escape(budget.id)}" data-action="delete" aria-label="Delete budget">🗑️</button>
+                            </span>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+
+        // Ids come from imported and synced budgets, so they stay out of inline handlers
+        container.querySelectorAll('button[data-budget-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                const id = button.dataset.budgetId;
+                if (button.dataset.action === 'delete') {
+                    this.deleteBudget(id);
+                } else {
+                    this.openBudget(id);
+                }
+            });
+        });
+    }
+}
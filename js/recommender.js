@@ -0,0 +1,178 @@
+// Ranks library crops for a county, soil type and planting season, fully offline.
+// Uses each crop's counties, soil, water and season fields and the county zone table in counties.js.
+class AgriCropRecommender {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.choices = null;
+        this.limit = 8;
+    }
+
+    static seasons = {
+        long: { label: 'Long rains (March-May)', share: 0.45, pattern: /long rains|both|year-round|perennial|\b(mar|march|apr|april|may)\b/i },
+        short: { label: 'Short rains (October-December)', share: 0.3, pattern: /short rains|both|year-round|perennial|\b(oct|october|nov|november|dec|december)\b/i },
+        dry: { label: 'Dry season (irrigated)', share: 0.1, pattern: /irrigat|year-round/i }
+    };
+
+    static soils = ['clay', 'loam', 'sandy', 'volcanic'];
+
+    // The next rains to plant for: long rains from November to May, short rains otherwise
+    static currentSeason(date = new Date()) {
+        const month = date.getMonth();
+        return month <= 4 || month === 10 || month === 11 ? 'long' : 'short';
+    }
+
+    // Altitudes where the crop is commonly grown: mid-points of its counties, with some slack either side
+    static altitudeRange(crop) {
+        const middles = (crop.counties || [])
+            .map(name => AgriCounties.find(name))
+            .filter(county => county?.altitude)
+            .map(county => (county.altitude[0] + county.altitude[1]) / 2);
+        if (middles.length === 0) return null;
+        return { min: Math.min(...middles) - 300, max: Math.max(...middles) + 300 };
+    }
+
+    static score(crop, { county, soil, season }) {
+        const place = AgriCounties.find(county);
+        const metrics = crop.metrics || AgriCropNormalizer.normalize(crop).metrics;
+        const reasons = [];
+        let score = 0;
+
+        const grownHere = place && (crop.counties || []).some(name => AgriCounties.find(name)?.name === place.name);
+        if (grownHere) {
+            score += 30;
+            reasons.push({ ok: true, text: `Commonly grown in ${place.name}` });
+        }
+
+        const altitude = this.altitudeRange(crop);
+        if (place?.altitude && altitude) {
+            const middle = (place.altitude[0] + place.altitude[1]) / 2;
+            const gap = Math.max(altitude.min - middle, middle - altitude.max, 0);
+            const band = `${Math.round(altitude.min).toLocaleString()}-${Math.round(altitude.max).toLocaleString()} m`;
+            if (gap === 0) {
+                score += 20;
+                reasons.push({ ok: true, text: `Suits the altitude (usually ${band})` });
+            } else if (gap <= 300) {
+                score += 10;
+                reasons.push({ ok: true, text: `Altitude is close to where it is usually grown (${band})` });
+            } else {
+                reasons.push({ ok: false, text: `Usually grown at ${band}; ${place.name} is around ${Math.round(middle).toLocaleString()} m` });
+            }
+        }
+
+        // Counties report annual rainfall; each season gets a rough share of it
+        if (place?.rainfall && metrics.water) {
+            const annual = (place.rainfall[0] + place.rainfall[1]) / 2;
+            const available = metrics.water.period === 'year' ? annual : annual * this.seasons[season].share;
+            const ratio = available / metrics.water.min;
+            const need = `${metrics.water.min}-${metrics.water.max} mm per ${metrics.water.period}`;
+            if (ratio >= 1) {
+                score += 25;
+                reasons.push({ ok: true, text: `Rainfall (about ${Math.round(available)} mm) covers its need of ${need}` });
+            } else if (ratio >= 0.7) {
+                score += 12;
+                reasons.push({ ok: false, text: `Rainfall is a little short of ${need}; plan supplementary irrigation` });
+            } else {
+                reasons.push({ ok: false, text: `Needs irrigation: about ${Math.round(available)} mm of rain against ${need}` });
+            }
+        }
+
+        const textures = metrics.soil?.texture || [];
+        if (textures.length === 0) {
+            score += 7;
+        } else if (textures.includes(soil)) {
+            score += 15;
+            reasons.push({ ok: true, text: `Does well on ${soil} soils` });
+        } else {
+            reasons.push({ ok: false, text: `Prefers ${textures.join(' or ')} soils` });
+        }
+
+        if (this.seasons[season].pattern.test(crop.season || '')) {
+            score += 10;
+        } else if (crop.season) {
+            reasons.push({ ok: false, text: `Usually planted: ${crop.season}` });
+        }
+
+        const label = score >= 70 ? 'Good fit' : score >= 45 ? 'Possible' : 'Poor fit';
+        return { crop, score, label, reasons };
+    }
+
+    static recommend(crops, choices) {
+        return crops
+            .map(crop => this.score(crop, choices))
+            .sort((a, b) => b.score - a.score || String(a.crop.name).localeCompare(String(b.crop.name)));
+    }
+
+    // Starts from the profile's county and soil; later changes on the home screen override them
+    getChoices() {
+        if (this.choices) return this.choices;
+        const profile = this.app.userProfile || {};
+        return {
+            county: AgriCounties.find(profile.location)?.name || '',
+            soil: AgriCropRecommender.soils.includes(profile.soilType) ? profile.soilType : 'loam',
+            season: AgriCropRecommender.currentSeason()
+        };
+    }
+
+    update(field, value) {
+        this.choices = { ...this.getChoices(), [field]: value };
+        this.render();
+    }
+
+    async render() {
+        const container = document.getElementById('crop-recommender');
+        if (!container) return;
+
+        const escape = value => this.app.escapeHtml(value);
+        const choices = this.getChoices();
+        const place = AgriCounties.find(choices.county);
+        const crops = await agriDB.getAllCrops();
+
+        const select = (field, label, options) => `
+            <div class="input-group">
+                <label for="recommend-${field}">${label}</label>
+                <select id="recommend-${field}" onchange="agriApp.recommender.update('${field}', this.value)">
+                    ${options.map(([value, text]) =>
+                        `<option value="${escape(value)}" ${value === choices[field] ? 'selected' : ''}>${escape(text)}</option>`
+                    ).join('')}
+                </select>
+            </div>
+        `;
+
+        let results = '';
+        if (!place) {
+            results = `<p class="empty-state">Choose your county${this.app.userProfile ? '' : ', or set it in your profile,'} to see crops that suit your area.</p>`;
+        } else if (crops.length === 0) {
+            results = '<p class="empty-state">Load the crop library to get recommendations.</p>';
+        } else {
+            results = `
+                <p><small>${escape(place.name)}: ${escape(AgriCounties.zoneOf(place))},
+                ${place.altitude[0].toLocaleString()}-${place.altitude[1].toLocaleString()} m,
+                ${place.rainfall[0].toLocaleString()}-${place.rainfall[1].toLocaleString()} mm rain a year</small></p>
+                <ol class="recommendation-list">
+                    ${AgriCropRecommender.recommend(crops, choices).slice(0, this.limit).map(({ crop, score, label, reasons }) => `
+                        <li class="recommendation ${label === 'Good fit' ? 'good' : label === 'Possible' ? 'possible' : 'poor'}">
+                            <div class="recommendation-header">
+                                <a href="#crops/${encodeURIComponent(crop.id)}">${escape(crop.image) || '🌱'} ${escape(crop.name)}</a>
+                                <span class="recommendation-label">${label} · ${score}/100</span>
+                            </div>
+                            <ul>
+                                ${reasons.map(reason => `<li>${reason.ok ? '✓' : '⚠️'} ${escape(reason.text)}</li>`).join('')}
+                            </ul>
+                        </li>
+                    `).join('')}
+                </ol>
+            `;
+        }
+
+        container.innerHTML = `
+            <h3>🌾 What to Plant</h3>
+            <p class="readable-text">Crops ranked for your county, soil and season. Works offline.</p>
+            <div class="form-row recommender-controls no-print">
+                ${select('county', 'County', [['', 'Choose county'], ...AgriCounties.names().map(name => [name, name])])}
+                ${select('soil', 'Soil type', AgriCropRecommender.soils.map(soil => [soil, soil[0].toUpperCase() + soil.slice(1)]))}
+                ${select('season', 'Season', Object.entries(AgriCropRecommender.seasons).map(([key, season]) => [key, season.label]))}
+            </div>
+            ${results}
+        `;
+    }
+}
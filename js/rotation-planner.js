@@ -0,0 +1,331 @@
+// Rotation and intercropping planner: records what each plot grew, then ranks next-season crops by
+// disease carryover, crop family and nitrogen from legumes, and pairs crops that can share a plot.
+class AgriRotationPlanner {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.plot = null;
+    }
+
+    static seasonOrder = ['long', 'dry', 'short'];
+
+    // Botanical families by genus; crops from one family share most pests and soil diseases
+    static families = {
+        zea: 'Grass family', sorghum: 'Grass family', triticum: 'Grass family', oryza: 'Grass family',
+        eleusine: 'Grass family', pennisetum: 'Grass family', hordeum: 'Grass family',
+        phaseolus: 'Legume family', vigna: 'Legume family', pisum: 'Legume family', glycine: 'Legume family',
+        arachis: 'Legume family', cajanus: 'Legume family', cicer: 'Legume family', lablab: 'Legume family',
+        solanum: 'Nightshade family', capsicum: 'Nightshade family', nicotiana: 'Nightshade family',
+        brassica: 'Cabbage family', ipomoea: 'Morning glory family', manihot: 'Spurge family',
+        musa: 'Banana family', camellia: 'Tea family', coffea: 'Coffee family'
+    };
+
+    // Share of the sole-crop plant population each crop keeps when intercropped:
+    // the main crop keeps its full stand and the companion goes in between its rows
+    static intercropShares = { main: 1, companion: 0.5 };
+
+    static familyOf(crop) {
+        const genus = String(crop.scientificName || '').trim().split(/\s+/)[0].toLowerCase();
+        return this.families[genus] || crop.category || null;
+    }
+
+    static isLegume(crop) {
+        return crop.category === 'Legume' || this.familyOf(crop) === 'Legume family' ||
+            /fix(es)? nitrogen|nitrogen[- ]fixing/i.test(crop.description || '');
+    }
+
+    static isAnnual(crop) {
+        const harvest = (crop.metrics || AgriCropNormalizer.normalize(crop).metrics).harvest;
+        return harvest?.from === 'planting';
+    }
+
+    // Soil-borne diseases survive in the field for several seasons; leaf and pod diseases mostly in crop residue
+    static isSoilBorne(disease) {
+        return /root|wilt|nematode|soil|fusarium|clubroot|damping/i.test(disease);
+    }
+
+    // "Rust" and "Leaf rust" are treated as the same problem
+    static sameDisease(a, b) {
+        const x = String(a).toLowerCase().trim();
+        const y = String(b).toLowerCase().trim();
+        return x === y || x.endsWith(` ${y}`) || y.endsWith(` ${x}`);
+    }
+
+    static sharedDiseases(a, b) {
+        return (a.diseases || []).filter(disease => (b.diseases || []).some(other => this.sameDisease(disease, other)));
+    }
+
+    // Season a planting date falls in: February-July long rains, August-January short rains
+    static seasonOf(date) {
+        const [year, month] = String(date).split('-').map(Number);
+        if (month >= 2 && month <= 7) return { year, season: 'long' };
+        return { year: month === 1 ? year - 1 : year, season: 'short' };
+    }
+
+    static seasonKey(entry) {
+        return entry.year * 3 + this.seasonOrder.indexOf(entry.season);
+    }
+
+    // Past seasons newest first: recorded history plus calendars whose planting date has passed
+    static history(plot, calendars = [], today = new Date().toISOString().split('T')[0]) {
+        const entries = [...(plot?.history || [])];
+        calendars
+            .filter(calendar => calendar.plantingDate <= today)
+            .forEach(calendar => {
+                const { year, season } = this.seasonOf(calendar.plantingDate);
+                const recorded = entries.some(entry => entry.year === year && entry.season === season &&
+                    String(entry.cropId) === String(calendar.cropId));
+                if (!recorded) {
+                    entries.push({ id: `calendar_${calendar.id}`, year, season, cropId: calendar.cropId, cropName: calendar.cropName, fromCalendar: true });
+                }
+            });
+        return entries.sort((a, b) => this.seasonKey(b) - this.seasonKey(a));
+    }
+
+    // Ranks annual crops for the next season on a plot with the given history (newest first)
+    static suggest(crops, history) {
+        const cropOf = entry => crops.find(crop => String(crop.id) === String(entry.cropId)) ||
+            crops.find(crop => crop.name.toLowerCase() === String(entry.cropName).toLowerCase());
+        const past = history.slice(0, 3).map((entry, index) => ({ entry, crop: cropOf(entry), seasonsAgo: index + 1 }))
+            .filter(item => item.crop);
+        const last = past[0];
+
+        return crops
+            .filter(crop => this.isAnnual(crop))
+            .map(crop => {
+                const reasons = [];
+                let score = 50;
+
+                past.forEach(({ crop: previous, seasonsAgo }) => {
+                    const when = seasonsAgo === 1 ? 'last season' : `${seasonsAgo} seasons ago`;
+
+                    if (previous.id === crop.id) {
+                        const soilBorne = (crop.diseases || []).filter(disease => this.isSoilBorne(disease));
+                        score -= seasonsAgo === 1 ? 30 : 10;
+                        reasons.push({
+                            ok: false,
+                            text: `${crop.name} was grown here ${when}; pests and diseases${soilBorne.length > 0 ? ` such as ${soilBorne.join(', ')}` : ''} build up`
+                        });
+                        return;
+                    }
+
+                    if (this.familyOf(previous) && this.familyOf(previous) === this.familyOf(crop)) {
+                        score -= seasonsAgo === 1 ? 10 : 5;
+                        reasons.push({ ok: false, text: `Same ${this.familyOf(crop).toLowerCase()} as the ${previous.name} grown ${when}` });
+                    }
+
+                    // Soil-borne diseases count for three seasons, residue-borne ones only for the last season
+                    this.sharedDiseases(crop, previous)
+                        .filter(disease => seasonsAgo === 1 || this.isSoilBorne(disease))
+                        .forEach(disease => {
+                            score -= this.isSoilBorne(disease) ? 15 : 8;
+                            reasons.push({
+                                ok: false,
+                                text: `Disease carryover risk: ${disease} (${previous.name}, ${when}${this.isSoilBorne(disease) ? ', survives in the soil' : ''})`
+                            });
+                        });
+                });
+
+                if (last && this.isLegume(last.crop) && !this.isLegume(crop)) {
+                    score += 15;
+                    reasons.push({ ok: true, text: `Follows ${last.crop.name}, which leaves nitrogen in the soil` });
+                }
+                if (last && this.isLegume(crop) && !this.isLegume(last.crop)) {
+                    score += 10;
+                    reasons.push({ ok: true, text: `A legume after ${last.crop.name} breaks the pest cycle and adds nitrogen` });
+                }
+                if (past.length > 0 && !past.some(item => this.sharedDiseases(crop, item.crop).length > 0 || item.crop.id === crop.id)) {
+                    reasons.push({ ok: true, text: 'No disease shared with recent crops on this plot' });
+                }
+
+                return { crop, score: Math.max(0, Math.min(100, score)), reasons };
+            })
+            .sort((a, b) => b.score - a.score || a.crop.name.localeCompare(b.crop.name));
+    }
+
+    // Pairs of annual crops that can share a plot: a legume with a non-legume, from different
+    // families and without shared diseases. The non-legume is the main crop.
+    static intercropPairs(crops) {
+        const annuals = crops.filter(crop => this.isAnnual(crop));
+        const pairs = [];
+
+        annuals.forEach(legume => {
+            if (!this.isLegume(legume)) return;
+            annuals.forEach(partner => {
+                if (partner.id === legume.id || this.isLegume(partner)) return;
+                if (this.familyOf(partner) === this.familyOf(legume)) return;
+                if (this.sharedDiseases(legume, partner).length > 0) return;
+
+                // "often intercropped with maize" in either description
+                const mentioned = [[legume, partner], [partner, legume]].some(([crop, other]) =>
+                    /intercrop/i.test(crop.description || '') &&
+                    String(crop.description).toLowerCase().includes(String(other.name).toLowerCase()));
+                const density = crop => (crop.metrics || AgriCropNormalizer.normalize(crop).metrics).density;
+                const rate = (crop, share) => ({
+                    crop,
+                    share,
+                    plants: density(crop) ? { min: Math.round(density(crop).min * share), max: Math.round(density(crop).max * share) } : null,
+                    unit: density(crop)?.unit || 'plants',
+                    per: density(crop)?.per || 'acre'
+                });
+
+                pairs.push({
+                    main: rate(partner, this.intercropShares.main),
+                    companion: rate(legume, this.intercropShares.companion),
+                    mentioned
+                });
+            });
+        });
+
+        return pairs.sort((a, b) => Number(b.mentioned) - Number(a.mentioned));
+    }
+
+    async render(plot) {
+        const container = document.getElementById('rotation-container');
+        if (!container) return;
+
+        this.plot = plot || null;
+        if (!plot) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const escape = value => this.app.escapeHtml(value);
+        const crops = this.app.cropData;
+        const calendars = await agriDB.getCalendars(plot.id);
+        const history = AgriRotationPlanner.history(plot, calendars);
+        const suggestions = AgriRotationPlanner.suggest(crops, history);
+        const pairs = AgriRotationPlanner.intercropPairs(crops);
+        const seasons = AgriCropRecommender.seasons;
+        const thisYear = new Date().getFullYear();
+
+        const number = value => Number(value).toLocaleString();
+        const plants = rate => rate.plants
+            ? `${rate.plants.min === rate.plants.max ? number(rate.plants.min) : `${number(rate.plants.min)}-${number(rate.plants.max)}`} ${escape(rate.unit)} per ${escape(rate.per)}`
+            : 'no planting density recorded';
+
+        container.innerHTML = `
+            <div class="sync-center-group">
+                <h3>🔄 Rotation for ${escape(plot.name)}</h3>
+                <h4>What this plot grew</h4>
+                ${history.length > 0 ? `
+                    <ul class="plot-history">
+                        ${history.map(entry => `
+                            <li>
+                                <strong>${escape(entry.year)} ${escape(seasons[entry.season]?.label || entry.season)}</strong>: ${escape(entry.cropName)}
+                                ${entry.fromCalendar ? '<small>(from planting calendar)</small>' : `
+                                    <button class="btn-secondary no-print" data-entry-id="${escape(entry.id)}" aria-label="Remove">✕</button>
+                                `}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="empty-state">No seasons recorded yet. Add what was planted in recent seasons to get rotation advice.</p>'}
+
+                <form id="plot-history-form" class="form-row no-print">
+                    <div class="form-group">
+                        <label for="history-year">Year</label>
+                        <input type="number" id="history-year" value="${thisYear}" min="1990" max="${thisYear + 1}" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="history-season">Season</label>
+                        <select id="history-season">
+                            ${Object.entries(seasons).map(([key, season]) => `<option value="${key}">${escape(season.label)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="history-crop">Crop</label>
+                        <select id="history-crop">
+                            ${crops.map(crop => `<option value="${escape(crop.id)}">${escape(crop.name)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>&nbsp;</label>
+                        <button type="submit" class="btn-secondary">Add Season</button>
+                    </div>
+                </form>
+
+                <h4>Suggested for next season</h4>
+                ${history.length === 0 ? '<p><small>With no history recorded, every crop scores the same.</small></p>' : ''}
+                <ol class="recommendation-list">
+                    ${suggestions.map(({ crop, score, reasons }) => `
+                        <li class="recommendation ${score >= 60 ? 'good' : score >= 40 ? 'possible' : 'poor'}">
+                            <div class="recommendation-header">
+                                <a href="#crops/${encodeURIComponent(crop.id)}">${escape(crop.image) || '🌱'} ${escape(crop.name)}</a>
+                                <span class="recommendation-label">${score}/100</span>
+                            </div>
+                            ${reasons.length > 0 ? `
+                                <ul>${reasons.map(reason => `<li>${reason.ok ? '✓' : '⚠️'} ${escape(reason.text)}</li>`).join('')}</ul>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+
+                <h4>🌽 Intercrop pairs</h4>
+                ${pairs.length > 0 ? `
+                    <ul class="intercrop-pairs">
+                        ${pairs.map(({ main, companion, mentioned }) => `
+                            <li>
+                                <strong>${escape(main.crop.name)} + ${escape(companion.crop.name)}</strong>
+                                ${mentioned ? '<small>(common practice)</small>' : ''}
+                                <br><small>${escape(main.crop.name)}: ${Math.round(main.share * 100)}% of the sole-crop stand, ${plants(main)}</small>
+                                <br><small>${escape(companion.crop.name)}: ${Math.round(companion.share * 100)}% of the sole-crop stand between the rows, ${plants(companion)}</small>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="empty-state">No compatible pairs in the crop library. Intercropping needs a legume and a crop from another family.</p>'}
+            </div>
+        `;
+
+        container.querySelector('#plot-history-form')?.addEventListener('submit', (e) => this.addSeason(e));
+
+        // Plot history can come from a backup file, so entry ids stay in data attributes
+        container.querySelector('.plot-history')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-entry-id]');
+            if (button) this.removeSeason(button.dataset.entryId);
+        });
+    }
+
+    async addSeason(event) {
+        event.preventDefault();
+        if (!this.plot) return;
+
+        const form = event.target;
+        const year = parseInt(form.querySelector('#history-year').value, 10);
+        const season = form.querySelector('#history-season').value;
+        const crop = this.app.cropData.find(item => String(item.id) === form.querySelector('#history-crop').value);
+
+        if (!year || !crop) {
+            this.app.showNotification('Please choose a year and a crop', 'error');
+            return;
+        }
+
+        try {
+            const entry = {
+                id: `season_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+                year,
+                season,
+                cropId: crop.id,
+                cropName: crop.name
+            };
+            this.plot = await agriDB.savePlot({ ...this.plot, history: [...(this.plot.history || []), entry] });
+            await this.render(this.plot);
+        } catch (error) {
+            console.error('Error saving plot history:', error);
+            this.app.showNotification('Error saving plot history', 'error');
+        }
+    }
+
+    async removeSeason(entryId) {
+        if (!this.plot) return;
+
+        try {
+            this.plot = await agriDB.savePlot({
+                ...this.plot,
+                history: (this.plot.history || []).filter(entry => entry.id !== entryId)
+            });
+            await this.render(this.plot);
+        } catch (error) {
+            console.error('Error saving plot history:', error);
+            this.app.showNotification('Error saving plot history', 'error');
+        }
+    }
+}
@@ -0,0 +1,314 @@
+// Full-text crop search for AgriInfo Kenya
+// An inverted index (term -> crops) kept in IndexedDB, with prefix, typo and Swahili matching.
+
+class CropSearchIndex {
+    constructor(database) {
+        this.database = database; // AgriInfoDB instance
+        this.terms = null; // Cached vocabulary for typo matching, reloaded after changes
+    }
+
+    // How much a term found in each field counts towards a crop's score
+    static fieldWeights = {
+        name: 10,
+        localName: 9,
+        scientificName: 6,
+        pests: 5,
+        diseases: 5,
+        counties: 5,
+        category: 4,
+        description: 2,
+        season: 1,
+        soilType: 1,
+        waterRequirement: 1,
+        harvestTime: 1,
+        fertilizer: 1,
+        marketPrice: 1,
+        plantingDensity: 1,
+        yield: 1
+    };
+
+    // Swahili farming words and the English terms they stand for (both directions are searched)
+    static synonyms = {
+        mahindi: ['maize', 'corn'],
+        maharagwe: ['beans', 'bean'],
+        chai: ['tea'],
+        kahawa: ['coffee'],
+        viazi: ['potato', 'potatoes'],
+        nyanya: ['tomato', 'tomatoes'],
+        sukuma: ['kale'],
+        kabichi: ['cabbage'],
+        mtama: ['sorghum'],
+        wimbi: ['millet'],
+        muhogo: ['cassava'],
+        ndizi: ['banana', 'bananas'],
+        miwa: ['sugarcane'],
+        pamba: ['cotton'],
+        njugu: ['groundnuts', 'peanuts'],
+        mbolea: ['fertilizer', 'manure'],
+        wadudu: ['pests', 'pest', 'insects'],
+        funza: ['worm', 'armyworm', 'borer'],
+        ugonjwa: ['disease', 'diseases'],
+        magonjwa: ['disease', 'diseases'],
+        udongo: ['soil'],
+        mvua: ['rain', 'rains', 'rainfall'],
+        maji: ['water'],
+        mbegu: ['seed', 'seeds'],
+        mavuno: ['harvest', 'yield'],
+        bei: ['price'],
+        soko: ['market']
+    };
+
+    static stopWords = ['a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'from', 'in', 'is', 'it',
+        'of', 'on', 'or', 'per', 'the', 'to', 'with', 'na', 'ya', 'wa', 'kwa', 'za', 'la'];
+
+    // Lowercase, strip accents and apostrophes ("Murang'a" -> "muranga"), split into words
+    static tokenize(text) {
+        if (text === undefined || text === null) return [];
+        return String(text)
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/['’]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1 && !this.stopWords.includes(token));
+    }
+
+    // Term -> score for one crop
+    static termsForCrop(crop) {
+        const scores = new Map();
+
+        Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+            const value = crop[field];
+            const text = Array.isArray(value) ? value.join(' ') : value;
+
+            new Set(this.tokenize(text)).forEach(term => {
+                scores.set(term, (scores.get(term) || 0) + weight);
+            });
+        });
+
+        return scores;
+    }
+
+    // Levenshtein distance, giving up once it exceeds max
+    static editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Typos allowed for a word of this length: none for short words, more for long ones
+    static allowedTypos(token) {
+        if (token.length < 4) return 0;
+        return token.length < 8 ? 1 : 2;
+    }
+
+    // Add, replace or remove (crop = null) one crop's entries
+    async indexCrop(cropId, crop) {
+        const db = this.database.db;
+        const newTerms = crop ? CropSearchIndex.termsForCrop(crop) : new Map();
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['searchIndex', 'searchDocs'], 'readwrite');
+            const index = transaction.objectStore('searchIndex');
+            const docs = transaction.objectStore('searchDocs');
+
+            const docRequest = docs.get(cropId);
+            docRequest.onsuccess = () => {
+                const oldTerms = docRequest.result ? docRequest.result.terms : [];
+                const touched = new Set([...oldTerms, ...newTerms.keys()]);
+
+                // One read-modify-write per term, so removal and re-adding can't overwrite each other
+                touched.forEach(term => {
+                    const request = index.get(term);
+                    request.onsuccess = () => {
+                        const postings = (request.result ? request.result.postings : [])
+                            .filter(posting => posting.id !== cropId);
+                        if (newTerms.has(term)) {
+                            postings.push({ id: cropId, score: newTerms.get(term) });
+                        }
+
+                        if (postings.length > 0) {
+                            index.put({ term, postings });
+                        } else {
+                            index.delete(term);
+                        }
+                    };
+                });
+
+                if (crop) {
+                    docs.put({ cropId, terms: [...newTerms.keys()] });
+                } else {
+                    docs.delete(cropId);
+                }
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        this.terms = null;
+    }
+
+    async removeCrop(cropId) {
+        return this.indexCrop(cropId, null);
+    }
+
+    // Build the whole index from scratch
+    async rebuild() {
+        const crops = await this.database.getAllItems('crops');
+        const postings = new Map();
+
+        crops.forEach(crop => {
+            CropSearchIndex.termsForCrop(crop).forEach((score, term) => {
+                if (!postings.has(term)) postings.set(term, []);
+                postings.get(term).push({ id: crop.id, score });
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.database.db.transaction(['searchIndex', 'searchDocs'], 'readwrite');
+            const index = transaction.objectStore('searchIndex');
+            const docs = transaction.objectStore('searchDocs');
+
+            index.clear();
+            docs.clear();
+            postings.forEach((list, term) => index.put({ term, postings: list }));
+            crops.forEach(crop => docs.put({ cropId: crop.id, terms: [...CropSearchIndex.termsForCrop(crop).keys()] }));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        this.terms = null;
+        console.log(`Search index rebuilt: ${crops.length} crops, ${postings.size} terms`);
+    }
+
+    // Crops written without going through addCrop (imports, sync) leave the index behind
+    async ensureCurrent() {
+        const [cropCount, docCount] = await Promise.all([
+            this.count('crops'),
+            this.count('searchDocs')
+        ]);
+        if (cropCount !== docCount) {
+            await this.rebuild();
+        }
+    }
+
+    // Returns matching crops, best first
+    async search(query, limit = 50) {
+        const tokens = [...new Set(CropSearchIndex.tokenize(query))];
+        if (tokens.length === 0) return [];
+
+        await this.ensureCurrent();
+        const vocabulary = await this.getTerms();
+
+        // cropId -> { score, matched: query tokens that found this crop }
+        const hits = new Map();
+
+        for (const token of tokens) {
+            const candidates = this.expandToken(token, vocabulary);
+            const best = new Map(); // Best match per crop for this token
+
+            for (const [term, factor] of candidates) {
+                const entry = await this.getEntry(term);
+                if (!entry) continue;
+
+                entry.postings.forEach(({ id, score }) => {
+                    const weighted = score * factor;
+                    const current = best.get(id);
+                    if (!current || weighted > current.score) {
+                        best.set(id, { score: weighted });
+                    }
+                });
+            }
+
+            best.forEach(({ score }, id) => {
+                const hit = hits.get(id) || { id, score: 0, matched: 0 };
+                hit.score += score;
+                hit.matched++;
+                hits.set(id, hit);
+            });
+        }
+
+        // Crops matching more of the query words come first, then by score
+        const ranked = [...hits.values()]
+            .sort((a, b) => b.matched - a.matched || b.score - a.score)
+            .slice(0, limit);
+
+        const crops = await Promise.all(ranked.map(hit => this.database.getCrop(hit.id)));
+        return crops.filter(Boolean);
+    }
+
+    // Index terms a query word may stand for, with how strongly each counts
+    expandToken(token, vocabulary) {
+        const candidates = new Map();
+        const add = (term, factor) => {
+            if (factor > (candidates.get(term) || 0)) candidates.set(term, factor);
+        };
+
+        add(token, 1);
+        this.synonymsOf(token).forEach(term => add(term, 0.9));
+
+        const maxTypos = CropSearchIndex.allowedTypos(token);
+        vocabulary.forEach(term => {
+            if (term !== token && term.startsWith(token)) {
+                // "nyand" -> "nyandarua": the closer to the full word, the better
+                add(term, 0.5 + 0.4 * (token.length / term.length));
+            } else if (maxTypos > 0) {
+                const distance = CropSearchIndex.editDistance(token, term, maxTypos);
+                if (distance <= maxTypos) {
+                    add(term, distance === 1 ? 0.7 : 0.5);
+                }
+            }
+        });
+
+        return candidates;
+    }
+
+    synonymsOf(token) {
+        const synonyms = CropSearchIndex.synonyms;
+        const result = new Set(synonyms[token] || []);
+
+        Object.entries(synonyms).forEach(([swahili, english]) => {
+            if (english.includes(token)) result.add(swahili);
+        });
+
+        return result;
+    }
+
+    async getTerms() {
+        if (!this.terms) {
+            this.terms = await new Promise((resolve, reject) => {
+                const request = this.database.db.transaction(['searchIndex'], 'readonly')
+                    .objectStore('searchIndex').getAllKeys();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.terms;
+    }
+
+    getEntry(term) {
+        return this.database.getItem('searchIndex', term);
+    }
+
+    count(storeName) {
+        return new Promise((resolve, reject) => {
+            const request = this.database.db.transaction([storeName], 'readonly').objectStore(storeName).count();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
@@ -0,0 +1,221 @@
+// Seed calculator: planting material for any crop in the library, from its spacing or planting density.
+// Seed crops are weighed through the thousand-seed weight, tubers by tuber weight, cuttings and seedlings counted.
+class AgriSeedCalculator {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.prices = {}; // crop id -> price per kg or per unit entered by the farmer
+    }
+
+    static methods = {
+        seed: { label: 'Seed', establishment: 'Germination rate (%)', priceUnit: 'kg' },
+        tuber: { label: 'Seed tubers', establishment: 'Sprouting rate (%)', priceUnit: 'kg' },
+        cutting: { label: 'Cuttings', establishment: 'Rooting and survival rate (%)', priceUnit: 'cutting' },
+        seedling: { label: 'Seedlings', establishment: 'Survival rate (%)', priceUnit: 'seedling' }
+    };
+
+    // Propagation defaults for a crop: the library's values, or just its planting density for crops added by farmers
+    static defaultsFor(crop) {
+        const propagation = crop.propagation || {};
+        const category = String(crop.category || '').toLowerCase();
+        const method = propagation.method || (category === 'tuber' ? 'tuber' : 'seed');
+        return {
+            method,
+            rowSpacingCm: propagation.rowSpacingCm ?? null,
+            plantSpacingCm: propagation.plantSpacingCm ?? null,
+            perHole: propagation.perHole ?? 1,
+            germination: propagation.germination ?? (method === 'seed' ? 85 : 90),
+            thousandSeedWeightG: propagation.thousandSeedWeightG ?? null,
+            unitWeightG: propagation.unitWeightG ?? null,
+            price: propagation.pricePerKg ?? propagation.pricePerUnit ?? null
+        };
+    }
+
+    // Plants per acre from row and plant spacing, or from the crop's planting density text
+    static plantsPerAcre(crop, { rowSpacingCm, plantSpacingCm, perHole = 1 }) {
+        if (rowSpacingCm > 0 && plantSpacingCm > 0) {
+            return {
+                plants: AgriUnits.squareMetresPerAcre / ((rowSpacingCm / 100) * (plantSpacingCm / 100)) * (perHole || 1),
+                source: 'spacing'
+            };
+        }
+
+        const density = (crop.metrics || AgriCropNormalizer.normalize(crop).metrics).density;
+        if (!density) return null;
+        const plants = (density.min + density.max) / 2;
+        return { plants: density.per === 'hectare' ? AgriUnits.perHectareToPerAcre(plants) : plants, source: 'density' };
+    }
+
+    static calculate(crop, options) {
+        const { area, method, germination, thousandSeedWeightG, unitWeightG, price } = options;
+        const stand = this.plantsPerAcre(crop, options);
+        if (!stand) {
+            return { error: `No spacing or planting density recorded for ${crop.name}. Enter the row and plant spacing.` };
+        }
+
+        // Extra material to make up for seeds that don't germinate or cuttings that don't root
+        const establishment = Math.min(100, Math.max(1, germination || 100)) / 100;
+        const plants = stand.plants * area;
+        const units = Math.ceil(plants / establishment);
+        const result = { method, plantsPerAcre: stand.plants, plants, units, source: stand.source, kg: null, cost: null };
+
+        if (method === 'seed') {
+            if (!(thousandSeedWeightG > 0)) {
+                return { ...result, error: 'Enter the thousand-seed weight (grams per 1,000 seeds) to get kilograms of seed.' };
+            }
+            result.kg = units * thousandSeedWeightG / 1000000;
+        } else if (method === 'tuber') {
+            if (!(unitWeightG > 0)) {
+                return { ...result, error: 'Enter the average seed tuber weight in grams.' };
+            }
+            result.kg = units * unitWeightG / 1000;
+        }
+
+        if (price > 0) {
+            result.cost = result.kg !== null ? result.kg * price : units * price;
+        }
+        return result;
+    }
+
+    async init() {
+        this.prices = (await agriDB.getSetting('seedPrices')) || {};
+        await this.populateCrops();
+    }
+
+    async populateCrops(selectedId) {
+        const select = document.getElementById('crop-type');
+        if (!select) return;
+
+        if (this.app.cropData.length === 0) {
+            this.app.cropData = await agriDB.getAllCrops();
+        }
+
+        const current = selectedId ?? (select.value || this.app.toolCrop?.id);
+        select.innerHTML = this.app.cropData.map(crop => `
+            <option value="${this.app.escapeHtml(crop.id)}" ${String(crop.id) === String(current) ? 'selected' : ''}>
+                ${this.app.escapeHtml(crop.name)}${crop.localName ? ` (${this.app.escapeHtml(crop.localName)})` : ''}
+            </option>
+        `).join('');
+
+        this.fillDefaults(select.value);
+    }
+
+    // Puts the crop's spacing, germination, seed weight and price into the form
+    fillDefaults(cropId) {
+        const crop = this.app.cropData.find(item => String(item.id) === String(cropId));
+        if (!crop) return;
+
+        const defaults = AgriSeedCalculator.defaultsFor(crop);
+        const set = (id, value) => {
+            const element = document.getElementById(id);
+            if (element) element.value = value ?? '';
+        };
+
+        set('seed-method', defaults.method);
+        set('seed-row-spacing', defaults.rowSpacingCm);
+        set('seed-plant-spacing', defaults.plantSpacingCm);
+        set('seed-per-hole', defaults.perHole);
+        set('seed-germination', defaults.germination);
+        set('seed-weight', defaults.method === 'tuber' ? defaults.unitWeightG : defaults.thousandSeedWeightG);
+        set('seed-price', this.prices[crop.id] ?? defaults.price);
+
+        this.updateLabels(defaults.method);
+        const hint = document.getElementById('seed-density-help');
+        if (hint) hint.textContent = crop.plantingDensity ? `Library density: ${crop.plantingDensity}` : '';
+
+        const result = document.getElementById('seed-result');
+        if (result) result.innerHTML = '';
+    }
+
+    updateLabels(methodKey) {
+        const method = AgriSeedCalculator.methods[methodKey] || AgriSeedCalculator.methods.seed;
+        const label = (id, text) => {
+            const element = document.querySelector(`label[for="${id}"]`);
+            if (element) element.textContent = text;
+        };
+
+        label('seed-germination', `${method.establishment}:`);
+        label('seed-weight', methodKey === 'tuber' ? 'Average tuber weight (g):' : 'Thousand-seed weight (g):');
+        label('seed-price', `Price (KES per ${method.priceUnit}):`);
+
+        const weightGroup = document.getElementById('seed-weight')?.closest('.input-group');
+        if (weightGroup) weightGroup.style.display = methodKey === 'seed' || methodKey === 'tuber' ? '' : 'none';
+    }
+
+    async calculate() {
+        const result = document.getElementById('seed-result');
+        if (!result) return;
+
+        const number = id => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return isNaN(value) ? null : value;
+        };
+        const units = this.app.units;
+        const area = number('land-area');
+        const crop = this.app.cropData.find(item => String(item.id) === String(document.getElementById('crop-type')?.value));
+
+        if (!area || area <= 0) {
+            result.textContent = `Please enter valid area in ${units.landUnit()}`;
+            return;
+        }
+        if (!crop) {
+            result.textContent = 'Please choose a crop';
+            return;
+        }
+
+        const method = document.getElementById('seed-method')?.value || 'seed';
+        const weight = number('seed-weight');
+        const price = number('seed-price');
+        const acres = units.toAcres(area);
+        const outcome = AgriSeedCalculator.calculate(crop, {
+            area: acres,
+            method,
+            rowSpacingCm: number('seed-row-spacing'),
+            plantSpacingCm: number('seed-plant-spacing'),
+            perHole: number('seed-per-hole') || 1,
+            germination: number('seed-germination'),
+            thousandSeedWeightG: method === 'seed' ? weight : null,
+            unitWeightG: method === 'tuber' ? weight : null,
+            price
+        });
+
+        // Remember prices that differ from the library's. Going back to the library price, or clearing
+        // the field, drops the override so later content pack prices show through.
+        const defaults = AgriSeedCalculator.defaultsFor(crop);
+        const override = price > 0 && price !== defaults.price ? price : undefined;
+        if (override !== this.prices[crop.id]) {
+            const prices = { ...this.prices };
+            if (override === undefined) {
+                delete prices[crop.id];
+            } else {
+                prices[crop.id] = override;
+            }
+            this.prices = prices;
+            await agriDB.setSetting('seedPrices', this.prices);
+        }
+
+        result.innerHTML = this.renderResult(crop, acres, outcome);
+        if (!outcome.error) await this.app.calculationHistory?.record('seed', crop);
+    }
+
+    renderResult(crop, acres, outcome) {
+        const escape = value => this.app.escapeHtml(value);
+        const units = this.app.units;
+        const count = value => Math.round(value).toLocaleString();
+        const unit = AgriSeedCalculator.methods[outcome.method]?.priceUnit || 'unit';
+
+        if (outcome.error && outcome.plants === undefined) return `<p>${escape(outcome.error)}</p>`;
+
+        return `
+            <p><strong>For ${units.area(acres)} of ${escape(crop.name)}${crop.localName ? ` (${escape(crop.localName)})` : ''}:</strong></p>
+            <p>Plants: <strong>${count(outcome.plants)}</strong> <small>(${count(units.perLand(outcome.plantsPerAcre))} per ${units.landUnit(1)} from ${outcome.source === 'spacing' ? 'your spacing' : 'the planting density'})</small></p>
+            ${outcome.kg !== null ? `
+                <p>${outcome.method === 'tuber' ? 'Seed tubers' : 'Seed'} required: <strong>${units.weight(outcome.kg)}</strong>
+                <small>(${count(outcome.units)} ${outcome.method === 'tuber' ? 'tubers' : 'seeds'}${outcome.method === 'tuber' ? `, about ${Math.ceil(outcome.kg / 50)} × 50kg bags` : ''})</small></p>
+            ` : outcome.error ? `<p>${escape(outcome.error)}</p>` : `
+                <p>${escape(AgriSeedCalculator.methods[outcome.method]?.label || 'Planting material')} required: <strong>${count(outcome.units)}</strong></p>
+            `}
+            ${outcome.cost !== null ? `<p>Estimated cost: <strong>KES ${count(outcome.cost)}</strong></p>` :
+                `<small>Enter a price per ${unit} to estimate the cost</small>`}
+        `;
+    }
+}
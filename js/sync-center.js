@@ -0,0 +1,165 @@
+// Sync Center: lets farmers see what is waiting to upload and deal with stuck items
+class AgriSyncCenter {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.items = new Map(); // String(id) -> queue item
+        this.container = null;
+    }
+
+    async render() {
+        const container = document.getElementById('sync-center-container');
+        if (!container) return;
+
+        // Queue items can come from a restored backup, so their ids stay in data attributes and one listener handles every button
+        if (this.container !== container) {
+            this.container = container;
+            container.addEventListener('click', event => this.handleClick(event));
+        }
+
+        const [stats, failed, conflicts] = await Promise.all([
+            agriSync.getSyncStats(),
+            agriSync.getFailedItems(),
+            agriSync.getConflicts()
+        ]);
+        await agriSync.loadQueue();
+        const pending = agriSync.syncQueue;
+
+        this.items = new Map([...failed, ...conflicts, ...pending].map(item => [String(item.id), item]));
+
+        container.innerHTML = `
+            <div class="quick-stats">
+                <div class="stat-card">
+                    <h3 class="highlight-number">${stats?.pending ?? pending.length}</h3>
+                    <p class="important-text">Waiting to Upload</p>
+                </div>
+                <div class="stat-card">
+                    <h3 class="highlight-number">${stats?.failed ?? failed.length}</h3>
+                    <p class="important-text">Failed</p>
+                </div>
+                <div class="stat-card">
+                    <h3 class="highlight-number">${stats?.conflicts ?? conflicts.length}</h3>
+                    <p class="important-text">Need Your Decision</p>
+                </div>
+            </div>
+
+            <div class="sync-center-group">
+                <div class="sync-center-group-header">
+                    <h3>❌ Failed Items</h3>
+                    ${failed.length > 0 ? `
+                        <button class="btn-secondary" data-action="retry-all">Retry All</button>
+                    ` : ''}
+                </div>
+                ${failed.length > 0 ? failed.map(item => this.renderItem(item)).join('') :
+                    '<p class="empty-state">No failed items. Everything that could be sent has been sent.</p>'}
+            </div>
+
+            ${conflicts.length > 0 ? `
+                <div class="sync-center-group">
+                    <h3>⚠️ Changed on Another Device</h3>
+                    ${conflicts.map(item => this.renderItem(item)).join('')}
+                </div>
+            ` : ''}
+
+            <div class="sync-center-group">
+                <h3>⏳ Waiting to Upload</h3>
+                ${pending.length > 0 ? pending.map(item => this.renderItem(item)).join('') :
+                    '<p class="empty-state">Nothing waiting. All your changes are uploaded.</p>'}
+            </div>
+        `;
+    }
+
+    renderItem(item) {
+        const id = this.app.escapeHtml(item.id);
+        const created = item.timestamp || item.createdAt;
+
+        return `
+            <div class="sync-item ${this.app.escapeHtml(item.status)}">
+                <div class="sync-item-header">
+                    <strong>${this.app.escapeHtml(this.describe(item))}</strong>
+                    <span class="listing-status ${this.app.escapeHtml(item.status)}">${this.app.escapeHtml(item.status)}</span>
+                </div>
+                <div class="sync-item-details">
+                    ${created ? `<p><strong>Saved:</strong> ${new Date(created).toLocaleString()}</p>` : ''}
+                    <p><strong>Attempts:</strong> ${this.app.escapeHtml(item.attempts || 0)}</p>
+                    ${item.lastError ? `<p><strong>Last error:</strong> ${this.app.escapeHtml(item.lastError)}</p>` : ''}
+                    ${item.failureReason === 'rejected' ? '<p><small>The server rejected this item. Retrying will only help if the problem has been fixed.</small></p>' : ''}
+                    ${item.status === 'pending' && item.nextAttemptAt > Date.now() ?
+                        `<p><strong>Next attempt:</strong> ${new Date(item.nextAttemptAt).toLocaleTimeString()}</p>` : ''}
+                </div>
+                <div class="listing-actions">
+                    ${item.status === 'conflict' ? `
+                        <button class="btn-primary" data-action="choose">
+                            Choose Version
+                        </button>
+                    ` : `
+                        <button class="btn-primary" data-action="retry" data-queue-id="${id}">
+                            ${item.status === 'failed' ? '🔁 Retry' : '⏩ Send Now'}
+                        </button>
+                    `}
+                    <button class="btn-secondary" data-action="discard" data-queue-id="${id}">
+                        🗑️ Discard
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { action, queueId } = button.dataset;
+        if (action === 'retry-all') this.retryAll();
+        if (action === 'retry') this.retry(queueId);
+        if (action === 'discard') this.discard(queueId);
+        if (action === 'choose') {
+            this.app.showSection('market');
+            this.app.marketplace.switchToTab('my-listings');
+        }
+    }
+
+    describe(item) {
+        const labels = {
+            listing_create: 'New listing',
+            listing_update: 'Listing change',
+            listing_delete: 'Listing deletion',
+            crop_create: 'New crop',
+            crop_update: 'Crop update',
+            crop_delete: 'Crop deletion',
+            weather_update: 'Weather record',
+            analytics: 'Usage statistics'
+        };
+        const label = labels[item.type] || item.type || 'Change';
+        const subject = item.data?.crop || item.data?.name || item.data?.id || '';
+        return subject ? `${label}: ${subject}` : label;
+    }
+
+    async retry(id) {
+        const item = this.items.get(id);
+        if (!item) return;
+
+        if (!navigator.onLine) {
+            this.app.showNotification('You are offline. The item will be sent when you reconnect.', 'warning');
+        }
+
+        await agriSync.retryItem(item.id);
+        await this.render();
+    }
+
+    async retryAll() {
+        const count = await agriSync.retryAllFailed();
+        this.app.showNotification(`Retrying ${count} item${count !== 1 ? 's' : ''}`, 'info');
+        await this.render();
+    }
+
+    async discard(id) {
+        const item = this.items.get(id);
+        if (!item) return;
+
+        if (!confirm(`Discard "${this.describe(item)}"? This change will never be uploaded.`)) return;
+
+        await agriSync.discardItem(item.id);
+        this.app.showNotification('Item discarded', 'success');
+        await this.render();
+    }
+}
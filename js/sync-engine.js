@@ -0,0 +1,522 @@
+// Shared sync engine for AgriInfo Kenya
+// Drains the IndexedDB syncQueue store. Used by both the page (js/sync.js)
+// and the service worker so foreground and background sync follow the same rules.
+
+class AgriSyncEngine {
+    constructor({
+        openDB,
+        transport,
+        maxRetries = 5,
+        batchSize = 25,
+        baseDelay = 5000, // 5 seconds
+        maxDelay = 1800000, // 30 minutes
+        lockName = 'agriinfo-sync-queue',
+        leaseTime = 60000
+    } = {}) {
+        this.openDB = openDB;
+        this.transport = transport;
+        this.maxRetries = maxRetries;
+        this.batchSize = batchSize; // Queue items per upload request
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.lockName = lockName;
+        this.leaseTime = leaseTime; // Fallback lock expiry when the Web Locks API is unavailable
+        this.owner = `${typeof window !== 'undefined' ? 'page' : 'worker'}_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+    }
+
+    // Process every pending item that is due. Returns null if another context holds the lock.
+    async drain() {
+        return this.withLock(async () => {
+            const db = await this.openDB();
+            const compacted = await this.compactQueue(db);
+            const pendingItems = await this.getPendingItems(db);
+            const now = Date.now();
+
+            const results = {
+                total: pendingItems.length,
+                successful: 0,
+                failed: 0,
+                deadLettered: 0,
+                waiting: 0,
+                merged: 0,
+                conflicts: 0,
+                compacted,
+                errors: [],
+                nextAttemptAt: null
+            };
+
+            const dueItems = pendingItems.filter(item => {
+                // Still backing off from an earlier failure
+                if (item.nextAttemptAt && item.nextAttemptAt > now) {
+                    results.waiting++;
+                    return false;
+                }
+                return true;
+            });
+
+            for (let i = 0; i < dueItems.length; i += this.batchSize) {
+                const batch = dueItems.slice(i, i + this.batchSize);
+                const reachable = await this.uploadBatch(db, batch, results);
+
+                // Server unreachable: the rest of the queue would fail the same way
+                if (!reachable) {
+                    console.log('Network error detected, stopping sync');
+                    break;
+                }
+            }
+
+            results.nextAttemptAt = await this.getNextAttemptAt(db);
+            return results;
+        });
+    }
+
+    // Upload several items in one request. Returns false if the server could not be reached.
+    async uploadBatch(db, batch, results) {
+        let outcomes;
+        try {
+            outcomes = await this.transport.sendBatch(batch);
+        } catch (error) {
+            // Every item the server did not answer counts as one failed attempt.
+            // When items were sent one at a time, those answered before the failure keep their result.
+            const answered = error.outcomes || new Map();
+            for (const item of batch) {
+                const outcome = answered.get(String(item.id));
+                if (outcome) {
+                    await this.handleOutcome(db, item, outcome.response, outcome.error, results);
+                } else {
+                    await this.handleOutcome(db, item, null, error, results);
+                }
+            }
+            return !(error.retryable && !error.status);
+        }
+
+        for (const item of batch) {
+            const outcome = outcomes.get(String(item.id));
+            if (!outcome) {
+                const missing = new SyncTransportError('No result for item in batch response', { retryable: true });
+                await this.handleOutcome(db, item, null, missing, results);
+            } else {
+                await this.handleOutcome(db, item, outcome.response, outcome.error, results);
+            }
+        }
+        return true;
+    }
+
+    async handleOutcome(db, item, response, error, results) {
+        if (!error) {
+            await this.recordSuccess(db, item, response);
+            results.successful++;
+            return;
+        }
+
+        if (AgriTransport.isConflict(error)) {
+            const outcome = await this.handleConflict(db, item, error.body.current);
+            results[outcome === 'merged' ? 'merged' : 'conflicts']++;
+            return;
+        }
+
+        const status = await this.recordFailure(db, item, error);
+        results.failed++;
+        if (status === 'failed') results.deadLettered++;
+        results.errors.push({ id: item.id, error: error.message });
+    }
+
+    // Fold create/update/delete chains for the same record into the fewest operations,
+    // e.g. create + update + update + delete uploads nothing at all.
+    // Items that were already attempted may have reached the server, so they are never folded away.
+    // Returns the number of queue items removed.
+    compactQueue(db) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['syncQueue'], 'readwrite');
+            const store = transaction.objectStore('syncQueue');
+            const request = store.index('status').getAll('pending');
+            let removed = 0;
+
+            request.onsuccess = () => {
+                const groups = new Map();
+
+                request.result
+                    .filter(item => ['create', 'update', 'delete'].includes(item.action) &&
+                        item.collection && item.data?.id !== undefined)
+                    .sort((a, b) => this.queueOrder(a) - this.queueOrder(b))
+                    .forEach(item => {
+                        const key = `${item.collection}:${item.data.id}`;
+                        if (!groups.has(key)) groups.set(key, []);
+                        groups.get(key).push(item);
+                    });
+
+                groups.forEach(items => {
+                    if (items.length < 2) return;
+
+                    const survivors = this.foldOperations(items);
+                    const survivorIds = new Set(survivors.map(item => item.id));
+
+                    items.forEach(item => {
+                        if (!survivorIds.has(item.id)) {
+                            store.delete(item.id);
+                            removed++;
+                        }
+                    });
+                    survivors.forEach(item => store.put(item));
+                });
+            };
+
+            transaction.oncomplete = () => {
+                if (removed > 0) console.log(`Compacted sync queue: removed ${removed} redundant items`);
+                resolve(removed);
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    queueOrder(item) {
+        return item.sequence ?? new Date(item.timestamp || item.createdAt).getTime() * 1000;
+    }
+
+    // items: queue items for one record, oldest first
+    foldOperations(items) {
+        const survivors = [];
+        let current = null;
+
+        const flush = () => {
+            if (current) survivors.push(current);
+            current = null;
+        };
+
+        items.forEach(item => {
+            if ((item.attempts || 0) > 0) {
+                flush();
+                survivors.push(item);
+                return;
+            }
+
+            if (!current) {
+                current = { ...item };
+                return;
+            }
+
+            // The surviving item keeps the oldest queue id so the record keeps its place in the queue
+            if (current.action === 'create' && item.action === 'update') {
+                current.data = item.data;
+            } else if (current.action === 'create' && item.action === 'delete') {
+                // Never reached the server, so there is nothing to delete
+                current = null;
+            } else if (current.action === 'update' && item.action === 'update') {
+                current.data = item.data;
+                current.base = { ...(item.base || {}), ...(current.base || {}) };
+            } else if (current.action === 'update' && item.action === 'delete') {
+                current = { ...item, id: current.id, baseRevision: current.baseRevision };
+            } else {
+                flush();
+                current = { ...item };
+            }
+        });
+
+        flush();
+        return survivors;
+    }
+
+    // Earliest time a pending item may be sent again (null if nothing is waiting)
+    async getNextAttemptAt(db) {
+        const pendingItems = await this.getPendingItems(db);
+        if (pendingItems.length === 0) return null;
+        return Math.min(...pendingItems.map(item => item.nextAttemptAt || 0));
+    }
+
+    // Exponential backoff with equal jitter: half the window is fixed, half random,
+    // so devices that failed together don't all retry at the same moment
+    backoffDelay(attempts) {
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, Math.max(0, attempts - 1)));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    // Download server changes since the stored cursor and apply them to the local store.
+    // Records with unsent local changes are left alone; revisions sort them out on upload.
+    async pull(collection) {
+        return this.withLock(async () => {
+            const db = await this.openDB();
+            const cursorKey = `pullCursor:${collection}`;
+            let cursor = await this.getSetting(db, cursorKey) || 0;
+
+            const results = { applied: 0, deleted: 0, skipped: 0, cursor };
+            let hasMore = true;
+
+            while (hasMore) {
+                const page = await this.transport.fetchChanges(collection, cursor);
+
+                // Offline fallbacks from the service worker carry no change list
+                if (!page || !Array.isArray(page.changes)) break;
+
+                const pageResults = await this.applyChanges(db, collection, page.changes, cursorKey, page.cursor);
+                results.applied += pageResults.applied;
+                results.deleted += pageResults.deleted;
+                results.skipped += pageResults.skipped;
+
+                cursor = page.cursor;
+                results.cursor = cursor;
+                hasMore = !!page.hasMore && page.changes.length > 0;
+            }
+
+            return results;
+        });
+    }
+
+    applyChanges(db, collection, changes, cursorKey, cursor) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([collection, 'syncQueue', 'settings'], 'readwrite');
+            const records = transaction.objectStore(collection);
+            const queueIndex = transaction.objectStore('syncQueue').index('status');
+            const results = { applied: 0, deleted: 0, skipped: 0 };
+
+            const pending = queueIndex.getAll('pending');
+            pending.onsuccess = () => {
+                const conflicts = queueIndex.getAll('conflict');
+                conflicts.onsuccess = () => {
+                    const locallyChanged = new Set(
+                        [...pending.result, ...conflicts.result]
+                            .filter(item => item.collection === collection && item.data?.id !== undefined)
+                            .map(item => String(item.data.id))
+                    );
+
+                    changes.forEach(change => {
+                        if (locallyChanged.has(String(change.id))) {
+                            results.skipped++;
+                            return;
+                        }
+
+                        if (change.op === 'delete') {
+                            records.delete(change.id);
+                            results.deleted++;
+                        } else if (change.record) {
+                            records.put(change.record);
+                            results.applied++;
+                        }
+                    });
+
+                    // Cursor moves in the same transaction, so a crash can't skip or replay changes
+                    transaction.objectStore('settings').put({ key: cursorKey, value: cursor });
+                };
+            };
+
+            transaction.oncomplete = () => resolve(results);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async recordSuccess(db, item, response) {
+        await this.updateQueueItem(db, item.id, {
+            status: 'synced',
+            syncedAt: new Date().toISOString(),
+            serverResponse: response || null
+        });
+
+        if (response && response.revision !== undefined && item.action !== 'delete' && item.data?.id !== undefined) {
+            await this.applyServerRevision(db, item, response.revision);
+        }
+    }
+
+    // Server copy changed since this device's edit: merge what we can, park the rest for the farmer
+    async handleConflict(db, item, remote) {
+        const { merged, clashes, needsFarmer } = AgriConflictResolver.merge(item.collection, {
+            base: item.base || {},
+            local: item.data,
+            remote
+        });
+
+        if (needsFarmer) {
+            console.log(`Conflict on ${item.collection} ${item.data.id} needs the farmer's decision`);
+            await this.updateQueueItem(db, item.id, {
+                status: 'conflict',
+                conflict: { remote, merged, clashes, detectedAt: new Date().toISOString() }
+            });
+            return 'conflict';
+        }
+
+        // Nothing the farmer needs to decide: resend the merged record against the new revision
+        await this.updateQueueItem(db, item.id, {
+            data: merged,
+            baseRevision: remote.revision,
+            base: AgriConflictResolver.diff(remote, merged),
+            conflict: null
+        });
+        await this.putRecord(db, item.collection, { ...merged, revision: remote.revision });
+        return 'merged';
+    }
+
+    // Store the server's revision on the local record and rebase later edits of the same record
+    async applyServerRevision(db, item, revision) {
+        if (!db.objectStoreNames.contains(item.collection)) return;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([item.collection, 'syncQueue'], 'readwrite');
+            const records = transaction.objectStore(item.collection);
+            const queue = transaction.objectStore('syncQueue');
+
+            const request = records.get(item.data.id);
+            request.onsuccess = () => {
+                if (request.result) {
+                    records.put({ ...request.result, revision });
+                }
+            };
+
+            const pending = queue.index('status').getAll('pending');
+            pending.onsuccess = () => {
+                pending.result
+                    .filter(other => other.id !== item.id &&
+                        other.collection === item.collection &&
+                        other.data?.id === item.data.id &&
+                        other.baseRevision === item.baseRevision)
+                    .forEach(other => queue.put({ ...other, baseRevision: revision }));
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Returns the item's new status: 'pending' to retry later, 'failed' once it is dead-lettered
+    async recordFailure(db, item, error) {
+        const now = Date.now();
+        const attempts = (item.attempts || 0) + 1;
+        const updates = {
+            attempts,
+            lastError: error.message,
+            lastAttempt: new Date(now).toISOString()
+        };
+
+        if (error.retryable === false || attempts >= this.maxRetries) {
+            // Dead letter: kept for the farmer to inspect in the Sync Center, never resent automatically
+            updates.status = 'failed';
+            updates.failedAt = updates.lastAttempt;
+            updates.failureReason = error.retryable === false ? 'rejected' : 'exhausted';
+            updates.nextAttemptAt = null;
+        } else {
+            updates.status = 'pending';
+            updates.nextAttemptAt = now + this.backoffDelay(attempts);
+        }
+
+        await this.updateQueueItem(db, item.id, updates);
+        return updates.status;
+    }
+
+    // Locking: Web Locks are shared between windows and the service worker.
+    // Older browsers fall back to a lease record in the settings store.
+    async withLock(task) {
+        const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+
+        if (locks && locks.request) {
+            return locks.request(this.lockName, { ifAvailable: true }, lock => {
+                if (!lock) {
+                    console.log('Sync already running in another context');
+                    return null;
+                }
+                return task();
+            });
+        }
+
+        const db = await this.openDB();
+        if (!await this.acquireLease(db)) {
+            console.log('Sync already running in another context');
+            return null;
+        }
+
+        try {
+            return await task();
+        } finally {
+            await this.releaseLease(db);
+        }
+    }
+
+    acquireLease(db) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['settings'], 'readwrite');
+            const store = transaction.objectStore('settings');
+            const request = store.get(this.lockName);
+            let acquired = false;
+
+            request.onsuccess = () => {
+                const lease = request.result && request.result.value;
+                if (!lease || lease.owner === this.owner || lease.expiresAt < Date.now()) {
+                    store.put({ key: this.lockName, value: { owner: this.owner, expiresAt: Date.now() + this.leaseTime } });
+                    acquired = true;
+                }
+            };
+
+            transaction.oncomplete = () => resolve(acquired);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    releaseLease(db) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['settings'], 'readwrite');
+            const store = transaction.objectStore('settings');
+            const request = store.get(this.lockName);
+
+            request.onsuccess = () => {
+                const lease = request.result && request.result.value;
+                if (lease && lease.owner === this.owner) {
+                    store.delete(this.lockName);
+                }
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // IndexedDB helpers (raw API so the worker doesn't need js/db.js)
+    getPendingItems(db) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['syncQueue'], 'readonly');
+            const index = transaction.objectStore('syncQueue').index('status');
+            const request = index.getAll('pending');
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    getSetting(db, key) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['settings'], 'readonly');
+            const request = transaction.objectStore('settings').get(key);
+
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    putRecord(db, storeName, record) {
+        if (!db.objectStoreNames.contains(storeName)) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readwrite');
+            transaction.objectStore(storeName).put(record);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    updateQueueItem(db, itemId, updates) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['syncQueue'], 'readwrite');
+            const store = transaction.objectStore('syncQueue');
+            const request = store.get(itemId);
+
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put({ ...request.result, ...updates });
+                }
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AgriSyncEngine };
+}
@@ -3,14 +3,20 @@ class AgriSync {
     constructor() {
         this.syncQueue = [];
         this.syncInProgress = false;
-        this.maxRetries = 3;
-        this.retryDelay = 5000; // 5 seconds
+        this.maxRetries = 5;
+        this.minRetryDelay = 1000; // Never spin faster than once a second
+        this.retryTimer = null;
+        this.engine = new AgriSyncEngine({
+            openDB: () => this.openDB(),
+            transport: agriTransport,
+            maxRetries: this.maxRetries
+        });
         this.init();
     }
 
     init() {
-        // Load existing queue from IndexedDB
-        this.loadQueue();
+        // Load existing queue from IndexedDB and resume any backoff left from the last session
+        this.loadQueue().then(() => this.resumeRetries());
         
         // Register sync events if supported
         if ('serviceWorker' in navigator && 'SyncManager' in window) {
@@ -27,8 +33,16 @@ class AgriSync {
         console.log('AgriSync initialized');
     }
 
+    async openDB() {
+        if (!agriDB.db) {
+            await agriDB.init();
+        }
+        return agriDB.db;
+    }
+
     async loadQueue() {
         try {
+            await this.openDB();
             const queueData = await agriDB.getAllItems('syncQueue', 'status', 'pending');
             this.syncQueue = queueData;
             console.log(`Loaded ${queueData.length} pending sync items`);
@@ -46,13 +60,7 @@ class AgriSync {
     }
 
     async addToQueue(data) {
-        const queueItem = {
-            ...data,
-            id: Date.now().toString(36) + Math.random().toString(36).substr(2),
-            timestamp: new Date().toISOString(),
-            status: 'pending',
-            attempts: 0
-        };
+        const queueItem = this.createQueueItem(data);
         
         this.syncQueue.push(queueItem);
         
@@ -67,6 +75,20 @@ class AgriSync {
         return queueItem.id;
     }
 
+    createQueueItem(data) {
+        // Strictly increasing, so edits made within the same millisecond keep their order
+        this.lastSequence = Math.max(Date.now() * 1000, (this.lastSequence || 0) + 1);
+        
+        return {
+            ...data,
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+            sequence: this.lastSequence,
+            timestamp: new Date().toISOString(),
+            status: 'pending',
+            attempts: 0
+        };
+    }
+
     async saveQueueItem(item) {
         try {
             await agriDB.addItem('syncQueue', item);
@@ -97,133 +119,193 @@ class AgriSync {
     }
 
     async processQueue() {
-        if (this.syncInProgress || this.syncQueue.length === 0 || !navigator.onLine) {
+        if (this.syncInProgress || !navigator.onLine) {
             return;
         }
 
         this.syncInProgress = true;
-        console.log(`Processing ${this.syncQueue.length} items in sync queue`);
 
-        const successItems = [];
-        const failedItems = [];
-        
-        // Process items with retry logic
-        for (const item of this.syncQueue) {
-            try {
-                // Skip if too many attempts
-                if (item.attempts >= this.maxRetries) {
-                    console.warn(`Item ${item.id} exceeded max retries`);
-                    failedItems.push({ ...item, error: 'Max retries exceeded' });
-                    continue;
-                }
-                
-                // Update attempt count
-                item.attempts = (item.attempts || 0) + 1;
-                await this.updateQueueItem(item.id, { attempts: item.attempts });
-                
-                // Send to server
-                await this.sendToServer(item);
-                successItems.push(item.id);
-                
-                // Mark as synced
-                await this.updateQueueItem(item.id, { 
-                    status: 'synced',
-                    syncedAt: new Date().toISOString()
-                });
-                
-                // Log success
-                console.log(`Successfully synced item: ${item.id} (type: ${item.type})`);
-                
-            } catch (error) {
-                console.error('Sync error for item:', item, error);
-                
-                // Update error info
-                await this.updateQueueItem(item.id, {
-                    lastError: error.message,
-                    lastAttempt: new Date().toISOString()
-                });
-                
-                failedItems.push({ ...item, error: error.message });
-                
-                // If it's a network error, stop processing and retry later
-                if (error.message.includes('Network') || error.message.includes('Failed to fetch')) {
-                    console.log('Network error detected, stopping sync');
-                    break;
-                }
-            }
-            
-            // Small delay between items to avoid overwhelming
-            await new Promise(resolve => setTimeout(resolve, 100));
+        let results = null;
+        try {
+            // The shared engine holds a lock so the service worker can't drain at the same time
+            results = await this.engine.drain();
+        } catch (error) {
+            console.error('Error processing sync queue:', error);
+        } finally {
+            this.syncInProgress = false;
         }
-        
-        // Remove successfully synced items from local queue
-        this.syncQueue = this.syncQueue.filter(item => 
-            !successItems.includes(item.id)
-        );
-        
-        this.syncInProgress = false;
+
+        // Refresh the in-memory view of the queue
+        await this.loadQueue();
+
+        if (!results) {
+            return;
+        }
+
+        console.log('Sync queue processed:', results);
         
         // Update UI if items were synced
-        if (successItems.length > 0) {
-            this.updateSyncStatus(`Synced ${successItems.length} items`);
+        if (results.successful > 0) {
+            this.updateSyncStatus(`Synced ${results.successful} items`);
             
             // Show notification
             if (window.agriApp) {
                 window.agriApp.showNotification(
-                    `Synced ${successItems.length} item${successItems.length > 1 ? 's' : ''}`,
+                    `Synced ${results.successful} item${results.successful > 1 ? 's' : ''}`,
                     'success'
                 );
             }
         }
         
-        // Schedule retry for failed items if any
-        if (failedItems.length > 0) {
-            console.log(`${failedItems.length} items failed to sync, will retry later`);
-            this.scheduleRetry();
+        if (results.conflicts > 0) {
+            this.notifyConflicts(results.conflicts);
+        }
+        
+        if (results.deadLettered > 0 && window.agriApp) {
+            window.agriApp.showNotification(
+                `${results.deadLettered} item${results.deadLettered > 1 ? 's' : ''} could not be synced. Check the Sync Center.`,
+                'error'
+            );
+        }
+        
+        // Schedule the next attempt for items that are backing off
+        if (results.nextAttemptAt !== null) {
+            this.scheduleRetry(results.nextAttemptAt);
         }
         
         // Update last sync time
         await agriDB.setSetting('lastSync', new Date().toISOString());
-    }
 
-    async sendToServer(data) {
-        // In production, this would send to your actual backend API
-        // For demo purposes, simulate network request
-        
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                // Simulate 85% success rate for demo
-                if (Math.random() > 0.15) {
-                    // Simulate successful response
-                    const response = {
-                        success: true,
-                        id: data.id,
-                        serverId: `server_${Date.now()}`,
-                        timestamp: new Date().toISOString()
-                    };
-                    resolve(response);
-                } else {
-                    // Simulate various errors
-                    const errors = [
-                        new Error('Network request failed'),
-                        new Error('Server timeout'),
-                        new Error('Invalid data format'),
-                        new Error('Authentication required')
-                    ];
-                    reject(errors[Math.floor(Math.random() * errors.length)]);
-                }
-            }, 500 + Math.random() * 1000); // Random delay between 500-1500ms
-        });
+        return results;
     }
 
-    scheduleRetry() {
-        // Schedule retry after delay
-        setTimeout(() => {
+    scheduleRetry(nextAttemptAt) {
+        // One timer for the whole queue, set for the earliest item that is due
+        clearTimeout(this.retryTimer);
+        const delay = Math.max(this.minRetryDelay, nextAttemptAt - Date.now());
+        
+        console.log(`Next sync attempt in ${Math.round(delay / 1000)}s`);
+        this.retryTimer = setTimeout(() => {
             if (navigator.onLine && this.syncQueue.length > 0) {
                 console.log('Retrying failed sync items...');
                 this.processQueue();
             }
-        }, this.retryDelay);
+        }, delay);
+    }
+
+    // Backoff times are stored on the queue items, so a restart picks up where it left off
+    async resumeRetries() {
+        if (this.syncQueue.length === 0) return;
+        
+        const nextAttemptAt = Math.min(...this.syncQueue.map(item => item.nextAttemptAt || 0));
+        this.scheduleRetry(nextAttemptAt);
+    }
+
+    // Dead-letter handling for the Sync Center
+    async getFailedItems() {
+        return agriDB.getAllItems('syncQueue', 'status', 'failed');
+    }
+
+    async retryItem(itemId) {
+        await this.updateQueueItem(itemId, {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: null,
+            failedAt: null,
+            failureReason: null
+        });
+        await this.loadQueue();
+        return this.processQueue();
+    }
+
+    async retryAllFailed() {
+        const failed = await this.getFailedItems();
+        for (const item of failed) {
+            await this.updateQueueItem(item.id, {
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: null,
+                failedAt: null,
+                failureReason: null
+            });
+        }
+        await this.loadQueue();
+        await this.processQueue();
+        return failed.length;
+    }
+
+    async discardItem(itemId) {
+        await this.removeFromQueue(itemId);
+    }
+
+    // Incremental download of server changes for one collection
+    async pullChanges(collection) {
+        if (!navigator.onLine) return null;
+        
+        try {
+            const results = await this.engine.pull(collection);
+            if (results) {
+                console.log(`Pulled ${collection} changes:`, results);
+            }
+            return results;
+        } catch (error) {
+            console.error(`Error pulling ${collection} changes:`, error);
+            return null;
+        }
+    }
+
+    notifyConflicts(count) {
+        if (!window.agriApp) return;
+        
+        window.agriApp.showNotification(
+            `${count} listing${count > 1 ? 's were' : ' was'} changed on another device. Open My Listings to choose which version to keep.`,
+            'warning'
+        );
+        
+        if (window.agriApp.marketplace) {
+            window.agriApp.marketplace.loadMyListings();
+        }
+    }
+
+    // Conflicts are parked in the queue until the farmer picks a version
+    async getConflicts(collection) {
+        const conflicts = await agriDB.getAllItems('syncQueue', 'status', 'conflict');
+        return collection ? conflicts.filter(item => item.collection === collection) : conflicts;
+    }
+
+    // choice: 'mine' keeps this device's values for the clashing fields, 'theirs' keeps the server's
+    async resolveConflict(itemId, choice) {
+        const item = await agriDB.getItem('syncQueue', itemId);
+        if (!item || item.status !== 'conflict') return null;
+        
+        const remote = item.conflict.remote;
+        const resolved = { ...AgriConflictResolver.resolve(item.conflict, choice), revision: remote.revision };
+        const base = AgriConflictResolver.diff(remote, resolved);
+        
+        await agriDB.updateItem(item.collection, resolved);
+        
+        if (Object.keys(base).length === 0) {
+            // The server already holds the chosen version
+            await this.updateQueueItem(itemId, {
+                status: 'synced',
+                syncedAt: new Date().toISOString(),
+                conflict: null,
+                resolution: choice
+            });
+        } else {
+            await this.updateQueueItem(itemId, {
+                status: 'pending',
+                data: resolved,
+                baseRevision: remote.revision,
+                base,
+                conflict: null,
+                resolution: choice
+            });
+            await this.loadQueue();
+            this.processQueue();
+        }
+        
+        return resolved;
     }
 
     handleOffline() {
@@ -266,12 +348,15 @@ class AgriSync {
         });
     }
 
-    recordListingUpdate(listingData) {
+    // previous: the listing as it was before this edit, used to detect clashing edits from other devices
+    recordListingUpdate(listingData, previous = null) {
         return this.addToQueue({
             type: 'listing_update',
             action: 'update',
             data: listingData,
-            collection: 'marketListings'
+            collection: 'marketListings',
+            baseRevision: listingData.revision,
+            base: AgriConflictResolver.diff(previous || {}, listingData)
         });
     }
 
@@ -284,11 +369,31 @@ class AgriSync {
         });
     }
 
-    recordCropUpdate(cropData) {
+    recordNewCrop(cropData) {
+        return this.addToQueue({
+            type: 'crop_create',
+            action: 'create',
+            data: cropData,
+            collection: 'crops'
+        });
+    }
+
+    recordCropUpdate(cropData, previous = null) {
         return this.addToQueue({
             type: 'crop_update',
             action: 'update',
             data: cropData,
+            collection: 'crops',
+            baseRevision: cropData.revision,
+            base: AgriConflictResolver.diff(previous || {}, cropData)
+        });
+    }
+
+    recordCropDeletion(cropId) {
+        return this.addToQueue({
+            type: 'crop_delete',
+            action: 'delete',
+            data: { id: cropId },
             collection: 'crops'
         });
     }
@@ -312,6 +417,8 @@ class AgriSync {
     }
 
     // Batch operations
+    // Queue several changes at once and upload them together.
+    // The engine groups due items into compressed batch requests.
     async batchSync(items) {
         if (!Array.isArray(items) || items.length === 0) {
             return { success: false, error: 'No items to sync' };
@@ -323,15 +430,19 @@ class AgriSync {
         const results = {
             batchId,
             total: items.length,
-            successful: 0,
+            queued: 0,
             failed: 0,
-            errors: []
+            errors: [],
+            upload: null
         };
         
+        // Queue everything first so a single drain picks up the whole batch
         for (const item of items) {
             try {
-                await this.addToQueue(item);
-                results.successful++;
+                const queueItem = this.createQueueItem(item);
+                await agriDB.addItem('syncQueue', queueItem);
+                this.syncQueue.push(queueItem);
+                results.queued++;
             } catch (error) {
                 results.failed++;
                 results.errors.push({
@@ -343,7 +454,7 @@ class AgriSync {
         
         // Start processing if online
         if (navigator.onLine) {
-            this.processQueue();
+            results.upload = await this.processQueue() || null;
         }
         
         return results;
@@ -355,12 +466,14 @@ class AgriSync {
             const pending = await agriDB.getAllItems('syncQueue', 'status', 'pending');
             const synced = await agriDB.getAllItems('syncQueue', 'status', 'synced');
             const failed = await agriDB.getAllItems('syncQueue', 'status', 'failed');
+            const conflicts = await agriDB.getAllItems('syncQueue', 'status', 'conflict');
             
             return {
                 pending: pending.length,
                 synced: synced.length,
                 failed: failed.length,
-                total: pending.length + synced.length + failed.length,
+                conflicts: conflicts.length,
+                total: pending.length + synced.length + failed.length + conflicts.length,
                 lastSync: await agriDB.getSetting('lastSync')
             };
         } catch (error) {
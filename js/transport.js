@@ -0,0 +1,235 @@
+// HTTP transport for AgriInfo Kenya sync
+// Shared by the page (js/sync.js) and the service worker (importScripts)
+
+class SyncTransportError extends Error {
+    constructor(message, { status = 0, retryable = false, body = null } = {}) {
+        super(message);
+        this.name = 'SyncTransportError';
+        this.status = status;
+        this.retryable = retryable;
+        this.body = body;
+    }
+}
+
+class AgriTransport {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || '';
+        this.timeout = options.timeout || 15000; // 15 seconds
+        this.batchEndpoint = options.batchEndpoint || '/api/sync/batch';
+        this.compressThreshold = options.compressThreshold || 1024; // Small bodies aren't worth compressing
+        this.batchUnsupported = false;
+        this.endpoints = {
+            marketListings: '/api/listings',
+            crops: '/api/crops',
+            weather: '/api/weather',
+            analytics: '/api/analytics',
+            ...(options.endpoints || {})
+        };
+    }
+
+    configure(options = {}) {
+        if (options.baseUrl !== undefined) this.baseUrl = options.baseUrl;
+        if (options.timeout) this.timeout = options.timeout;
+        if (options.endpoints) Object.assign(this.endpoints, options.endpoints);
+        if (options.batchEndpoint) {
+            this.batchEndpoint = options.batchEndpoint;
+            this.batchUnsupported = false;
+        }
+    }
+
+    endpointFor(collection) {
+        const path = this.endpoints[collection];
+        if (!path) {
+            throw new SyncTransportError(`No endpoint configured for collection: ${collection}`);
+        }
+        return `${this.baseUrl}${path}`;
+    }
+
+    // Send a single sync queue item to the server
+    async send(item) {
+        return this.request(this.endpointFor(item.collection), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Idempotency-Key': String(item.id)
+            },
+            body: JSON.stringify(this.payloadFor(item))
+        }, AgriTransport.responseShapes.item);
+    }
+
+    // Send many queue items in one gzip-compressed request.
+    // Resolves to a Map of queue item id -> { response } or { error } for that item;
+    // rejects only when the request as a whole failed.
+    async sendBatch(items) {
+        if (this.batchUnsupported) {
+            return this.sendEach(items);
+        }
+
+        const json = JSON.stringify({ items: items.map(item => this.payloadFor(item)) });
+        const headers = { 'Content-Type': 'application/json' };
+        let body = json;
+
+        if (json.length >= this.compressThreshold) {
+            const compressed = await this.compress(json);
+            if (compressed) {
+                body = compressed;
+                headers['Content-Encoding'] = 'gzip';
+            }
+        }
+
+        let response;
+        try {
+            response = await this.request(`${this.baseUrl}${this.batchEndpoint}`, { method: 'POST', headers, body },
+                AgriTransport.responseShapes.batch);
+        } catch (error) {
+            // Older backends without the batch endpoint still accept items one at a time
+            if (error.status === 404 || error.status === 405) {
+                console.log('Batch upload not supported by server, sending items individually');
+                this.batchUnsupported = true;
+                return this.sendEach(items);
+            }
+            throw error;
+        }
+
+        const outcomes = new Map();
+        (response.results || []).forEach(result => {
+            const itemBody = result.body || {};
+            if (result.status >= 200 && result.status < 300) {
+                outcomes.set(String(result.id), { response: itemBody });
+            } else {
+                outcomes.set(String(result.id), {
+                    error: new SyncTransportError(itemBody.error || `Server responded with ${result.status}`, {
+                        status: result.status,
+                        retryable: AgriTransport.isRetryableStatus(result.status),
+                        body: itemBody
+                    })
+                });
+            }
+        });
+        return outcomes;
+    }
+
+    async sendEach(items) {
+        const outcomes = new Map();
+        for (const item of items) {
+            try {
+                outcomes.set(String(item.id), { response: await this.send(item) });
+            } catch (error) {
+                // Stop at a dead connection; items without a result are retried later.
+                // The results so far go with the error so accepted items are still marked synced.
+                if (error.retryable && !error.status) {
+                    error.outcomes = outcomes;
+                    throw error;
+                }
+                outcomes.set(String(item.id), { error });
+            }
+        }
+        return outcomes;
+    }
+
+    payloadFor(item) {
+        return {
+            id: item.id,
+            type: item.type,
+            action: item.action,
+            collection: item.collection,
+            data: item.data,
+            baseRevision: item.baseRevision,
+            timestamp: item.timestamp || item.createdAt
+        };
+    }
+
+    // gzip the request body where the browser supports CompressionStream (null otherwise)
+    async compress(text) {
+        if (typeof CompressionStream === 'undefined') return null;
+        try {
+            const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+            return await new Response(stream).arrayBuffer();
+        } catch (error) {
+            console.error('Compression failed, sending uncompressed:', error);
+            return null;
+        }
+    }
+
+    // Download changes to a collection made after the given cursor
+    async fetchChanges(collection, cursor = 0, limit = 100) {
+        const url = `${this.endpointFor(collection)}/changes?since=${encodeURIComponent(cursor)}&limit=${limit}`;
+        return this.request(url, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' }
+        }, AgriTransport.responseShapes.changes);
+    }
+
+    // What a successful response must look like. Anything else is treated as a failed request:
+    // hosts that rewrite unknown paths (vercel.json sends everything to index.html) answer 200 with a web page.
+    static responseShapes = {
+        item: body => body.success === true || body.id !== undefined,
+        batch: body => Array.isArray(body.results),
+        changes: body => Array.isArray(body.changes)
+    };
+
+    async request(url, init, isExpectedShape = () => true) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal: controller?.signal });
+        } catch (error) {
+            // DNS failures, dropped connections and timeouts are always worth retrying
+            const message = error.name === 'AbortError' ? 'Request timed out' : `Network error: ${error.message}`;
+            throw new SyncTransportError(message, { retryable: true });
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+
+        const body = await this.readBody(response);
+
+        if (response.ok) {
+            if (!body || body.raw !== undefined || !isExpectedShape(body)) {
+                throw new SyncTransportError(`Unexpected response from ${url}; is the sync server configured?`, {
+                    status: response.status,
+                    retryable: true,
+                    body
+                });
+            }
+            return body;
+        }
+
+        const message = (body && body.error) || `Server responded with ${response.status}`;
+        throw new SyncTransportError(message, {
+            status: response.status,
+            retryable: AgriTransport.isRetryableStatus(response.status),
+            body
+        });
+    }
+
+    async readBody(response) {
+        const text = await response.text();
+        if (!text) return null;
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return { raw: text };
+        }
+    }
+
+    // 409 means the record changed on the server since this device last saw it
+    static isConflict(error) {
+        return error instanceof SyncTransportError && error.status === 409 && !!(error.body && error.body.current);
+    }
+
+    // 408 Request Timeout, 425 Too Early, 429 Too Many Requests and 5xx are transient.
+    // Everything else in the 4xx range means the item itself is bad and resending won't help.
+    static isRetryableStatus(status) {
+        return status === 408 || status === 425 || status === 429 || status >= 500;
+    }
+}
+
+// Create global transport instance
+const agriTransport = new AgriTransport();
+
+// Export for use in Node (reference server tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AgriTransport, SyncTransportError, agriTransport };
+}
@@ -0,0 +1,192 @@
+// Land and weight units farmers use, and the conversions between them.
+// Calculators and records keep acres and kilograms; only what the farmer types and reads is in their preferred units.
+// Every conversion factor in the app comes from here, including those used by the static parsers and calculators.
+class AgriUnits {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.preferences = { land: 'acre', weight: 'kg' };
+    }
+
+    // Same values as conversionRates in the crop library, for before it is loaded
+    static defaultRates = { acreToHectare: 0.4047, bagWeight: 90 };
+
+    // The crop library's conversionRates once loaded; shared by every instance and the static helpers
+    static rates = { ...AgriUnits.defaultRates };
+
+    static squareMetresPerAcre = 4046.86;
+
+    static useRates(rates) {
+        this.rates = { ...this.defaultRates, ...(rates || {}) };
+    }
+
+    // Figures given per hectare (yields, fertilizer rates, plant densities) -> per acre
+    static perHectareToPerAcre(valuePerHectare) {
+        return valuePerHectare * this.rates.acreToHectare;
+    }
+
+    get rates() {
+        return AgriUnits.rates;
+    }
+
+    static land = {
+        acre: { label: 'Acres', plural: 'acres', singular: 'acre' },
+        hectare: { label: 'Hectares', plural: 'ha', singular: 'ha' }
+    };
+
+    // Debes and gorogoro tins are measured by volume; the weights are for dry maize, and beans are close
+    static weight = {
+        kg: { label: 'Kilograms', plural: 'kg', singular: 'kg', kg: 1 },
+        bag: { label: 'Bags (90 kg)', plural: 'bags', singular: 'bag' },
+        debe: { label: 'Debes (about 16 kg)', plural: 'debes', singular: 'debe', kg: 16 },
+        gorogoro: { label: 'Gorogoro tins (about 2 kg)', plural: 'gorogoro', singular: 'gorogoro', kg: 2 }
+    };
+
+    // More decimals for small numbers so 0.4 ha does not show as 0
+    static format(value) {
+        const decimals = Math.abs(value) < 1 ? 2 : Math.abs(value) < 10 ? 1 : 0;
+        return Number(value.toFixed(decimals)).toLocaleString();
+    }
+
+    // "12" or "12-18"
+    static span(min, max) {
+        return max === undefined || max === min ? this.format(min) : `${this.format(min)}-${this.format(max)}`;
+    }
+
+    async init() {
+        try {
+            AgriUnits.useRates(await agriDB.getSetting('conversionRates'));
+            const preferences = await agriDB.getSetting('units');
+            if (AgriUnits.land[preferences?.land]) this.preferences.land = preferences.land;
+            if (AgriUnits.weight[preferences?.weight]) this.preferences.weight = preferences.weight;
+        } catch (error) {
+            console.error('Error loading unit preferences:', error);
+        }
+        this.applyLabels();
+    }
+
+    async setPreference(kind, value) {
+        const table = kind === 'land' ? AgriUnits.land : AgriUnits.weight;
+        if (!table[value]) return;
+
+        this.preferences = { ...this.preferences, [kind]: value };
+        await agriDB.setSetting('units', this.preferences);
+        this.applyLabels();
+    }
+
+    acresPerUnit(unit = this.preferences.land) {
+        return unit === 'hectare' ? 1 / this.rates.acreToHectare : 1;
+    }
+
+    kgPerUnit(unit = this.preferences.weight) {
+        return unit === 'bag' ? this.rates.bagWeight : AgriUnits.weight[unit]?.kg || 1;
+    }
+
+    // Land typed in the preferred unit -> acres, and back
+    toAcres(value) {
+        return value * this.acresPerUnit();
+    }
+
+    fromAcres(acres) {
+        return acres / this.acresPerUnit();
+    }
+
+    toKg(value) {
+        return value * this.kgPerUnit();
+    }
+
+    fromKg(kg) {
+        return kg / this.kgPerUnit();
+    }
+
+    // Per-acre figures (kg/acre, KES/acre) -> per preferred land unit, and back
+    perLand(valuePerAcre) {
+        return valuePerAcre * this.acresPerUnit();
+    }
+
+    perAcre(valuePerLand) {
+        return valuePerLand / this.acresPerUnit();
+    }
+
+    // KES per kg -> KES per preferred weight unit, and back
+    priceFromKg(pricePerKg) {
+        return pricePerKg * this.kgPerUnit();
+    }
+
+    priceToKg(pricePerUnit) {
+        return pricePerUnit / this.kgPerUnit();
+    }
+
+    // Form values by what they measure, for saving and restoring typed values across unit changes
+    toBase(kind, value) {
+        switch (kind) {
+            case 'land': return this.toAcres(value);
+            case 'weight': return this.toKg(value);
+            case 'price': return this.priceToKg(value);
+            case 'perLand': return this.perAcre(value);
+            case 'yield': return this.perAcre(this.toKg(value));
+            default: return value;
+        }
+    }
+
+    fromBase(kind, value) {
+        switch (kind) {
+            case 'land': return this.fromAcres(value);
+            case 'weight': return this.fromKg(value);
+            case 'price': return this.priceFromKg(value);
+            case 'perLand': return this.perLand(value);
+            case 'yield': return this.fromKg(this.perLand(value));
+            default: return value;
+        }
+    }
+
+    landUnit(count = 2) {
+        const unit = AgriUnits.land[this.preferences.land];
+        return count === 1 ? unit.singular : unit.plural;
+    }
+
+    weightUnit(count = 2) {
+        const unit = AgriUnits.weight[this.preferences.weight];
+        return count === 1 ? unit.singular : unit.plural;
+    }
+
+    // "2 acres", "0.81 ha"
+    area(acres) {
+        const value = this.fromAcres(acres);
+        return `${AgriUnits.format(value)} ${this.landUnit(value)}`;
+    }
+
+    // "500 kg", "5.6 bags (500 kg)"
+    weight(kg) {
+        if (this.preferences.weight === 'kg') return `${AgriUnits.format(kg)} kg`;
+        const value = this.fromKg(kg);
+        return `${AgriUnits.format(value)} ${this.weightUnit(value)} (${AgriUnits.format(kg)} kg)`;
+    }
+
+    // "KES 55/kg", "KES 4,950 per bag", "KES 4,500-6,300 per bag"
+    price(pricePerKg, maxPricePerKg) {
+        if (this.preferences.weight === 'kg') return `KES ${AgriUnits.span(pricePerKg, maxPricePerKg)}/kg`;
+        const max = maxPricePerKg === undefined ? undefined : this.priceFromKg(maxPricePerKg);
+        return `KES ${AgriUnits.span(this.priceFromKg(pricePerKg), max)} per ${this.weightUnit(1)}`;
+    }
+
+    // Yields: "2,700 kg per acre", "20-40 bags per acre", "6,672 kg per ha"
+    yield(kgPerAcre, maxKgPerAcre) {
+        const convert = value => this.fromKg(this.perLand(value));
+        const max = maxKgPerAcre === undefined ? undefined : convert(maxKgPerAcre);
+        return `${AgriUnits.span(convert(kgPerAcre), max)} ${this.weightUnit()} per ${this.landUnit(1)}`;
+    }
+
+    // Fills in elements marked data-unit="land|land-singular|weight|weight-singular"
+    applyLabels(root = document) {
+        root.querySelectorAll('[data-unit]').forEach(element => {
+            const [kind, number] = element.dataset.unit.split('-');
+            const count = number === 'singular' ? 1 : 2;
+            element.textContent = kind === 'land' ? this.landUnit(count) : this.weightUnit(count);
+        });
+
+        const landSelect = document.getElementById('land-unit-select');
+        if (landSelect) landSelect.value = this.preferences.land;
+        const weightSelect = document.getElementById('weight-unit-select');
+        if (weightSelect) weightSelect.value = this.preferences.weight;
+    }
+}
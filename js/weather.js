@@ -0,0 +1,281 @@
+// Weather forecasts for the weather card and the irrigation scheduler.
+// A provider fetches a forecast; AgriWeather keeps each one in the weather store with an expiry so it can be shown offline.
+
+// Providers implement forecast({ latitude, longitude, days }) and resolve to
+// { current: { temperature, humidity, weatherCode }, daily: [{ date, tmax, tmin, precipitation }] }
+class AgriWeatherProvider {
+    constructor(options = {}) {
+        this.timeout = options.timeout || 15000; // 15 seconds
+    }
+
+    static id = 'none';
+    static label = 'No provider';
+
+    async forecast() {
+        throw new Error('No weather provider configured');
+    }
+
+    async fetchJson(url) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+        let response;
+        try {
+            response = await fetch(url, { signal: controller?.signal });
+        } catch (error) {
+            throw new Error(error.name === 'AbortError' ? 'Weather request timed out' : `Network error: ${error.message}`);
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+
+        const body = await response.json().catch(() => null);
+        if (!response.ok || body?.error) {
+            throw new Error(body?.reason || `Weather service responded with ${response.status}`);
+        }
+        if (!body) throw new Error('Weather service sent a response that is not JSON');
+        return body;
+    }
+}
+
+// Open-Meteo's /v1/forecast, or anything answering in the same shape (server/reference-server.js has a local mock)
+class AgriOpenMeteoProvider extends AgriWeatherProvider {
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = options.baseUrl || 'https://api.open-meteo.com';
+    }
+
+    static id = 'open-meteo';
+    static label = 'Open-Meteo';
+
+    url({ latitude, longitude, days = 7 }) {
+        const params = new URLSearchParams({
+            latitude: latitude.toFixed(4),
+            longitude: longitude.toFixed(4),
+            current: 'temperature_2m,relative_humidity_2m,weather_code',
+            daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum',
+            timezone: 'Africa/Nairobi',
+            forecast_days: String(days)
+        });
+        return `${this.baseUrl}/v1/forecast?${params}`;
+    }
+
+    async forecast(query) {
+        return AgriOpenMeteoProvider.parse(await this.fetchJson(this.url(query)));
+    }
+
+    // Daily values arrive as parallel arrays; days the model has no value for are dropped
+    static parse(body) {
+        const daily = body.daily || {};
+        const days = (daily.time || []).map((date, index) => ({
+            date,
+            tmax: daily.temperature_2m_max?.[index],
+            tmin: daily.temperature_2m_min?.[index],
+            precipitation: daily.precipitation_sum?.[index] ?? null
+        })).filter(day => typeof day.tmax === 'number' && typeof day.tmin === 'number');
+
+        if (days.length === 0) throw new Error('Weather service returned no daily forecast');
+
+        const current = body.current || {};
+        return {
+            current: {
+                temperature: current.temperature_2m ?? null,
+                humidity: current.relative_humidity_2m ?? null,
+                weatherCode: current.weather_code ?? null
+            },
+            daily: days
+        };
+    }
+}
+
+class AgriWeather {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.provider = new AgriOpenMeteoProvider();
+    }
+
+    static providers = {
+        'open-meteo': AgriOpenMeteoProvider
+    };
+
+    static cacheHours = 3; // forecasts are refreshed a few times a day
+    static keepDays = 14; // older forecasts are no use to the irrigation scheduler either
+    static forecastDays = 7;
+
+    // WMO weather interpretation codes, as used by Open-Meteo
+    static conditions(code) {
+        if (code === null || code === undefined) return null;
+        if (code === 0) return 'Clear sky';
+        if (code <= 2) return 'Partly cloudy';
+        if (code === 3) return 'Overcast';
+        if (code <= 48) return 'Fog';
+        if (code <= 57) return 'Drizzle';
+        if (code <= 67) return 'Rain';
+        if (code <= 77) return 'Snow or hail';
+        if (code <= 82) return 'Rain showers';
+        return 'Thunderstorms';
+    }
+
+    static isStale(record, now = Date.now()) {
+        return !record.expiresAt || now >= Date.parse(record.expiresAt);
+    }
+
+    // "just now", "12 minutes ago", "5 hours ago", "2 days ago"
+    static age(timestamp, now = Date.now()) {
+        const minutes = Math.max(0, Math.round((now - Date.parse(timestamp)) / 60000));
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+        return `${Math.round(hours / 24)} days ago`;
+    }
+
+    // Advice from the rain and heat in the next three days of the forecast
+    static recommendation(daily, today) {
+        const coming = daily.filter(day => day.date >= today).slice(0, 3);
+        if (coming.length === 0) return 'This forecast has run out. Check the weather again before planting or irrigating.';
+
+        const rain = coming.reduce((sum, day) => sum + (day.precipitation || 0), 0);
+        const hottest = Math.max(...coming.map(day => day.tmax));
+        if (rain >= 20) return 'Good rain expected: a good time to plant or top-dress. Hold off irrigating and spraying.';
+        if (rain >= 5) return 'Light rain expected: irrigate only where the soil is dry below the surface.';
+        if (hottest >= 32) return 'Hot and dry: irrigate early morning or evening and mulch to keep moisture in.';
+        return 'Dry days ahead: use the Irrigation Scheduler to plan watering.';
+    }
+
+    async init() {
+        try {
+            const settings = await agriDB.getSetting('weatherProvider');
+            const Provider = AgriWeather.providers[settings?.type] || AgriOpenMeteoProvider;
+            this.provider = new Provider(settings || {});
+        } catch (error) {
+            console.error('Error loading weather provider settings:', error);
+        }
+    }
+
+    // The newest forecast for a county (or anywhere), skipping records from before forecasts were stored
+    async cached(county) {
+        const records = await agriDB.getWeather(county || undefined);
+        return records.find(record => Array.isArray(record.daily) && record.daily.length > 0) || null;
+    }
+
+    // A fresh cached forecast if there is one, otherwise the provider's; falls back to the stale cache when offline or failing
+    async forecast({ latitude, longitude, county }) {
+        const cached = await this.cached(county);
+        if (cached && !AgriWeather.isStale(cached)) return { record: cached, stale: false };
+
+        if (!navigator.onLine) {
+            if (cached) return { record: cached, stale: true, error: 'You are offline' };
+            throw new Error('You are offline and no forecast has been saved yet');
+        }
+
+        try {
+            const forecast = await this.provider.forecast({ latitude, longitude, days: AgriWeather.forecastDays });
+            const now = new Date();
+            const record = {
+                ...forecast,
+                county,
+                latitude,
+                longitude,
+                provider: this.provider.constructor.id,
+                timestamp: now.toISOString(),
+                expiresAt: new Date(now.getTime() + AgriWeather.cacheHours * 3600000).toISOString()
+            };
+            await agriDB.saveWeather(record, new Date(now.getTime() - AgriWeather.keepDays * 86400000).toISOString());
+            return { record, stale: false };
+        } catch (error) {
+            console.error('Weather fetch error:', error);
+            if (cached) return { record: cached, stale: true, error: error.message };
+            throw error;
+        }
+    }
+
+    position() {
+        return new Promise((resolve, reject) => {
+            navigator.geolocation.getCurrentPosition(resolve, reject, { timeout: 20000, maximumAge: 600000 });
+        });
+    }
+
+    // "Check Current Weather": locate the farm, then show its forecast
+    async show() {
+        const weatherDiv = document.getElementById('weather-data') || document.querySelector('.weather-info');
+        if (!weatherDiv) return;
+
+        weatherDiv.innerHTML = '<p>🌤️ Fetching weather data...</p>';
+
+        let coords;
+        try {
+            if (!navigator.geolocation) throw new Error('Geolocation not supported by your device');
+            coords = (await this.position()).coords;
+        } catch (error) {
+            const cached = await this.cached();
+            weatherDiv.innerHTML = cached ?
+                this.render(cached, { stale: AgriWeather.isStale(cached), error: 'Unable to get your location' }) :
+                '<p>Unable to get your location. Allow location access to get the forecast for your farm.</p>';
+            return;
+        }
+
+        try {
+            const county = await this.app.getCountyFromCoordinates(coords.latitude, coords.longitude);
+            const result = await this.forecast({ latitude: coords.latitude, longitude: coords.longitude, county });
+            weatherDiv.innerHTML = this.render(result.record, result);
+        } catch (error) {
+            weatherDiv.innerHTML = `<p>Could not fetch weather data: ${this.app.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    // The last forecast, shown when the tools open so it is there without a connection
+    async showCached() {
+        const weatherDiv = document.getElementById('weather-data');
+        if (!weatherDiv) return;
+
+        try {
+            const cached = await this.cached(AgriCounties.find(this.app.userProfile?.location)?.name) || await this.cached();
+            if (cached) weatherDiv.innerHTML = this.render(cached, { stale: AgriWeather.isStale(cached) });
+        } catch (error) {
+            console.error('Error loading cached weather:', error);
+        }
+    }
+
+    render(record, { stale = false, error = null } = {}) {
+        const escape = value => this.app.escapeHtml(value);
+        const today = new Date().toISOString().split('T')[0];
+        const current = record.current || {};
+        const conditions = AgriWeather.conditions(current.weatherCode);
+        const days = record.daily.filter(day => day.date >= today);
+        const provider = Object.values(AgriWeather.providers).find(Provider => Provider.id === record.provider)?.label || 'weather service';
+        const weekday = date => new Date(`${date}T00:00:00`).toLocaleDateString([], { weekday: 'short', day: 'numeric' });
+
+        return `
+            <div class="weather-card ${stale ? 'stale' : ''}">
+                <h4>${escape(record.county || 'Your')} County Weather</h4>
+                ${stale ? `
+                    <p class="weather-stale" role="status">
+                        ⚠️ Saved forecast from ${AgriWeather.age(record.timestamp)}${error ? ` (${escape(error)})` : ''}.
+                        It may be out of date; check again when you are online.
+                    </p>
+                ` : ''}
+                ${!stale && current.temperature !== null && current.temperature !== undefined ? `
+                    <p><strong>Temperature:</strong> ${Math.round(current.temperature)}°C${conditions ? `, ${conditions}` : ''}</p>
+                    ${current.humidity !== null && current.humidity !== undefined ? `<p><strong>Humidity:</strong> ${Math.round(current.humidity)}%</p>` : ''}
+                ` : ''}
+                ${days.length > 0 ? `
+                    <table class="weather-forecast">
+                        <thead><tr><th>Day</th><th>Temperature</th><th>Rain</th></tr></thead>
+                        <tbody>
+                            ${days.map(day => `
+                                <tr>
+                                    <td>${weekday(day.date)}</td>
+                                    <td>${Math.round(day.tmin)}-${Math.round(day.tmax)}°C</td>
+                                    <td>${day.precipitation === null ? '-' : `${day.precipitation.toFixed(1)} mm`}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+                <p><strong>Recommendation:</strong> ${AgriWeather.recommendation(record.daily, today)}</p>
+                <p><small>Updated ${new Date(record.timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })} from ${escape(provider)}
+                    · ${record.latitude.toFixed(4)}°, ${record.longitude.toFixed(4)}°</small></p>
+            </div>
+        `;
+    }
+}
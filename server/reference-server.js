@@ -0,0 +1,393 @@
+// Local reference backend for AgriInfo Kenya sync
+// Usage: node server/reference-server.js [port]
+// Serves the app from the repository root and implements the /api endpoints used by js/transport.js.
+// Set AGRI_DATA_FILE to persist records between runs (e.g. on a field laptop).
+// GET /v1/forecast is a stand-in for Open-Meteo with made-up but repeatable forecasts; point the app at it with
+// agriDB.setSetting('weatherProvider', { type: 'open-meteo', baseUrl: 'http://localhost:8787' }).
+// Forecasts start on a fixed date unless the request sends start_date; run from the command line they start today,
+// or on AGRI_FORECAST_START (YYYY-MM-DD) if set.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const COLLECTION_ROUTES = {
+    '/api/listings': 'marketListings',
+    '/api/crops': 'crops',
+    '/api/weather': 'weather',
+    '/api/analytics': 'analytics'
+};
+
+const BATCH_ROUTE = '/api/sync/batch';
+const MAX_BATCH_ITEMS = 200;
+
+const FORECAST_ROUTE = '/v1/forecast';
+const MAX_FORECAST_DAYS = 16;
+const FORECAST_START_DATE = '2026-03-02';
+
+const ACTIONS = ['create', 'update', 'delete'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml'
+};
+
+class ReferenceStore {
+    constructor(dataFile) {
+        this.dataFile = dataFile;
+        this.collections = {};
+        this.processed = {}; // idempotency key -> stored response
+        this.changes = []; // ordered change log served to pulling clients
+        this.seq = 0;
+        this.load();
+    }
+
+    load() {
+        if (!this.dataFile || !fs.existsSync(this.dataFile)) return;
+        const saved = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+        this.collections = saved.collections || {};
+        this.processed = saved.processed || {};
+        this.changes = saved.changes || [];
+        this.seq = saved.seq || 0;
+    }
+
+    save() {
+        if (!this.dataFile) return;
+        fs.writeFileSync(this.dataFile, JSON.stringify({
+            collections: this.collections,
+            processed: this.processed,
+            changes: this.changes,
+            seq: this.seq
+        }, null, 2));
+    }
+
+    records(collection) {
+        if (!this.collections[collection]) {
+            this.collections[collection] = {};
+        }
+        return this.collections[collection];
+    }
+
+    // Every stored record carries a revision number that increases on each write.
+    // Updates based on an older revision are rejected with 409 so the client can merge.
+    apply(collection, item) {
+        const records = this.records(collection);
+        const data = item.data || {};
+        const recordId = data.id !== undefined ? String(data.id) : `${collection}_${Date.now()}`;
+        const existing = records[recordId];
+
+        switch (item.action) {
+            case 'create':
+            case 'update': {
+                if (existing && item.action === 'update' &&
+                    item.baseRevision !== undefined && item.baseRevision !== null &&
+                    existing.revision !== item.baseRevision) {
+                    return { status: 409, body: { error: 'Revision conflict', current: existing } };
+                }
+
+                const revision = existing ? (existing.revision || 0) + 1 : 1;
+                records[recordId] = {
+                    ...data,
+                    id: data.id !== undefined ? data.id : recordId,
+                    revision,
+                    updatedAt: new Date().toISOString()
+                };
+                this.logChange(collection, recordId, 'upsert', records[recordId]);
+                return { status: item.action === 'create' ? 201 : 200, body: { success: true, id: recordId, revision } };
+            }
+            case 'delete':
+                delete records[recordId];
+                this.logChange(collection, recordId, 'delete', null);
+                return { status: 200, body: { success: true, id: recordId } };
+        }
+    }
+
+    // Deletions are kept as tombstones so offline devices learn about them on their next pull
+    logChange(collection, id, op, record) {
+        this.seq++;
+        this.changes.push({ seq: this.seq, collection, id: record ? record.id : id, op, record });
+    }
+
+    changesSince(collection, since, limit) {
+        const matching = this.changes.filter(change => change.collection === collection && change.seq > since);
+        const page = matching.slice(0, limit);
+
+        return {
+            changes: page.map(({ id, op, record }) => ({ id, op, record })),
+            cursor: page.length > 0 ? page[page.length - 1].seq : Math.max(since, this.seq),
+            hasMore: matching.length > page.length
+        };
+    }
+}
+
+function validateItem(item) {
+    if (!item || typeof item !== 'object') return 'Request body must be a JSON object';
+    if (item.id === undefined || item.id === null) return 'Missing queue item id';
+    if (!ACTIONS.includes(item.action)) return `Unknown action: ${item.action}`;
+    if (!item.data || typeof item.data !== 'object') return 'Missing data';
+    if (item.action === 'delete' && item.data.id === undefined) return 'Delete requires data.id';
+    return null;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            try {
+                let buffer = Buffer.concat(chunks);
+                if (req.headers['content-encoding'] === 'gzip') {
+                    buffer = zlib.gunzipSync(buffer);
+                }
+                const text = buffer.toString('utf8');
+                resolve(text ? JSON.parse(text) : null);
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Validate, de-duplicate and apply one queue item. Returns { status, body } without sending it.
+function processItem(store, collection, item, key) {
+    const validationError = validateItem(item);
+    if (validationError) {
+        return { status: 422, body: { error: validationError } };
+    }
+
+    // Replay the original response if this item was already applied
+    if (store.processed[key]) {
+        const previous = store.processed[key];
+        return { status: previous.status, body: { ...previous.body, replayed: true } };
+    }
+
+    const result = store.apply(collection, item);
+
+    // Only remember applied writes; a rejected item may be resent after the client merges it
+    if (result.status < 300) {
+        store.processed[key] = result;
+    }
+    return result;
+}
+
+async function handleCollectionPost(store, collection, req, res) {
+    let item;
+    try {
+        item = await readJson(req);
+    } catch (error) {
+        return sendJson(res, 400, { error: 'Malformed JSON body' });
+    }
+
+    const key = req.headers['x-idempotency-key'] || String(item && item.id);
+    const result = processItem(store, collection, item, key);
+    if (result.status < 300) store.save();
+
+    sendJson(res, result.status, result.body);
+}
+
+// Many queue items in one (optionally gzipped) request; each gets its own status in the response
+async function handleBatchPost(store, req, res) {
+    let batch;
+    try {
+        batch = await readJson(req);
+    } catch (error) {
+        return sendJson(res, 400, { error: 'Malformed or badly compressed body' });
+    }
+
+    if (!batch || !Array.isArray(batch.items)) {
+        return sendJson(res, 422, { error: 'Batch must contain an items array' });
+    }
+    if (batch.items.length > MAX_BATCH_ITEMS) {
+        return sendJson(res, 413, { error: `Batch is limited to ${MAX_BATCH_ITEMS} items` });
+    }
+
+    const collections = Object.values(COLLECTION_ROUTES);
+    const results = batch.items.map(item => {
+        const id = item && item.id;
+        if (!item || !collections.includes(item.collection)) {
+            return { id, status: 422, body: { error: `Unknown collection: ${item && item.collection}` } };
+        }
+        return { id, ...processItem(store, item.collection, item, String(id)) };
+    });
+
+    store.save();
+    sendJson(res, 200, { results });
+}
+
+function handleChangesGet(store, collection, req, res) {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const since = parseInt(params.get('since') || '0', 10) || 0;
+    const limit = Math.min(parseInt(params.get('limit') || '100', 10) || 100, 500);
+
+    sendJson(res, 200, store.changesSince(collection, since, limit));
+}
+
+// Repeatable 0-1 value for a place and day, so the same request always gets the same forecast
+function forecastNoise(latitude, longitude, date, salt) {
+    const seed = Math.round(latitude * 100) * 7919 + Math.round(longitude * 100) * 104729 + Date.parse(date) / 86400000 * 31 + salt;
+    const value = Math.sin(seed) * 10000;
+    return value - Math.floor(value);
+}
+
+// Answers in Open-Meteo's shape: daily values as parallel arrays, errors as { error: true, reason }
+function handleForecastGet(req, res, defaultStartDate) {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const latitude = parseFloat(params.get('latitude'));
+    const longitude = parseFloat(params.get('longitude'));
+    const days = parseInt(params.get('forecast_days') || '7', 10);
+    const startDate = params.get('start_date') || defaultStartDate;
+
+    if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+        return sendJson(res, 400, { error: true, reason: 'latitude and longitude are required' });
+    }
+    if (!(days >= 1 && days <= MAX_FORECAST_DAYS)) {
+        return sendJson(res, 400, { error: true, reason: `forecast_days must be between 1 and ${MAX_FORECAST_DAYS}` });
+    }
+    if (isNaN(Date.parse(startDate))) {
+        return sendJson(res, 400, { error: true, reason: 'start_date must be YYYY-MM-DD' });
+    }
+
+    const daily = { time: [], temperature_2m_max: [], temperature_2m_min: [], precipitation_sum: [] };
+    for (let offset = 0; offset < days; offset++) {
+        const start = new Date(`${startDate}T00:00:00Z`);
+        const date = new Date(start.getTime() + offset * 86400000).toISOString().split('T')[0];
+        const tmax = 22 + forecastNoise(latitude, longitude, date, 1) * 10;
+        const rain = forecastNoise(latitude, longitude, date, 3);
+        daily.time.push(date);
+        daily.temperature_2m_max.push(Math.round(tmax * 10) / 10);
+        daily.temperature_2m_min.push(Math.round((tmax - 8 - forecastNoise(latitude, longitude, date, 2) * 4) * 10) / 10);
+        daily.precipitation_sum.push(rain < 0.6 ? 0 : Math.round((rain - 0.6) * 60 * 10) / 10);
+    }
+
+    const wet = daily.precipitation_sum[0] > 0;
+    sendJson(res, 200, {
+        latitude,
+        longitude,
+        timezone: params.get('timezone') || 'GMT',
+        current: {
+            time: `${startDate}T12:00`,
+            temperature_2m: daily.temperature_2m_max[0] - 2,
+            relative_humidity_2m: wet ? 80 : 55,
+            weather_code: wet ? 61 : 2
+        },
+        daily_units: { time: 'iso8601', temperature_2m_max: '°C', temperature_2m_min: '°C', precipitation_sum: 'mm' },
+        daily
+    });
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        return sendJson(res, 400, { error: 'Malformed URL' });
+    }
+    let filePath = path.normalize(path.join(ROOT_DIR, urlPath));
+
+    // Only files inside the repository; a bare prefix check would also let "<root>-other/..." through
+    if (filePath !== ROOT_DIR && !filePath.startsWith(ROOT_DIR + path.sep)) {
+        return sendJson(res, 403, { error: 'Forbidden' });
+    }
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+        // Single-page app: unknown paths fall back to index.html (same as vercel.json)
+        filePath = path.join(ROOT_DIR, 'index.html');
+    }
+
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    fs.createReadStream(filePath).pipe(res);
+}
+
+function createReferenceServer(options = {}) {
+    const store = new ReferenceStore(options.dataFile);
+    const forecastStart = options.forecastStart || FORECAST_START_DATE;
+
+    const server = http.createServer((req, res) => {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Content-Encoding, X-Idempotency-Key'
+            });
+            return res.end();
+        }
+
+        const collection = COLLECTION_ROUTES[pathname];
+        if (collection) {
+            if (req.method !== 'POST') {
+                return sendJson(res, 405, { error: 'Method not allowed' });
+            }
+            return handleCollectionPost(store, collection, req, res).catch(error => {
+                console.error('Request failed:', error);
+                sendJson(res, 500, { error: 'Internal server error' });
+            });
+        }
+
+        if (pathname === BATCH_ROUTE) {
+            if (req.method !== 'POST') {
+                return sendJson(res, 405, { error: 'Method not allowed' });
+            }
+            return handleBatchPost(store, req, res).catch(error => {
+                console.error('Batch request failed:', error);
+                sendJson(res, 500, { error: 'Internal server error' });
+            });
+        }
+
+        const changesCollection = pathname.endsWith('/changes') &&
+            COLLECTION_ROUTES[pathname.slice(0, -'/changes'.length)];
+        if (changesCollection) {
+            if (req.method !== 'GET') {
+                return sendJson(res, 405, { error: 'Method not allowed' });
+            }
+            return handleChangesGet(store, changesCollection, req, res);
+        }
+
+        if (pathname === FORECAST_ROUTE) {
+            if (req.method !== 'GET') {
+                return sendJson(res, 405, { error: 'Method not allowed' });
+            }
+            return handleForecastGet(req, res, forecastStart);
+        }
+
+        if (pathname.startsWith('/api/')) {
+            return sendJson(res, 404, { error: `Unknown endpoint: ${pathname}` });
+        }
+
+        serveStatic(req, res);
+    });
+
+    server.store = store;
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+    const server = createReferenceServer({
+        dataFile: process.env.AGRI_DATA_FILE,
+        forecastStart: process.env.AGRI_FORECAST_START || new Date().toISOString().split('T')[0]
+    });
+    server.listen(port, () => {
+        console.log(`AgriInfo reference server running at http://localhost:${port}`);
+    });
+}
+
+module.exports = { createReferenceServer, ReferenceStore, FORECAST_START_DATE };
@@ -1,9 +1,17 @@
-const CACHE_NAME = 'agriinfo-kenya-v2.0';
+const CACHE_NAME = 'agriinfo-kenya-v2.1';
 const OFFLINE_URL = '/offline.html';
 const API_CACHE = 'agriinfo-api-v1';
 const IMAGE_CACHE = 'agriinfo-images-v1';
 const DYNAMIC_CACHE = 'agriinfo-dynamic-v1';
 
+// Shared HTTP transport and sync engine used for background sync
+importScripts('/js/transport.js', '/js/conflicts.js', '/js/sync-engine.js');
+
+const syncEngine = new AgriSyncEngine({
+    openDB: openIndexedDB,
+    transport: agriTransport
+});
+
 // Core assets to cache on install
 const STATIC_ASSETS = [
     '/',
@@ -11,8 +19,31 @@ const STATIC_ASSETS = [
     '/css/style.css',
     '/css/responsive.css',
     '/js/app.js',
+    '/js/counties.js',
+    '/js/units.js',
+    '/js/crop-normalize.js',
+    '/js/search.js',
     '/js/db.js',
+    '/js/transport.js',
+    '/js/conflicts.js',
+    '/js/sync-engine.js',
     '/js/sync.js',
+    '/js/sync-center.js',
+    '/js/content-packs.js',
+    '/js/crop-schema.js',
+    '/js/crop-editor.js',
+    '/js/crop-detail.js',
+    '/js/crop-compare.js',
+    '/js/recommender.js',
+    '/js/planting-calendar.js',
+    '/js/rotation-planner.js',
+    '/js/fertilizer-calculator.js',
+    '/js/seed-calculator.js',
+    '/js/irrigation.js',
+    '/js/profit-calculator.js',
+    '/js/calculation-history.js',
+    '/js/weather.js',
+    '/data/crops-data.json',
     '/manifest.json',
     '/images/icons/icon-72x72.png',
     '/images/icons/icon-96x96.png',
@@ -40,11 +71,13 @@ self.addEventListener('install', event => {
     
     event.waitUntil(
         Promise.all([
-            // Cache static assets
+            // Cache static assets one at a time: addAll caches nothing if any one of them is missing
             caches.open(CACHE_NAME)
                 .then(cache => {
                     console.log('Caching static assets');
-                    return cache.addAll(STATIC_ASSETS);
+                    return Promise.all(STATIC_ASSETS.map(asset =>
+                        cache.add(asset).catch(error => console.error(`Could not cache ${asset}:`, error))
+                    ));
                 }),
             
             // Cache Kenyan images
@@ -100,12 +133,28 @@ self.addEventListener('fetch', event => {
         return;
     }
     
+    // Change feeds go straight to the network; a cached page would replay old changes
+    if (url.pathname.startsWith('/api/') && url.pathname.endsWith('/changes')) {
+        return;
+    }
+    
+    // Forecasts too; the app keeps its own dated copy and marks it stale when it expires
+    if (url.pathname === '/v1/forecast') {
+        return;
+    }
+    
     // API requests - Network First with Cache Fallback
     if (url.pathname.startsWith('/api/')) {
         event.respondWith(apiStrategy(event));
         return;
     }
     
+    // Content packs - Network First so pack updates arrive, with the installed copy for a first run offline
+    if (url.pathname.startsWith('/data/')) {
+        event.respondWith(contentPackStrategy(event));
+        return;
+    }
+    
     // Image requests - Cache First with Network Fallback
     if (event.request.destination === 'image') {
         event.respondWith(imageStrategy(event));
@@ -262,6 +311,25 @@ async function staticStrategy(event) {
     return fetch(event.request);
 }
 
+// Strategy: content packs (Network First, kept in the static cache)
+async function contentPackStrategy(event) {
+    const cache = await caches.open(CACHE_NAME);
+    
+    try {
+        const networkResponse = await fetch(event.request);
+        if (networkResponse.status === 200) {
+            cache.put(event.request, networkResponse.clone());
+        }
+        return networkResponse;
+    } catch (error) {
+        const cachedResponse = await cache.match(event.request, { ignoreSearch: true });
+        if (cachedResponse) {
+            return cachedResponse;
+        }
+        throw error;
+    }
+}
+
 // Strategy: Network First with Cache Fallback
 async function networkFirstStrategy(event) {
     try {
@@ -397,46 +465,17 @@ async function syncPendingData() {
     console.log('Starting background sync...');
     
     try {
-        // Get sync queue from IndexedDB
-        const db = await openIndexedDB();
-        const pendingItems = await getPendingSyncItems(db);
+        // Same engine and lock as the page, so both paths give identical results
+        const results = await syncEngine.drain();
         
-        if (pendingItems.length === 0) {
-            console.log('No pending items to sync');
+        if (!results) {
+            console.log('Sync already in progress in another context');
             return;
         }
         
-        console.log(`Syncing ${pendingItems.length} items in background`);
-        
-        const results = {
-            successful: 0,
-            failed: 0,
-            errors: []
-        };
-        
-        // Process each item
-        for (const item of pendingItems) {
-            try {
-                // Simulate server sync (replace with actual API call)
-                await syncToServer(item);
-                
-                // Mark as synced
-                await markAsSynced(db, item.id);
-                results.successful++;
-                
-                console.log(`Successfully synced item ${item.id}`);
-                
-            } catch (error) {
-                console.error(`Failed to sync item ${item.id}:`, error);
-                results.failed++;
-                results.errors.push({
-                    id: item.id,
-                    error: error.message
-                });
-                
-                // Update retry count
-                await updateRetryCount(db, item.id);
-            }
+        if (results.total === 0) {
+            console.log('No pending items to sync');
+            return;
         }
         
         // Notify clients about sync completion
@@ -444,6 +483,7 @@ async function syncPendingData() {
         clients.forEach(client => {
             client.postMessage({
                 type: 'syncComplete',
+                message: `Background sync: ${results.successful} of ${results.total} items synced`,
                 data: {
                     timestamp: new Date().toISOString(),
                     results: results
@@ -492,91 +532,19 @@ async function handleCustomSync(tag) {
 // Helper functions for IndexedDB
 async function openIndexedDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('AgriInfoDB_Kenya', 4);
-        
-        request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve(request.result);
-    });
-}
-
-async function getPendingSyncItems(db) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['syncQueue'], 'readonly');
-        const store = transaction.objectStore('syncQueue');
-        const index = store.index('status');
-        const request = index.getAll('pending');
-        
-        request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve(request.result || []);
-    });
-}
-
-async function markAsSynced(db, itemId) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['syncQueue'], 'readwrite');
-        const store = transaction.objectStore('syncQueue');
-        const request = store.get(itemId);
-        
-        request.onerror = () => reject(request.error);
-        request.onsuccess = () => {
-            const item = request.result;
-            if (item) {
-                item.status = 'synced';
-                item.syncedAt = new Date().toISOString();
-                
-                const updateRequest = store.put(item);
-                updateRequest.onsuccess = () => resolve();
-                updateRequest.onerror = () => reject(updateRequest.error);
-            } else {
-                resolve();
-            }
-        };
-    });
-}
-
-async function updateRetryCount(db, itemId) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['syncQueue'], 'readwrite');
-        const store = transaction.objectStore('syncQueue');
-        const request = store.get(itemId);
+        // No explicit version: the page owns schema upgrades (js/db.js)
+        const request = indexedDB.open('AgriInfoDB_Kenya');
         
         request.onerror = () => reject(request.error);
         request.onsuccess = () => {
-            const item = request.result;
-            if (item) {
-                item.attempts = (item.attempts || 0) + 1;
-                item.lastError = 'Background sync failed';
-                item.lastAttempt = new Date().toISOString();
-                
-                const updateRequest = store.put(item);
-                updateRequest.onsuccess = () => resolve();
-                updateRequest.onerror = () => reject(updateRequest.error);
-            } else {
-                resolve();
-            }
+            const db = request.result;
+            // Let the page upgrade the schema without waiting on this connection
+            db.onversionchange = () => db.close();
+            resolve(db);
         };
     });
 }
 
-// Simulated server sync functions
-async function syncToServer(item) {
-    // In production, replace with actual API calls
-    return new Promise((resolve, reject) => {
-        setTimeout(() => {
-            // Simulate 90% success rate
-            if (Math.random() > 0.1) {
-                resolve({
-                    id: item.id,
-                    serverId: `server_${Date.now()}`,
-                    timestamp: new Date().toISOString()
-                });
-            } else {
-                reject(new Error('Simulated server error'));
-            }
-        }, 1000);
-    });
-}
-
 async function syncWeatherData() {
     console.log('Syncing weather data...');
     // Implement weather data sync
@@ -589,7 +557,8 @@ async function syncMarketPrices() {
 
 async function syncMarketListings() {
     console.log('Syncing market listings...');
-    // Implement market listings sync
+    const results = await syncEngine.pull('marketListings');
+    console.log('Market listings pulled:', results);
 }
 
 // Periodic cache cleanup
@@ -0,0 +1,72 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, element } = require('./helpers/browser');
+
+const { AgriInfoApp, AgriContentPacks, AgriCropEditor, agriDB } = loadScripts([
+    'js/counties.js',
+    'js/units.js',
+    'js/crop-normalize.js',
+    'js/search.js',
+    'js/db.js',
+    'js/content-packs.js',
+    'js/crop-editor.js',
+    'js/app.js'
+], ['AgriInfoApp', 'AgriContentPacks', 'AgriCropEditor', 'agriDB']);
+
+describe('content packs', () => {
+    const pack = version => ({
+        metadata: { id: 'kenya-crops', version },
+        crops: [
+            { id: 'maize', name: 'Maize', category: 'Cereal', yield: '20-40 bags per acre' },
+            { id: 'beans', name: 'Beans', category: 'Legume', yield: '6-10 bags per acre' }
+        ]
+    });
+    let app;
+
+    before(async () => {
+        await agriDB.init();
+        globalThis.confirm = () => true;
+        globalThis.agriSync = { recordCropDeletion: async () => {} };
+        app = { cropData: [], showNotification() {}, escapeHtml: value => String(value), displayCrops() {}, updateStats() {} };
+    });
+
+    it('does not bring back a pack crop the farmer deleted', async () => {
+        const packs = new AgriContentPacks(app);
+        await packs.install('/data/crops-data.json', pack('1.0'));
+        app.cropData = await agriDB.getAllCrops();
+
+        await new AgriCropEditor(app).remove('beans');
+        assert.equal(await agriDB.getCrop('beans'), undefined);
+        assert.ok((await agriDB.getDeletedCrops()).beans);
+
+        const result = await packs.install('/data/crops-data.json', pack('1.1'));
+        assert.equal(result.deleted, 1);
+        assert.equal(result.crops, 1);
+        assert.equal(await agriDB.getCrop('beans'), undefined);
+        assert.equal((await agriDB.getCrop('maize')).contentPack.version, '1.1');
+    });
+
+    it('offers an update without putting pack metadata into markup unescaped', () => {
+        const button = { ...element(), listeners: [] };
+        button.addEventListener = (type, listener) => button.listeners.push(listener);
+        const shown = [];
+        const notice = {
+            escapeHtml: AgriInfoApp.prototype.escapeHtml,
+            showNotification: message => {
+                shown.push(message);
+                return { querySelector: selector => (selector === '[data-action="install-pack"]' ? button : null) };
+            }
+        };
+        const packs = new AgriContentPacks(notice);
+        const installs = [];
+        packs.installAvailable = packId => installs.push(packId);
+
+        const packId = "kenya');alert(1);('";
+        packs.offerUpdate(packId, { metadata: { name: '<b>Kenya</b>', version: '2.0"><img src=x>' } }, { version: '1.0' });
+
+        assert.doesNotMatch(shown[0], /onclick|<b>|<img|alert/);
+        assert.match(shown[0], /&lt;b&gt;Kenya&lt;\/b&gt; version 2\.0&quot;&gt;&lt;img src=x&gt; \(you have 1\.0\)/);
+        button.listeners[0]();
+        assert.deepEqual(installs, [packId]);
+    });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const { AgriCropNormalizer, AgriUnits } = loadScripts(['js/units.js', 'js/crop-normalize.js'], ['AgriCropNormalizer', 'AgriUnits']);
+
+describe('crop normalizer', () => {
+    it('reads yields per hectare in any of the usual spellings', () => {
+        for (const text of ['3-5 t/ha', '3-5 tonnes/ha', '3-5 tonnes / hectare', '3-5 tonnes per ha', '3-5 tons per hectare']) {
+            const parsed = AgriCropNormalizer.parseYield(text);
+            assert.equal(parsed.per, 'hectare', text);
+            assert.equal(parsed.unit, 'tonne', text);
+            assert.equal(Math.round(parsed.kgPerAcre.min), 1214, text);
+        }
+    });
+
+    it('keeps per-acre yields per acre', () => {
+        const parsed = AgriCropNormalizer.parseYield('20-40 bags per acre (90kg bags)');
+        assert.equal(parsed.per, 'acre');
+        assert.deepEqual(parsed.kgPerAcre, { min: 1800, max: 3600 });
+        assert.equal(AgriCropNormalizer.parseYield('2 tonnes per harvest').per, 'acre');
+    });
+
+    it('takes bag weight and hectare size from the crop library conversion rates', () => {
+        AgriUnits.useRates({ bagWeight: 50, acreToHectare: 0.4 });
+        try {
+            assert.deepEqual(AgriCropNormalizer.parseYield('20 bags per acre').kgPerAcre, { min: 1000, max: 1000 });
+            assert.deepEqual(AgriCropNormalizer.parseYield('1000 kg per ha').kgPerAcre, { min: 400, max: 400 });
+        } finally {
+            AgriUnits.useRates(null);
+        }
+    });
+
+    it('reads planting densities per hectare', () => {
+        assert.equal(AgriCropNormalizer.parseDensity('40,000 plants/ha').per, 'hectare');
+        assert.equal(AgriCropNormalizer.parseDensity('25,000 plants per acre').per, 'acre');
+    });
+});
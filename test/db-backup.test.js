@@ -0,0 +1,124 @@
+// Restoring backups: merge and replace, validation, device-only stores and rollback
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const { AgriInfoApp, agriDB } = loadScripts([
+    'js/counties.js',
+    'js/units.js',
+    'js/crop-normalize.js',
+    'js/search.js',
+    'js/db.js',
+    'js/app.js'
+], ['AgriInfoApp', 'agriDB']);
+
+const backup = stores => ({ format: 'agriinfo-backup', schemaVersion: 1, stores });
+const listing = (id, lastUpdated, extra = {}) => ({ id, crop: 'Maize', quantity: 100, pricePerKg: 40, lastUpdated, ...extra });
+
+describe('backup restore', () => {
+    before(() => agriDB.init());
+
+    beforeEach(async () => {
+        for (const store of ['marketListings', 'crops', 'syncQueue']) {
+            await agriDB.clearStore(store);
+        }
+        await agriDB.updateItem('marketListings', listing('listing_1', '2024-05-01T00:00:00Z', { pricePerKg: 55 }));
+        await agriDB.updateItem('marketListings', listing('listing_2', '2024-01-01T00:00:00Z'));
+        await agriDB.updateItem('syncQueue', { id: 'local_1', type: 'listing_update', status: 'pending', data: { id: 'listing_1' } });
+    });
+
+    it('merges by keeping whichever copy is newer', async () => {
+        const result = await agriDB.importData(backup({
+            marketListings: [
+                listing('listing_1', '2024-02-01T00:00:00Z', { pricePerKg: 30 }),
+                listing('listing_2', '2024-06-01T00:00:00Z', { pricePerKg: 70 }),
+                listing('listing_3', '2024-06-01T00:00:00Z')
+            ]
+        }), { mode: 'merge' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.kept, 1);
+        assert.equal(result.imported.marketListings, 2);
+        assert.equal((await agriDB.getItem('marketListings', 'listing_1')).pricePerKg, 55);
+        assert.equal((await agriDB.getItem('marketListings', 'listing_2')).pricePerKg, 70);
+        assert.equal((await agriDB.getAllItems('marketListings')).length, 3);
+    });
+
+    it('replaces the stores in the backup and leaves the others alone', async () => {
+        await agriDB.updateItem('crops', { id: 'beans', name: 'Beans' });
+        const result = await agriDB.importData(backup({
+            marketListings: [listing('listing_3', '2020-01-01T00:00:00Z')]
+        }), { mode: 'replace' });
+
+        assert.equal(result.imported.marketListings, 1);
+        assert.deepEqual((await agriDB.getAllItems('marketListings')).map(item => item.id), ['listing_3']);
+        assert.equal((await agriDB.getCrop('beans')).name, 'Beans');
+    });
+
+    it('reports invalid records and unknown stores without importing them', () => {
+        const { counts, errors } = agriDB.validateBackup(backup({
+            marketListings: [listing('listing_3'), { id: 'listing_4', quantity: 5 }, listing('listing_5', undefined, { pricePerKg: -1 })],
+            crops: 'not a list',
+            recipes: []
+        }));
+
+        assert.deepEqual(counts, { marketListings: 1 });
+        assert.deepEqual(errors.map(error => [error.store, error.index, error.error]), [
+            ['marketListings', 1, 'Listing has no crop'],
+            ['marketListings', 2, 'Price must be a positive number'],
+            ['crops', undefined, 'Expected a list of records'],
+            ['recipes', undefined, 'Unknown data type, skipped']
+        ]);
+        assert.throws(() => agriDB.validateBackup({ format: 'agriinfo-backup', schemaVersion: 99 }), /newer version/);
+    });
+
+    it('does not restore another device\'s pending uploads', async () => {
+        const exported = await agriDB.exportData();
+        assert.equal(exported.stores.syncQueue, undefined);
+
+        const result = await agriDB.importData(backup({
+            marketListings: [listing('listing_3', '2024-06-01T00:00:00Z')],
+            syncQueue: [{ id: 'other_1', type: 'listing_create', status: 'pending', data: { id: 'listing_3' } }]
+        }), { mode: 'replace' });
+
+        assert.deepEqual(result.skipped, { syncQueue: 1 });
+        assert.equal(result.imported.syncQueue, undefined);
+        assert.deepEqual((await agriDB.getAllItems('syncQueue')).map(item => item.id), ['local_1']);
+    });
+
+    it('rolls the whole import back when a record cannot be stored', async () => {
+        for (const mode of ['replace', 'merge']) {
+            await assert.rejects(agriDB.importData(backup({
+                crops: [{ id: 'kale', name: 'Kale' }],
+                marketListings: [listing('listing_3', '2024-06-01T00:00:00Z'), listing({ not: 'a key' }, '2024-06-01T00:00:00Z')]
+            }), { mode }), mode);
+
+            assert.deepEqual((await agriDB.getAllItems('marketListings')).map(item => item.id).sort(), ['listing_1', 'listing_2'], mode);
+            assert.equal(await agriDB.getCrop('kale'), undefined, mode);
+        }
+    });
+
+    it('tells the farmer which records were skipped', async () => {
+        const notifications = [];
+        const app = {
+            escapeHtml: AgriInfoApp.prototype.escapeHtml,
+            describeImportErrors: AgriInfoApp.prototype.describeImportErrors,
+            showNotification: (message, type) => notifications.push({ message, type }),
+            loadInitialData: async () => {}
+        };
+        globalThis.prompt = () => 'merge';
+        globalThis.agriSync = { loadQueue: async () => {} };
+        const file = data => ({ text: async () => JSON.stringify(data) });
+
+        await AgriInfoApp.prototype.importData.call(app, file(backup({
+            marketListings: [listing('listing_3', '2024-06-01T00:00:00Z'), { id: 'listing_4', crop: '<img src=x>', quantity: -5 }],
+            syncQueue: [{ id: 'other_1', type: 'listing_create', status: 'pending' }]
+        })));
+        await AgriInfoApp.prototype.importData.call(app, file(backup({ crops: [{ id: 'kale' }] })));
+
+        assert.equal(notifications[0].type, 'warning');
+        assert.match(notifications[0].message, /Imported 1 records, skipped 1 invalid \(marketListings record 2: Quantity must be a positive number\)/);
+        assert.match(notifications[0].message, /1 uploads still waiting on the backed-up device were not restored/);
+        assert.deepEqual(notifications[1], { message: 'The backup contains no usable records: crops record 1: Crop has no name', type: 'error' });
+    });
+});
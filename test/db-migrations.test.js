@@ -0,0 +1,166 @@
+// Upgrades a fixture database from schema version 3 to the latest and checks every store
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const request = req => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+// The layout an install at version 3 has, written out here so later schema changes can't alter the fixture
+function createVersion3Fixture() {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open('AgriInfoDB_Kenya', 3);
+        open.onerror = () => reject(open.error);
+        open.onupgradeneeded = () => {
+            const db = open.result;
+            const crops = db.createObjectStore('crops', { keyPath: 'id' });
+            crops.createIndex('name', 'name', { unique: false });
+            crops.createIndex('category', 'category', { unique: false });
+            crops.createIndex('localName', 'localName', { unique: false });
+            db.createObjectStore('pests', { keyPath: 'id' }).createIndex('crop', 'crop', { unique: false });
+            db.createObjectStore('market', { keyPath: 'id' }).createIndex('crop', 'crop', { unique: false });
+            const listings = db.createObjectStore('marketListings', { keyPath: 'id' });
+            listings.createIndex('crop', 'crop', { unique: false });
+            listings.createIndex('farmerId', 'farmerId', { unique: false });
+            listings.createIndex('status', 'status', { unique: false });
+            db.createObjectStore('settings', { keyPath: 'key' });
+            const queue = db.createObjectStore('syncQueue', { keyPath: 'id', autoIncrement: true });
+            queue.createIndex('type', 'type', { unique: false });
+            queue.createIndex('status', 'status', { unique: false });
+            db.createObjectStore('weather', { keyPath: 'timestamp' }).createIndex('county', 'county', { unique: false });
+            db.createObjectStore('analytics', { keyPath: 'timestamp' }).createIndex('action', 'action', { unique: false });
+
+            const transaction = open.transaction;
+            transaction.objectStore('crops').add({
+                id: 'maize',
+                name: 'Maize',
+                category: 'Cereal',
+                yield: '20-40 bags per acre (90kg bags)',
+                marketPrice: 'KES 40-60 per kg',
+                waterRequirement: 'Moderate (500-800mm per growing season)',
+                plantingDensity: '20,000-25,000 plants per acre'
+            });
+            transaction.objectStore('crops').add({
+                id: 'potato',
+                name: 'Potato',
+                category: 'Tuber',
+                yield: '20-25 t/ha'
+            });
+            transaction.objectStore('pests').add({ id: 'fall_armyworm', crop: 'maize', name: 'Fall armyworm' });
+            transaction.objectStore('market').add({ id: 'price_1', crop: 'maize', price: 50 });
+            transaction.objectStore('marketListings').add({
+                id: 'listing_1', crop: 'Maize', county: 'Nakuru', farmerId: 'farmer_1', status: 'active', quantity: 500, pricePerKg: 45
+            });
+            transaction.objectStore('marketListings').add({
+                id: 'listing_2', crop: 'Beans', location: 'Kisumu', farmerId: 'farmer_1', status: 'active', quantity: 90, pricePerKg: 120
+            });
+            transaction.objectStore('settings').add({ key: 'currency', value: 'KES' });
+            transaction.objectStore('settings').add({ key: 'lastSync', value: '2024-03-01T08:00:00.000Z' });
+            transaction.objectStore('syncQueue').add({
+                id: 'queued_listing', type: 'listing_create', action: 'create', collection: 'marketListings', status: 'pending',
+                data: { id: 'listing_1', crop: 'Maize', county: 'Nakuru' }
+            });
+            transaction.objectStore('syncQueue').add({
+                id: 'queued_crop', type: 'crop_update', action: 'update', collection: 'crops', status: 'pending',
+                data: { id: 'maize', county: 'Nakuru' }
+            });
+            transaction.objectStore('weather').add({ timestamp: '2024-03-01T08:00:00.000Z', county: 'Nakuru', temperature: '18-24°C' });
+            transaction.objectStore('analytics').add({ timestamp: '2024-03-01T08:00:00.000Z', action: 'view_crop' });
+        };
+        open.onsuccess = () => {
+            open.result.close();
+            resolve();
+        };
+    });
+}
+
+describe('database migrations from version 3', () => {
+    let agriDB;
+    let AgriCropNormalizer;
+
+    before(async () => {
+        await createVersion3Fixture();
+        // db.js opens (and so upgrades) the database as soon as it loads
+        ({ agriDB, AgriCropNormalizer } = loadScripts([
+            'js/counties.js',
+            'js/units.js',
+            'js/crop-normalize.js',
+            'js/search.js',
+            'js/db.js'
+        ], ['agriDB', 'AgriCropNormalizer']));
+        await agriDB.init();
+    });
+
+    const store = name => agriDB.db.transaction([name], 'readonly').objectStore(name);
+
+    it('reaches the latest version with every store and index', () => {
+        assert.equal(agriDB.db.version, agriDB.dbVersion);
+        assert.equal(agriDB.dbVersion, 12);
+        assert.deepEqual([...agriDB.db.objectStoreNames].sort(), [
+            'analytics', 'budgets', 'calculations', 'calendars', 'crops', 'fertilizers', 'market', 'marketListings',
+            'pests', 'plots', 'searchDocs', 'searchIndex', 'settings', 'syncQueue', 'weather'
+        ]);
+
+        const indexes = name => [...store(name).indexNames].sort();
+        assert.deepEqual(indexes('crops'), ['category', 'localName', 'name']);
+        assert.deepEqual(indexes('plots'), ['county']);
+        assert.deepEqual(indexes('calendars'), ['cropId', 'plotId']);
+        assert.deepEqual(indexes('budgets'), ['cropId']);
+        assert.deepEqual(indexes('calculations'), ['plotId', 'tool']);
+        assert.equal(store('searchIndex').keyPath, 'term');
+        assert.equal(store('searchDocs').keyPath, 'cropId');
+        assert.equal(store('fertilizers').keyPath, 'name');
+    });
+
+    it('moves listing county to location', async () => {
+        const listing = await agriDB.getItem('marketListings', 'listing_1');
+        assert.equal(listing.location, 'Nakuru');
+        assert.equal('county' in listing, false);
+        assert.equal(listing.quantity, 500);
+
+        const untouched = await agriDB.getItem('marketListings', 'listing_2');
+        assert.equal(untouched.location, 'Kisumu');
+    });
+
+    it('moves county to location in queued listing uploads only', async () => {
+        const listingItem = await agriDB.getItem('syncQueue', 'queued_listing');
+        assert.deepEqual(listingItem.data, { id: 'listing_1', crop: 'Maize', location: 'Nakuru' });
+
+        const cropItem = await agriDB.getItem('syncQueue', 'queued_crop');
+        assert.equal(cropItem.data.county, 'Nakuru');
+        assert.equal(cropItem.status, 'pending');
+    });
+
+    it('adds parsed metrics to stored crops and keeps the original text', async () => {
+        const crop = await agriDB.getItem('crops', 'maize');
+        assert.equal(crop.yield, '20-40 bags per acre (90kg bags)');
+        assert.equal(crop.metricsVersion, AgriCropNormalizer.version);
+        assert.deepEqual(crop.metrics.yield.kgPerAcre, { min: 1800, max: 3600 });
+        assert.equal(crop.metrics.price.min, 40);
+        assert.equal(crop.metrics.water.max, 800);
+        assert.equal(crop.metrics.density.min, 20000);
+    });
+
+    it('reads per-hectare yields written as t/ha', async () => {
+        const crop = await agriDB.getItem('crops', 'potato');
+        assert.equal(crop.metrics.yield.per, 'hectare');
+        assert.equal(Math.round(crop.metrics.yield.kgPerAcre.min), 8094);
+    });
+
+    it('keeps the records in stores the migrations do not touch', async () => {
+        assert.equal((await agriDB.getItem('pests', 'fall_armyworm')).name, 'Fall armyworm');
+        assert.equal((await agriDB.getItem('market', 'price_1')).price, 50);
+        assert.equal(await agriDB.getSetting('currency'), 'KES');
+        assert.equal(await agriDB.getSetting('lastSync'), '2024-03-01T08:00:00.000Z');
+        assert.equal((await agriDB.getWeather('Nakuru'))[0].temperature, '18-24°C');
+        assert.equal((await request(store('analytics').getAll())).length, 1);
+    });
+
+    it('leaves the new stores empty', async () => {
+        for (const name of ['fertilizers', 'plots', 'calendars', 'budgets', 'calculations', 'searchIndex', 'searchDocs']) {
+            assert.equal(await request(store(name).count()), 0, name);
+        }
+    });
+});
@@ -0,0 +1,59 @@
+// Runs the app's browser scripts in Node: fake-indexeddb stands in for IndexedDB,
+// and document, navigator and localStorage are the bare minimum the scripts touch when loaded.
+require('fake-indexeddb/auto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+const element = () => ({
+    addEventListener() {},
+    appendChild() {},
+    closest: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    classList: { add() {}, remove() {}, toggle() {} },
+    style: {},
+    dataset: {},
+    innerHTML: '',
+    textContent: '',
+    value: ''
+});
+
+const storage = {};
+globalThis.window = globalThis;
+globalThis.localStorage = {
+    getItem: key => storage[key] ?? null,
+    setItem: (key, value) => { storage[key] = String(value); },
+    removeItem: key => { delete storage[key]; }
+};
+globalThis.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    createElement: element,
+    addEventListener() {},
+    head: element(),
+    body: element()
+};
+globalThis.addEventListener = () => {};
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true, userAgent: 'node' }, configurable: true, writable: true });
+
+// Timers started by the scripts (auto sync and the like) must not keep the test process alive
+const setIntervalUnref = globalThis.setInterval;
+globalThis.setInterval = (callback, delay) => {
+    const timer = setIntervalUnref(callback, delay);
+    timer.unref();
+    return timer;
+};
+
+// Loads scripts in order, as index.html does, and returns the named globals they declare
+function loadScripts(files, names = []) {
+    files.forEach(file => {
+        vm.runInThisContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), { filename: file });
+    });
+    return vm.runInThisContext(`({ ${names.join(', ')} })`);
+}
+
+module.exports = { loadScripts, element };
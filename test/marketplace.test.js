@@ -0,0 +1,118 @@
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, element } = require('./helpers/browser');
+
+const { AgriInfoApp, AgriMarketplace, AgriUnits, agriDB } = loadScripts([
+    'js/counties.js',
+    'js/units.js',
+    'js/crop-normalize.js',
+    'js/search.js',
+    'js/db.js',
+    'js/app.js'
+], ['AgriInfoApp', 'AgriMarketplace', 'AgriUnits', 'agriDB']);
+
+describe('editing a listing in bags', () => {
+    let marketplace;
+    let updates;
+    let answers;
+
+    before(async () => {
+        await agriDB.init();
+        globalThis.prompt = (message, shown) => {
+            const answer = answers.shift();
+            return answer === undefined ? String(shown) : answer;
+        };
+        globalThis.agriSync = { recordListingUpdate: (listing, previous) => updates.push({ listing: { ...listing }, previous }) };
+    });
+
+    beforeEach(async () => {
+        updates = [];
+        answers = [];
+        const app = { escapeHtml: value => String(value), showNotification() {} };
+        app.units = new AgriUnits(app);
+        app.units.preferences.weight = 'bag';
+        marketplace = new AgriMarketplace(app);
+        marketplace.displayListings = () => {};
+        marketplace.loadMyListings = async () => {};
+        marketplace.listings = [{ id: 'listing_1', crop: 'Maize', quantity: 500, pricePerKg: 45, revision: 3 }];
+        await agriDB.updateItem('marketListings', marketplace.listings[0]);
+    });
+
+    it('changes nothing when both prompts are left as shown', async () => {
+        // 500 kg shows as 5.56 bags, which would come back as 500.4 kg
+        await marketplace.editListing('listing_1');
+
+        assert.equal(updates.length, 0);
+        assert.equal((await agriDB.getItem('marketListings', 'listing_1')).quantity, 500);
+    });
+
+    it('writes only the field the farmer changed', async () => {
+        answers = ['4500'];
+        await marketplace.editListing('listing_1');
+
+        const stored = await agriDB.getItem('marketListings', 'listing_1');
+        assert.equal(stored.quantity, 500);
+        assert.equal(stored.pricePerKg, 50);
+        assert.equal(updates.length, 1);
+        assert.equal(updates[0].previous.quantity, 500);
+        assert.equal(updates[0].listing.quantity, 500);
+    });
+});
+
+describe('showing pulled listings', () => {
+    const pulled = {
+        id: "x');alert(1);('",
+        crop: '<img src=x onerror=alert(1)>',
+        location: 'Nakuru<script>',
+        description: '"><b>fresh</b>',
+        quantity: 100,
+        pricePerKg: 40,
+        rating: 5,
+        status: 'active',
+        farmerId: 'farmer_1'
+    };
+    let marketplace;
+    let containers;
+    let getElementById;
+
+    beforeEach(() => {
+        const app = { escapeHtml: AgriInfoApp.prototype.escapeHtml, showNotification() {} };
+        app.units = new AgriUnits(app);
+        marketplace = new AgriMarketplace(app);
+        marketplace.currentUser = { id: 'farmer_1' };
+        marketplace.listings = [{ ...pulled }];
+        marketplace.renderConflicts = async () => '';
+
+        containers = { 'listings-container': element(), 'my-listings-container': element() };
+        getElementById = document.getElementById;
+        document.getElementById = id => containers[id] || null;
+    });
+
+    afterEach(() => {
+        document.getElementById = getElementById;
+    });
+
+    it('escapes listing text and keeps ids out of inline handlers', async () => {
+        marketplace.displayListings(marketplace.listings);
+        await marketplace.loadMyListings();
+
+        for (const html of [containers['listings-container'].innerHTML, containers['my-listings-container'].innerHTML]) {
+            assert.doesNotMatch(html, /<img|<script|<b>|onclick/);
+            assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+        }
+        assert.match(containers['listings-container'].innerHTML, /data-listing-id="x&#39;\);alert\(1\);\(&#39;"/);
+        assert.match(containers['my-listings-container'].innerHTML, /data-action="edit" data-listing-id="x&#39;/);
+    });
+
+    it('shows and searches listings that have no farmer name', async () => {
+        document.getElementById = id => containers[id] || (id === 'market-search' ? { value: 'maize' } : null);
+        marketplace.listings.push({ id: 'listing_2', crop: 'Maize', quantity: 10, pricePerKg: 40, location: 'Bomet' });
+
+        marketplace.displayListings(marketplace.listings);
+        assert.match(containers['listings-container'].innerHTML, /<span class="farmer-badge"><\/span>/);
+
+        await marketplace.filterListings();
+        assert.match(containers['listings-container'].innerHTML, /<h4>Maize<\/h4>/);
+        assert.doesNotMatch(containers['listings-container'].innerHTML, /onerror/);
+    });
+});
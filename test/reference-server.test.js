@@ -0,0 +1,104 @@
+// Smoke test: the sync transport against the local reference server
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createReferenceServer } = require('../server/reference-server');
+const { AgriTransport, SyncTransportError } = require('../js/transport');
+
+describe('reference server', () => {
+    let server;
+    let transport;
+
+    beforeEach(async () => {
+        server = createReferenceServer();
+        await new Promise(resolve => server.listen(0, resolve));
+        transport = new AgriTransport({ baseUrl: `http://localhost:${server.address().port}` });
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const item = (id, action, data, extra = {}) => ({ id, action, collection: 'marketListings', type: 'listing', data, ...extra });
+
+    it('stores a single item and replays a resend', async () => {
+        const first = await transport.send(item('q1', 'create', { id: 'listing_1', crop: 'Maize' }));
+        assert.equal(first.success, true);
+        assert.equal(first.revision, 1);
+
+        const again = await transport.send(item('q1', 'create', { id: 'listing_1', crop: 'Maize' }));
+        assert.equal(again.replayed, true);
+        assert.equal(server.store.records('marketListings').listing_1.revision, 1);
+    });
+
+    it('rejects an update based on an old revision with 409 and the current record', async () => {
+        await transport.send(item('q1', 'create', { id: 'listing_1', price: 40 }));
+        await transport.send(item('q2', 'update', { id: 'listing_1', price: 45 }, { baseRevision: 1 }));
+
+        await assert.rejects(
+            transport.send(item('q3', 'update', { id: 'listing_1', price: 50 }, { baseRevision: 1 })),
+            error => {
+                assert.ok(error instanceof SyncTransportError);
+                assert.equal(error.status, 409);
+                assert.ok(AgriTransport.isConflict(error));
+                assert.equal(error.body.current.price, 45);
+                assert.equal(error.body.current.revision, 2);
+                return true;
+            }
+        );
+    });
+
+    it('accepts a gzip batch and reports each item', async () => {
+        const encodings = [];
+        const realFetch = globalThis.fetch;
+        globalThis.fetch = (url, init) => {
+            encodings.push(init.headers['Content-Encoding']);
+            return realFetch(url, init);
+        };
+
+        try {
+            transport.compressThreshold = 1;
+            const outcomes = await transport.sendBatch([
+                item('q1', 'create', { id: 'listing_1', crop: 'Beans' }),
+                item('q2', 'update', { id: 'listing_missing' }, { action: 'bogus' })
+            ]);
+
+            assert.deepEqual(encodings, ['gzip']);
+            assert.equal(outcomes.get('q1').response.success, true);
+            assert.equal(outcomes.get('q2').error.status, 422);
+            assert.equal(outcomes.get('q2').error.retryable, false);
+        } finally {
+            globalThis.fetch = realFetch;
+        }
+    });
+
+    it('pages through changes with a cursor, including deletions', async () => {
+        await transport.send(item('q1', 'create', { id: 'listing_1' }));
+        await transport.send(item('q2', 'create', { id: 'listing_2' }));
+        await transport.send(item('q3', 'delete', { id: 'listing_1' }));
+
+        const first = await transport.fetchChanges('marketListings', 0, 2);
+        assert.deepEqual(first.changes.map(change => [change.id, change.op]), [['listing_1', 'upsert'], ['listing_2', 'upsert']]);
+        assert.equal(first.hasMore, true);
+
+        const second = await transport.fetchChanges('marketListings', first.cursor, 2);
+        assert.deepEqual(second.changes.map(change => [change.id, change.op]), [['listing_1', 'delete']]);
+        assert.equal(second.hasMore, false);
+
+        const empty = await transport.fetchChanges('marketListings', second.cursor, 2);
+        assert.deepEqual(empty.changes, []);
+        assert.equal(empty.cursor, second.cursor);
+    });
+
+    it('answers a malformed path with 400 instead of crashing', async () => {
+        const response = await fetch(`${transport.baseUrl}/%E0`);
+        assert.equal(response.status, 400);
+        assert.equal((await fetch(`${transport.baseUrl}/index.html`)).status, 200);
+    });
+
+    it('does not serve files from a sibling directory sharing the repository name', async () => {
+        const sibling = `${path.basename(path.join(__dirname, '..'))}-evil`;
+        const response = await fetch(`${transport.baseUrl}/..%2F${sibling}%2Fsecret.txt`);
+        assert.equal(response.status, 403);
+    });
+});
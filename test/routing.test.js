@@ -0,0 +1,40 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const { AgriInfoApp } = loadScripts([
+    'js/counties.js',
+    'js/units.js',
+    'js/crop-normalize.js',
+    'js/search.js',
+    'js/db.js',
+    'js/app.js'
+], ['AgriInfoApp']);
+
+describe('hash routing', () => {
+    let app;
+    let sections;
+    let shown;
+
+    beforeEach(() => {
+        sections = [];
+        shown = [];
+        app = {
+            route: AgriInfoApp.prototype.route,
+            showSection: id => sections.push(id),
+            cropDetail: { show: id => shown.push(id) }
+        };
+    });
+
+    it('opens a crop page with the decoded id', () => {
+        app.route('#crops/sukuma%20wiki');
+        assert.deepEqual(sections, ['crop-detail']);
+        assert.deepEqual(shown, ['sukuma wiki']);
+    });
+
+    it('falls back to the crop list for a link that is not valid percent-encoding', () => {
+        assert.doesNotThrow(() => app.route('#crops/%E0'));
+        assert.deepEqual(sections, ['crops']);
+        assert.deepEqual(shown, []);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, element } = require('./helpers/browser');
+
+const { AgriSeedCalculator, AgriUnits, agriDB } = loadScripts([
+    'js/counties.js',
+    'js/units.js',
+    'js/crop-normalize.js',
+    'js/search.js',
+    'js/db.js',
+    'js/seed-calculator.js'
+], ['AgriSeedCalculator', 'AgriUnits', 'agriDB']);
+
+describe('seed calculator prices', () => {
+    const crop = {
+        id: 'maize',
+        name: 'Maize',
+        category: 'Cereal',
+        propagation: { method: 'seed', rowSpacingCm: 75, plantSpacingCm: 25, thousandSeedWeightG: 350, pricePerKg: 250 }
+    };
+    const elements = {};
+    const field = id => document.getElementById(id);
+    let calculator;
+
+    before(async () => {
+        await agriDB.init();
+        document.getElementById = id => elements[id] || (elements[id] = element());
+    });
+
+    beforeEach(async () => {
+        await agriDB.setSetting('seedPrices', {});
+        const app = { cropData: [crop], escapeHtml: value => String(value) };
+        app.units = new AgriUnits(app);
+        calculator = new AgriSeedCalculator(app);
+        field('crop-type').value = 'maize';
+        await calculator.init();
+        field('land-area').value = '1';
+    });
+
+    const calculateWith = async price => {
+        field('seed-price').value = price;
+        await calculator.calculate();
+        return agriDB.getSetting('seedPrices');
+    };
+
+    it('remembers a price that differs from the library price', async () => {
+        assert.deepEqual(await calculateWith('300'), { maize: 300 });
+    });
+
+    it('forgets the override when the library price is entered again', async () => {
+        await calculateWith('300');
+        assert.deepEqual(await calculateWith('250'), {});
+    });
+
+    it('forgets the override when the price is cleared', async () => {
+        await calculateWith('300');
+        assert.deepEqual(await calculateWith(''), {});
+
+        calculator.fillDefaults('maize');
+        assert.equal(field('seed-price').value, 250);
+    });
+});
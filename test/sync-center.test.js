@@ -0,0 +1,57 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, element } = require('./helpers/browser');
+
+const { AgriInfoApp, AgriSyncCenter } = loadScripts([
+    'js/counties.js',
+    'js/units.js',
+    'js/crop-normalize.js',
+    'js/search.js',
+    'js/db.js',
+    'js/sync-center.js',
+    'js/app.js'
+], ['AgriInfoApp', 'AgriSyncCenter']);
+
+describe('sync center', () => {
+    // A queue item restored from someone else's backup file
+    const restored = { id: "1');alert(1);('", type: 'listing_update', status: 'failed', attempts: 2, data: { crop: '<b>Maize</b>' } };
+    let container;
+    let listeners;
+    let retried;
+    let getElementById;
+
+    beforeEach(() => {
+        retried = [];
+        listeners = [];
+        container = { ...element(), addEventListener: (type, listener) => listeners.push(listener) };
+        getElementById = document.getElementById;
+        document.getElementById = id => (id === 'sync-center-container' ? container : null);
+        globalThis.agriSync = {
+            getSyncStats: async () => null,
+            getFailedItems: async () => [restored],
+            getConflicts: async () => [],
+            loadQueue: async () => {},
+            syncQueue: [],
+            retryItem: async id => retried.push(id)
+        };
+    });
+
+    afterEach(() => {
+        document.getElementById = getElementById;
+    });
+
+    it('keeps queue ids out of inline handlers and listens once on the container', async () => {
+        const center = new AgriSyncCenter({ escapeHtml: AgriInfoApp.prototype.escapeHtml, showNotification() {} });
+        await center.render();
+        await center.render();
+
+        assert.doesNotMatch(container.innerHTML, /onclick|<b>/);
+        assert.match(container.innerHTML, /data-action="retry" data-queue-id="1&#39;\);alert\(1\);\(&#39;"/);
+        assert.equal(listeners.length, 1);
+
+        const button = { dataset: { action: 'retry', queueId: restored.id } };
+        listeners[0]({ target: { closest: () => button } });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(retried, [restored.id]);
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const { AgriSyncEngine, AgriTransport, agriDB } = loadScripts([
+    'js/counties.js',
+    'js/units.js',
+    'js/crop-normalize.js',
+    'js/search.js',
+    'js/transport.js',
+    'js/conflicts.js',
+    'js/sync-engine.js',
+    'js/db.js'
+], ['AgriSyncEngine', 'AgriTransport', 'agriDB']);
+
+describe('sync engine', () => {
+    const realFetch = globalThis.fetch;
+
+    before(() => agriDB.init());
+
+    beforeEach(() => agriDB.clearStore('syncQueue'));
+
+    afterEach(() => {
+        globalThis.fetch = realFetch;
+    });
+
+    const queue = async ids => {
+        for (const [index, id] of ids.entries()) {
+            await agriDB.updateItem('syncQueue', {
+                id,
+                sequence: index,
+                status: 'pending',
+                attempts: 0,
+                type: 'listing_create',
+                action: 'create',
+                collection: 'marketListings',
+                data: { id: `listing_${id}` },
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    it('keeps the results of items sent before the connection dropped', async () => {
+        await queue(['a', 'b', 'c']);
+
+        let sent = 0;
+        globalThis.fetch = async url => {
+            // No batch endpoint, so items go one at a time; the connection drops on the second
+            if (url.endsWith('/api/sync/batch')) return new Response('', { status: 404 });
+            if (++sent === 2) throw new TypeError('connection reset');
+            return new Response(JSON.stringify({ success: true, revision: 1 }), { status: 201 });
+        };
+
+        const engine = new AgriSyncEngine({ openDB: async () => agriDB.db, transport: new AgriTransport({ baseUrl: 'http://sync.test' }) });
+        const results = await engine.drain();
+
+        assert.equal(results.successful, 1);
+        assert.equal(results.failed, 2);
+
+        const items = Object.fromEntries((await agriDB.getAllItems('syncQueue')).map(item => [item.id, item]));
+        assert.equal(items.a.status, 'synced');
+        assert.equal(items.a.attempts, 0);
+        assert.equal(items.b.status, 'pending');
+        assert.equal(items.b.attempts, 1);
+        assert.equal(items.c.attempts, 1);
+    });
+
+    it('does not mark items synced when a rewrite answers 200 with a web page', async () => {
+        await queue(['a']);
+        globalThis.fetch = async () => new Response('<!DOCTYPE html><html></html>', { status: 200 });
+
+        const engine = new AgriSyncEngine({ openDB: async () => agriDB.db, transport: new AgriTransport({ baseUrl: 'http://sync.test' }) });
+        const results = await engine.drain();
+
+        assert.equal(results.successful, 0);
+        const [item] = await agriDB.getAllItems('syncQueue');
+        assert.equal(item.status, 'pending');
+        assert.equal(item.attempts, 1);
+    });
+
+    it('folds a queue whose first item has sequence 0 in the order it was queued', async () => {
+        const item = (id, sequence, action, data) => ({
+            id, sequence, action, data,
+            status: 'pending',
+            attempts: 0,
+            type: `listing_${action}`,
+            collection: 'marketListings',
+            timestamp: new Date().toISOString()
+        });
+        await agriDB.updateItem('syncQueue', item('a', 0, 'create', { id: 'listing_1', price: 40 }));
+        await agriDB.updateItem('syncQueue', item('b', 1, 'update', { id: 'listing_1', price: 45 }));
+
+        const engine = new AgriSyncEngine({ openDB: async () => agriDB.db });
+        assert.equal(await engine.compactQueue(agriDB.db), 1);
+
+        const [survivor] = await agriDB.getAllItems('syncQueue');
+        assert.equal(survivor.action, 'create');
+        assert.equal(survivor.data.price, 45);
+    });
+});
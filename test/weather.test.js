@@ -0,0 +1,139 @@
+// Weather forecasts from the reference server's mock: caching, expiry and the stale-forecast banner
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, element } = require('./helpers/browser');
+const { createReferenceServer, FORECAST_START_DATE } = require('../server/reference-server');
+
+const { AgriWeather, agriDB } = loadScripts([
+    'js/counties.js',
+    'js/units.js',
+    'js/crop-normalize.js',
+    'js/search.js',
+    'js/db.js',
+    'js/weather.js'
+], ['AgriWeather', 'agriDB']);
+
+const HOUR = 3600000;
+const NAKURU = { latitude: -0.3031, longitude: 36.08, county: 'Nakuru' };
+
+describe('weather', () => {
+    let server;
+    let baseUrl;
+    let requests;
+    let weather;
+
+    before(async () => {
+        server = createReferenceServer();
+        server.on('request', req => {
+            if (req.url.startsWith('/v1/forecast')) requests++;
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        baseUrl = `http://localhost:${server.address().port}`;
+        await agriDB.init();
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        // The mock's forecast starts on its fixed date, so the clock starts that morning
+        mock.timers.enable({ apis: ['Date'], now: Date.parse(`${FORECAST_START_DATE}T06:00:00Z`) });
+        navigator.onLine = true;
+        requests = 0;
+        await agriDB.clearStore('weather');
+        await agriDB.setSetting('weatherProvider', { type: 'open-meteo', baseUrl });
+
+        weather = new AgriWeather({ escapeHtml: value => String(value).replace(/</g, '&lt;'), userProfile: { location: 'Nakuru' } });
+        await weather.init();
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('gets the same forecast from the mock on any day when no start date is asked for', async () => {
+        const url = `${baseUrl}/v1/forecast?latitude=-0.3031&longitude=36.08&forecast_days=7`;
+        const first = await (await fetch(url)).json();
+        mock.timers.tick(40 * 24 * HOUR);
+        const later = await (await fetch(url)).json();
+
+        assert.deepEqual(later, first);
+        assert.equal(first.daily.time[0], FORECAST_START_DATE);
+        assert.equal(first.daily.time.length, 7);
+    });
+
+    it('keeps a forecast for three hours before asking for a new one', async () => {
+        const fetched = await weather.forecast(NAKURU);
+        assert.equal(fetched.stale, false);
+        assert.equal(fetched.record.daily[0].date, FORECAST_START_DATE);
+        assert.equal(Date.parse(fetched.record.expiresAt) - Date.parse(fetched.record.timestamp), AgriWeather.cacheHours * HOUR);
+
+        mock.timers.tick(2 * HOUR);
+        const cached = await weather.forecast(NAKURU);
+        assert.equal(cached.stale, false);
+        assert.equal(cached.record.timestamp, fetched.record.timestamp);
+        assert.equal(requests, 1);
+
+        mock.timers.tick(HOUR);
+        const refreshed = await weather.forecast(NAKURU);
+        assert.equal(refreshed.stale, false);
+        assert.notEqual(refreshed.record.timestamp, fetched.record.timestamp);
+        assert.equal(requests, 2);
+    });
+
+    it('shows an expired forecast with a banner when offline', async () => {
+        const { record } = await weather.forecast(NAKURU);
+        assert.doesNotMatch(weather.render(record), /weather-stale/);
+
+        mock.timers.tick(4 * HOUR);
+        navigator.onLine = false;
+        const offline = await weather.forecast(NAKURU);
+        assert.equal(offline.stale, true);
+        assert.equal(offline.error, 'You are offline');
+        assert.equal(requests, 1);
+
+        const html = weather.render(offline.record, offline);
+        assert.match(html, /class="weather-stale"/);
+        assert.match(html, /Saved forecast from 4 hours ago \(You are offline\)/);
+        assert.doesNotMatch(html, /<strong>Temperature:/);
+    });
+
+    it('falls back to the expired forecast when the weather service fails', async () => {
+        await weather.forecast(NAKURU);
+        mock.timers.tick(4 * HOUR);
+        weather.provider.baseUrl = 'http://localhost:1';
+
+        const originalError = console.error;
+        console.error = () => {};
+        let result;
+        try {
+            result = await weather.forecast(NAKURU);
+        } finally {
+            console.error = originalError;
+        }
+
+        assert.equal(result.stale, true);
+        assert.match(result.error, /Network error/);
+        assert.match(weather.render(result.record, result), /weather-stale/);
+    });
+
+    it('marks the saved forecast stale when the tools open after it expired', async () => {
+        await weather.forecast(NAKURU);
+        const weatherDiv = element();
+        const getElementById = document.getElementById;
+        document.getElementById = id => (id === 'weather-data' ? weatherDiv : null);
+
+        try {
+            await weather.showCached();
+            assert.doesNotMatch(weatherDiv.innerHTML, /weather-stale/);
+            assert.match(weatherDiv.innerHTML, /Nakuru County Weather/);
+
+            mock.timers.tick(AgriWeather.cacheHours * HOUR);
+            await weather.showCached();
+            assert.match(weatherDiv.innerHTML, /Saved forecast from 3 hours ago/);
+        } finally {
+            document.getElementById = getElementById;
+        }
+    });
+});